@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Users, Crown, Shield, Eye, X, UserMinus, UserPlus } from 'lucide-react';
 
-const ActiveUsersModal = ({ board, user, isOpen, onClose, connectedUsers, realtimeCollab }) => {
+const ActiveUsersModal = ({ board, user, isOpen, onClose, connectedUsers }) => {
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(false);
 
@@ -151,17 +151,9 @@ const ActiveUsersModal = ({ board, user, isOpen, onClose, connectedUsers, realti
         body: JSON.stringify({ role: newRole })
       });
 
+      // The server tells everyone in the board about the change
       if (response.ok) {
         await fetchActiveUsers(); // Refresh the list
-        
-        // Notify other users of the permission change via socket
-        if (realtimeCollab?.socketService) {
-          realtimeCollab.socketService.emit('permission-updated', {
-            userId,
-            newRole,
-            boardId: board._id
-          });
-        }
       } else {
         const errorData = await response.json();
         alert(errorData.message || 'Failed to update user permissions');
@@ -197,17 +189,9 @@ const ActiveUsersModal = ({ board, user, isOpen, onClose, connectedUsers, realti
         }
       });
 
+      // The server drops the removed user from the board and tells everyone
       if (response.ok) {
         await fetchActiveUsers(); // Refresh the list
-        
-        // Notify the removed user via socket
-        if (realtimeCollab?.socketService) {
-          realtimeCollab.socketService.emit('user-removed', {
-            userId,
-            boardId: board._id
-          });
-        }
-        
         alert('User removed successfully');
       } else {
         const errorData = await response.json();
@@ -244,6 +228,22 @@ const ActiveUsersModal = ({ board, user, isOpen, onClose, connectedUsers, realti
     }
   };
 
+  // Presence comes from the live connection list, so it stays current while the modal is open
+  const getPresence = (userId) => {
+    const connectedUser = (connectedUsers || []).find(connUser =>
+      String(connUser.userId) === String(userId) || String(connUser.user?._id) === String(userId)
+    );
+    return connectedUser?.status || 'active';
+  };
+
+  const getPresenceStyle = (status) => {
+    switch (status) {
+      case 'idle': return { dot: 'bg-yellow-400', text: 'text-yellow-600', label: 'Idle' };
+      case 'away': return { dot: 'bg-gray-400', text: 'text-gray-500', label: 'Away' };
+      default: return { dot: 'bg-green-500', text: 'text-green-600', label: 'Active' };
+    }
+  };
+
   const getUserInitials = (userObj) => {
     if (!userObj) return 'U';
     
@@ -310,6 +310,7 @@ const ActiveUsersModal = ({ board, user, isOpen, onClose, connectedUsers, realti
                   const userData = userItem.user || userItem;
                   const canManage = isOwner && userData._id !== user._id && userItem.role !== 'owner';
                   const isCurrentUser = userData._id === user._id;
+                  const presenceStyle = getPresenceStyle(getPresence(userData._id));
                   
                   return (
                     <div
@@ -330,7 +331,7 @@ const ActiveUsersModal = ({ board, user, isOpen, onClose, connectedUsers, realti
                           </div>
                           {/* Online indicator */}
                           {userItem.isConnected && (
-                            <div className="absolute -bottom-1 -right-1 w-4 h-4 bg-green-500 border-2 border-white rounded-full"></div>
+                            <div className={`absolute -bottom-1 -right-1 w-4 h-4 ${presenceStyle.dot} border-2 border-white rounded-full`}></div>
                           )}
                         </div>
 
@@ -346,7 +347,7 @@ const ActiveUsersModal = ({ board, user, isOpen, onClose, connectedUsers, realti
                               <span className="ml-1 capitalize">{userItem.role}</span>
                             </span>
                             {userItem.isConnected ? (
-                              <span className="text-xs text-green-600 font-medium">Online</span>
+                              <span className={`text-xs font-medium ${presenceStyle.text}`}>{presenceStyle.label}</span>
                             ) : (
                               <span className="text-xs text-gray-500">Offline</span>
                             )}
@@ -368,9 +369,8 @@ const ActiveUsersModal = ({ board, user, isOpen, onClose, connectedUsers, realti
                             onChange={(e) => updateUserRole(userData._id, e.target.value)}
                             className="text-sm border border-gray-300 rounded px-2 py-1 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                           >
-                            <option value="view">Viewer</option>
-                            <option value="edit">Editor</option>
-                            <option value="admin">Admin</option>
+                            <option value="viewer">Viewer</option>
+                            <option value="editor">Editor</option>
                           </select>
 
                           {/* Remove User */}
@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Timer, Play, Pause, RotateCcw, Plus, Volume2, VolumeX } from 'lucide-react';
+
+const PRESET_MINUTES = [1, 3, 5, 10, 15];
+const MINUTE = 60 * 1000;
+const MAX_MINUTES = 24 * 60;
+
+const SOUND_STORAGE_KEY = 'boardTimerSound';
+
+const formatRemaining = (ms) => {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+};
+
+// Three short beeps, made on the spot so there is no sound file to ship
+const playChime = () => {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return;
+
+  const context = new AudioContext();
+  [0, 0.3, 0.6].forEach(offset => {
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.frequency.value = 880;
+    gain.gain.setValueAtTime(0.2, context.currentTime + offset);
+    gain.gain.exponentialRampToValueAtTime(0.001, context.currentTime + offset + 0.25);
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start(context.currentTime + offset);
+    oscillator.stop(context.currentTime + offset + 0.25);
+  });
+  setTimeout(() => context.close(), 1500);
+};
+
+// Shared countdown in the canvas navbar. Owners and editors run it from the
+// dropdown; everyone sees it, and gets a flash (and a chime, if they want) when it ends.
+const BoardTimer = ({ timer, canControl }) => {
+  const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const [customMinutes, setCustomMinutes] = useState(5);
+  const [soundOn, setSoundOn] = useState(() => localStorage.getItem(SOUND_STORAGE_KEY) !== 'off');
+  const menuRef = useRef(null);
+  const soundOnRef = useRef(soundOn);
+  soundOnRef.current = soundOn;
+
+  const { status, remaining, alerting } = timer;
+
+  useEffect(() => {
+    if (alerting && soundOnRef.current) playChime();
+  }, [alerting]);
+
+  // Close the menu on a click anywhere else
+  useEffect(() => {
+    if (!isMenuOpen) return;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setIsMenuOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isMenuOpen]);
+
+  const toggleSound = () => {
+    localStorage.setItem(SOUND_STORAGE_KEY, soundOn ? 'off' : 'on');
+    setSoundOn(!soundOn);
+  };
+
+  const startMinutes = (minutes) => {
+    timer.start(Math.round(minutes * MINUTE));
+    setIsMenuOpen(false);
+  };
+
+  const startCustom = () => {
+    const minutes = Math.min(Math.max(parseFloat(customMinutes) || 0, 1 / 60), MAX_MINUTES);
+    startMinutes(minutes);
+  };
+
+  const isActive = status === 'running' || status === 'paused';
+  let label = 'Timer';
+  if (alerting || status === 'finished') label = "Time's up";
+  else if (isActive) label = formatRemaining(remaining);
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => {
+          if (alerting) timer.dismissAlert();
+          setIsMenuOpen(open => !open);
+        }}
+        className={`flex items-center gap-2 px-2 py-1 rounded transition-colors ${
+          alerting ? 'bg-red-500 animate-pulse' : isMenuOpen ? 'bg-white/20' : 'hover:bg-white/10'
+        }`}
+        title={status === 'paused' ? 'Timer paused' : 'Board timer'}
+      >
+        <Timer size={16} className="text-white" />
+        <span className={`text-sm text-white font-medium tabular-nums ${status === 'paused' ? 'opacity-60' : ''}`}>
+          {label}
+        </span>
+      </button>
+
+      {isMenuOpen && (
+        <div className="absolute right-0 top-full mt-2 w-64 bg-white rounded-lg shadow-xl border border-gray-200 p-3 z-50 text-gray-900">
+          {canControl ? (
+            <>
+              {isActive ? (
+                <div className="flex items-center gap-2">
+                  {status === 'running' ? (
+                    <button
+                      onClick={timer.pause}
+                      className="flex-1 flex items-center justify-center gap-1 px-3 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors"
+                    >
+                      <Pause className="w-4 h-4" /> Pause
+                    </button>
+                  ) : (
+                    <button
+                      onClick={timer.resume}
+                      className="flex-1 flex items-center justify-center gap-1 px-3 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors"
+                    >
+                      <Play className="w-4 h-4" /> Resume
+                    </button>
+                  )}
+                  <button
+                    onClick={() => timer.extend(MINUTE)}
+                    className="flex items-center gap-1 px-3 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+                    title="Add a minute"
+                  >
+                    <Plus className="w-4 h-4" /> 1m
+                  </button>
+                  <button
+                    onClick={timer.reset}
+                    className="p-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+                    title="Reset timer"
+                  >
+                    <RotateCcw className="w-4 h-4" />
+                  </button>
+                </div>
+              ) : (
+                <div className="space-y-2">
+                  <div className="grid grid-cols-5 gap-1">
+                    {PRESET_MINUTES.map(minutes => (
+                      <button
+                        key={minutes}
+                        onClick={() => startMinutes(minutes)}
+                        className="px-2 py-1.5 bg-gray-100 text-gray-700 text-sm rounded-md hover:bg-blue-100 hover:text-blue-700 transition-colors"
+                      >
+                        {minutes}m
+                      </button>
+                    ))}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="number"
+                      min={1}
+                      max={MAX_MINUTES}
+                      value={customMinutes}
+                      onChange={e => setCustomMinutes(e.target.value)}
+                      onKeyDown={e => {
+                        e.stopPropagation();
+                        if (e.key === 'Enter') startCustom();
+                      }}
+                      className="w-20 p-1.5 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    <span className="text-sm text-gray-500">min</span>
+                    <button
+                      onClick={startCustom}
+                      className="ml-auto flex items-center gap-1 px-3 py-1.5 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 transition-colors"
+                    >
+                      <Play className="w-4 h-4" /> Start
+                    </button>
+                  </div>
+                  {status === 'finished' && (
+                    <button
+                      onClick={timer.reset}
+                      className="w-full px-3 py-1.5 bg-gray-100 text-gray-700 text-sm rounded-md hover:bg-gray-200 transition-colors"
+                    >
+                      Clear timer
+                    </button>
+                  )}
+                </div>
+              )}
+            </>
+          ) : (
+            <p className="text-sm text-gray-500">Only owners and editors can run the timer.</p>
+          )}
+
+          {timer.updatedBy && status !== 'idle' && (
+            <p className="mt-2 text-xs text-gray-400">Last changed by {timer.updatedBy}</p>
+          )}
+
+          <button
+            onClick={toggleSound}
+            className="mt-2 w-full flex items-center gap-2 px-2 py-1.5 text-sm text-gray-600 rounded-md hover:bg-gray-100 transition-colors"
+          >
+            {soundOn ? <Volume2 className="w-4 h-4" /> : <VolumeX className="w-4 h-4" />}
+            {soundOn ? 'Chime when time is up' : 'No chime when time is up'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BoardTimer;
@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, Send, MessageSquare } from 'lucide-react';
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+// How close to the bottom counts as "reading the latest messages"
+const STICK_TO_BOTTOM = 80;
+
+const formatTime = (date) => new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const getTypingText = (typingUsers) => {
+  const names = typingUsers.map(typist => typist?.name || 'Someone');
+  if (names.length === 0) return '';
+  if (names.length === 1) return `${names[0]} is typing...`;
+  if (names.length === 2) return `${names[0]} and ${names[1]} are typing...`;
+  return 'Several people are typing...';
+};
+
+// Collapsible board chat, docked on the right below the canvas navbar
+const ChatPanel = ({ isOpen, onClose, chat, currentUserId }) => {
+  const [draft, setDraft] = useState('');
+  const listRef = useRef(null);
+  const stickToBottomRef = useRef(true);
+  const previousHeightRef = useRef(0);
+  const previousFirstIdRef = useRef(null);
+
+  const { messages, hasMore, loadingHistory, typingUsers, loadOlder, sendMessage, setTyping } = chat;
+
+  // Follow new messages when already at the bottom; keep our place when older ones are prepended
+  useEffect(() => {
+    const list = listRef.current;
+    if (!list) return;
+
+    const firstId = messages[0]?._id || messages[0]?.clientId;
+    if (previousFirstIdRef.current && firstId !== previousFirstIdRef.current && !stickToBottomRef.current) {
+      list.scrollTop += list.scrollHeight - previousHeightRef.current;
+    } else if (stickToBottomRef.current) {
+      list.scrollTop = list.scrollHeight;
+    }
+
+    previousFirstIdRef.current = firstId;
+    previousHeightRef.current = list.scrollHeight;
+  }, [messages, isOpen]);
+
+  const handleScroll = () => {
+    const list = listRef.current;
+    stickToBottomRef.current = list.scrollHeight - list.scrollTop - list.clientHeight < STICK_TO_BOTTOM;
+    if (list.scrollTop === 0 && hasMore) {
+      loadOlder();
+    }
+  };
+
+  const handleSend = () => {
+    if (!draft.trim()) return;
+    stickToBottomRef.current = true;
+    sendMessage(draft);
+    setDraft('');
+  };
+
+  const handleKeyDown = (e) => {
+    // Enter sends, Shift+Enter starts a new line
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSend();
+    }
+  };
+
+  const handleChange = (e) => {
+    setDraft(e.target.value);
+    setTyping(e.target.value.length > 0);
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed right-4 top-20 bottom-4 z-40 w-80 flex flex-col bg-white rounded-xl shadow-2xl border border-gray-200"
+      onKeyDown={e => e.stopPropagation()}
+    >
+      {/* Header */}
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+        <div className="flex items-center gap-2">
+          <MessageSquare className="w-5 h-5 text-blue-600" />
+          <h2 className="text-base font-semibold text-gray-900">Board chat</h2>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 hover:bg-gray-100 rounded-full transition-colors"
+          title="Close chat"
+        >
+          <X className="w-4 h-4 text-gray-500" />
+        </button>
+      </div>
+
+      {/* Messages */}
+      <div ref={listRef} onScroll={handleScroll} className="flex-1 overflow-y-auto px-4 py-3 space-y-3">
+        {hasMore && (
+          <button
+            onClick={loadOlder}
+            disabled={loadingHistory}
+            className="w-full text-xs text-blue-600 hover:text-blue-800 disabled:text-gray-400 transition-colors"
+          >
+            {loadingHistory ? 'Loading...' : 'Load earlier messages'}
+          </button>
+        )}
+
+        {messages.length === 0 && !loadingHistory && (
+          <div className="text-center py-8 text-gray-500">
+            <MessageSquare className="w-10 h-10 mx-auto mb-2 text-gray-300" />
+            <p className="text-sm">No messages yet</p>
+          </div>
+        )}
+
+        {messages.map(message => {
+          const isOwn = message.pending || message.failed || (currentUserId && String(message.author?._id) === String(currentUserId));
+          return (
+            <div key={message._id || message.clientId} className={`flex flex-col ${isOwn ? 'items-end' : 'items-start'}`}>
+              <div className="flex items-center gap-2 mb-1">
+                {!isOwn && (
+                  <span className="text-xs font-medium text-gray-700" style={{ color: message.author?.color }}>
+                    {message.author?.name || 'Unknown User'}
+                    {message.author?.isGuest && <span className="ml-1 text-gray-400">(guest)</span>}
+                  </span>
+                )}
+                <span className="text-xs text-gray-400">{formatTime(message.createdAt)}</span>
+              </div>
+              <div className={`max-w-[85%] px-3 py-2 rounded-lg text-sm whitespace-pre-wrap break-words ${
+                isOwn ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-900'
+              } ${message.pending ? 'opacity-60' : ''}`}>
+                {message.text}
+              </div>
+              {message.failed && <span className="text-xs text-red-500 mt-1">Not sent</span>}
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Typing indicator */}
+      <div className="px-4 h-5 text-xs text-gray-500 italic">
+        {getTypingText(typingUsers)}
+      </div>
+
+      {/* Composer */}
+      <div className="flex items-end gap-2 p-3 border-t border-gray-200">
+        <textarea
+          value={draft}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onBlur={() => setTyping(false)}
+          maxLength={MAX_MESSAGE_LENGTH}
+          rows={1}
+          placeholder="Message the board..."
+          className="flex-1 resize-none max-h-32 p-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <button
+          onClick={handleSend}
+          disabled={!draft.trim()}
+          className="p-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          title="Send"
+        >
+          <Send className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ChatPanel;
@@ -0,0 +1,334 @@
+import React, { useState } from 'react';
+import { X, History, Eye, EyeOff, RotateCcw, Pencil, Check, GitCompare } from 'lucide-react';
+
+const KIND_LABELS = {
+  auto: 'Auto-saved',
+  manual: 'Saved version',
+  restore: 'Before a restore',
+};
+
+// How each changed field reads in the change list
+const CHANGE_LABELS = {
+  x: 'moved', y: 'moved', x2: 'moved', y2: 'moved', points: 'redrawn',
+  width: 'resized', height: 'resized',
+  strokeColor: 'restyled', strokeWidth: 'restyled', backgroundColor: 'restyled',
+  borderColor: 'restyled', textColor: 'restyled', fontSize: 'restyled',
+  fontFamily: 'restyled', textAlign: 'restyled',
+  text: 'text edited', type: 'type changed', isLocked: 'lock changed', zIndex: 'reordered',
+};
+
+const describeChanges = (fields) => [...new Set(fields.map(field => CHANGE_LABELS[field] || field))].join(', ');
+
+const formatDate = (date) => new Date(date).toLocaleString([], {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+const DiffSummary = ({ summary }) => {
+  if (!summary) return <p className="text-xs text-gray-400">Comparing with the board now...</p>;
+  if (summary.added + summary.removed + summary.changed === 0) {
+    return <p className="text-xs text-gray-500">Same as the board now.</p>;
+  }
+  return (
+    <p className="text-xs text-gray-600">
+      Since then:{' '}
+      <span className="text-green-700 font-medium">{summary.added} added</span>,{' '}
+      <span className="text-red-700 font-medium">{summary.removed} removed</span>,{' '}
+      <span className="text-amber-700 font-medium">{summary.changed} changed</span>
+    </p>
+  );
+};
+
+const versionLabel = (version) => {
+  if (version.current) return 'the board now';
+  return version.name ? `"${version.name}"` : `version ${version.version}`;
+};
+
+const elementLabel = (element) => (element.text ? `${element.type} "${element.text}"` : element.type);
+
+// Everything that changed between two versions, grouped by who changed it
+const ChangeList = ({ comparison, onClose }) => {
+  const { from, to, summary, changesByAuthor } = comparison;
+  return (
+    <div className="p-3 border-b border-gray-200 space-y-2 max-h-72 overflow-y-auto">
+      <div className="flex items-start justify-between gap-2">
+        <p className="text-sm font-medium text-gray-900">
+          {versionLabel(from)} → {versionLabel(to)}
+        </p>
+        <button
+          onClick={onClose}
+          className="p-1 hover:bg-gray-100 rounded-full transition-colors"
+          title="Stop comparing"
+        >
+          <X className="w-4 h-4 text-gray-500" />
+        </button>
+      </div>
+      <p className="text-xs text-gray-600">
+        <span className="text-green-700 font-medium">{summary.added} added</span>,{' '}
+        <span className="text-red-700 font-medium">{summary.removed} removed</span>,{' '}
+        <span className="text-amber-700 font-medium">{summary.changed} changed</span>
+      </p>
+      {changesByAuthor.length === 0 && (
+        <p className="text-xs text-gray-500">No differences.</p>
+      )}
+      {changesByAuthor.map(group => (
+        <div key={group.author?._id || 'unknown'}>
+          <div className="text-xs font-semibold text-gray-700">
+            {group.author ? group.author.name : 'Guests and removals'}
+          </div>
+          <ul className="text-xs text-gray-600 space-y-0.5">
+            {group.added.map(element => (
+              <li key={`added-${element.id}`} className="truncate">
+                <span className="text-green-700">Added</span> {elementLabel(element)}
+              </li>
+            ))}
+            {group.changed.map(element => (
+              <li key={`changed-${element.id}`} className="truncate">
+                <span className="text-amber-700">Changed</span> {elementLabel(element)}: {describeChanges(element.fields)}
+              </li>
+            ))}
+            {group.removed.map(element => (
+              <li key={`removed-${element.id}`} className="truncate">
+                <span className="text-red-700">Removed</span> {elementLabel(element)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Version history: saved and automatic snapshots of the board, to preview on
+// the canvas, compare with each other or the board now, name, and restore
+const HistoryPanel = ({ isOpen, onClose, history, canEdit, previewId, onPreview, comparison, onCompare }) => {
+  const [newName, setNewName] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [summaries, setSummaries] = useState({}); // snapshotId -> diff summary
+  const [renaming, setRenaming] = useState(null); // { id, name }
+  const [compareIds, setCompareIds] = useState([]); // up to two versions ticked for comparing
+
+  if (!isOpen) return null;
+
+  const { snapshots, currentVersion, loading, error } = history;
+
+  const handleSave = async () => {
+    const name = newName.trim();
+    if (!name) return;
+    if (await history.saveVersion(name)) setNewName('');
+  };
+
+  const handleSelect = async (snapshotId) => {
+    if (selectedId === snapshotId) {
+      setSelectedId(null);
+      return;
+    }
+    setSelectedId(snapshotId);
+    setRenaming(null);
+    const summary = await history.compareVersion(snapshotId);
+    if (summary) setSummaries(prev => ({ ...prev, [snapshotId]: summary }));
+  };
+
+  const handleRename = async () => {
+    if (await history.renameVersion(renaming.id, renaming.name.trim())) setRenaming(null);
+  };
+
+  const toggleCompare = (snapshotId) => {
+    setCompareIds(prev => (prev.includes(snapshotId)
+      ? prev.filter(id => id !== snapshotId)
+      : [...prev.slice(-1), snapshotId]));
+  };
+
+  // The list is newest first, so the older of two versions is the later one in it
+  const handleCompare = () => {
+    const [first, second] = compareIds
+      .map(id => snapshots.findIndex(snapshot => snapshot._id === id))
+      .filter(index => index >= 0)
+      .sort((a, b) => b - a)
+      .map(index => snapshots[index]._id);
+    if (first) onCompare(first, second || null);
+  };
+
+  const handleRestore = async (snapshot) => {
+    const label = snapshot.name ? `"${snapshot.name}"` : `version ${snapshot.version}`;
+    if (!window.confirm(`Restore ${label}? The board as it is now is saved as a version first, so this can be undone.`)) {
+      return;
+    }
+    if (await history.restoreVersion(snapshot._id)) {
+      setSummaries({});
+      setSelectedId(null);
+      setCompareIds([]);
+      onPreview(null);
+    }
+  };
+
+  return (
+    <div
+      className="fixed right-4 top-20 z-40 w-80 max-h-[calc(100vh-6rem)] flex flex-col bg-white rounded-xl shadow-2xl border border-gray-200"
+      onKeyDown={e => e.stopPropagation()}
+    >
+      {/* Header */}
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+        <div className="flex items-center gap-2">
+          <History className="w-5 h-5 text-blue-600" />
+          <h2 className="text-base font-semibold text-gray-900">Version history</h2>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 hover:bg-gray-100 rounded-full transition-colors"
+          title="Close history"
+        >
+          <X className="w-4 h-4 text-gray-500" />
+        </button>
+      </div>
+
+      {/* Save the board as it is now */}
+      {canEdit && (
+        <div className="flex gap-2 p-3 border-b border-gray-200">
+          <input
+            type="text"
+            value={newName}
+            maxLength={100}
+            onChange={e => setNewName(e.target.value)}
+            onKeyDown={e => e.key === 'Enter' && handleSave()}
+            placeholder="Name this version"
+            className="flex-1 min-w-0 p-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <button
+            onClick={handleSave}
+            disabled={!newName.trim()}
+            className="px-3 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            Save
+          </button>
+        </div>
+      )}
+
+      {comparison && <ChangeList comparison={comparison} onClose={() => onCompare(null)} />}
+
+      {error && (
+        <p className="mx-3 mt-3 p-2 rounded-lg bg-red-50 text-sm text-red-700">{error}</p>
+      )}
+
+      <div className="flex-1 overflow-y-auto p-3 space-y-2">
+        {currentVersion !== null && (
+          <p className="text-xs text-gray-500">The board is at version {currentVersion}.</p>
+        )}
+
+        {loading && snapshots.length === 0 && (
+          <p className="text-sm text-gray-500 text-center py-6">Loading versions...</p>
+        )}
+        {!loading && snapshots.length === 0 && (
+          <p className="text-sm text-gray-500 text-center py-6">
+            No versions yet. Versions are saved automatically while the board is edited.
+          </p>
+        )}
+
+        {snapshots.map(snapshot => {
+          const isSelected = selectedId === snapshot._id;
+          const isPreviewing = previewId === snapshot._id;
+          return (
+            <div
+              key={snapshot._id}
+              className={`rounded-lg border ${isPreviewing ? 'border-blue-400 bg-blue-50' : 'border-gray-200'}`}
+            >
+              <div className="flex items-start">
+                <input
+                  type="checkbox"
+                  checked={compareIds.includes(snapshot._id)}
+                  onChange={() => toggleCompare(snapshot._id)}
+                  className="mt-3 ml-2"
+                  title="Tick to compare"
+                />
+                <button
+                  onClick={() => handleSelect(snapshot._id)}
+                  className="flex-1 min-w-0 text-left p-2 hover:bg-gray-50 rounded-lg transition-colors"
+                >
+                  <div className="text-sm font-medium text-gray-900 truncate">
+                    {snapshot.name || KIND_LABELS[snapshot.kind]}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {formatDate(snapshot.createdAt)} · v{snapshot.version} · {snapshot.elementCount} element{snapshot.elementCount !== 1 ? 's' : ''}
+                    {snapshot.createdBy?.name && ` · ${snapshot.createdBy.name}`}
+                  </div>
+                </button>
+              </div>
+
+              {isSelected && (
+                <div className="px-2 pb-2 space-y-2">
+                  <DiffSummary summary={summaries[snapshot._id]} />
+
+                  {renaming?.id === snapshot._id ? (
+                    <div className="flex gap-1">
+                      <input
+                        type="text"
+                        value={renaming.name}
+                        maxLength={100}
+                        autoFocus
+                        onChange={e => setRenaming({ ...renaming, name: e.target.value })}
+                        onKeyDown={e => e.key === 'Enter' && handleRename()}
+                        placeholder="Leave empty to unname"
+                        className="flex-1 min-w-0 p-1.5 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                      <button
+                        onClick={handleRename}
+                        className="p-1.5 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+                        title="Save name"
+                      >
+                        <Check className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ) : (
+                    <div className="flex gap-1">
+                      <button
+                        onClick={() => onPreview(isPreviewing ? null : snapshot._id)}
+                        className="flex-1 flex items-center justify-center gap-1 px-2 py-1.5 bg-gray-100 text-gray-700 text-sm rounded-md hover:bg-gray-200 transition-colors"
+                      >
+                        {isPreviewing ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+                        {isPreviewing ? 'Stop preview' : 'Preview'}
+                      </button>
+                      {canEdit && (
+                        <>
+                          <button
+                            onClick={() => setRenaming({ id: snapshot._id, name: snapshot.name || '' })}
+                            className="p-1.5 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
+                            title={snapshot.name ? 'Rename version' : 'Name version to keep it'}
+                          >
+                            <Pencil className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => handleRestore(snapshot)}
+                            className="flex items-center gap-1 px-2 py-1.5 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 transition-colors"
+                          >
+                            <RotateCcw className="w-4 h-4" /> Restore
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Compare the ticked versions on the canvas */}
+      {compareIds.length > 0 && (
+        <div className="p-3 border-t border-gray-200">
+          <button
+            onClick={handleCompare}
+            className="w-full flex items-center justify-center gap-2 px-3 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <GitCompare className="w-4 h-4" />
+            {compareIds.length === 2 ? 'Compare the two versions' : 'Compare with the board now'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,24 @@
+import React from 'react';
+
+// Must match the reactions the server accepts (REACTIONS in server/socket/validation.js)
+export const REACTIONS = ['👍', '❤️', '😂', '🎉', '😮', '👏'];
+
+// Emoji reactions, placed where the cursor last was on the canvas
+const ReactionBar = ({ onReact, disabled }) => (
+  <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 flex items-center gap-1 px-2 py-1 bg-white/95 backdrop-blur-xl rounded-full shadow-2xl border border-gray-200/60 select-none">
+    {REACTIONS.map(emoji => (
+      <button
+        key={emoji}
+        onClick={() => onReact(emoji)}
+        disabled={disabled}
+        className="w-9 h-9 flex items-center justify-center text-xl rounded-full hover:bg-gray-100 hover:scale-110 disabled:opacity-50 disabled:cursor-not-allowed transition-transform"
+        title={`React with ${emoji}`}
+      >
+        {emoji}
+      </button>
+    ))}
+    <span className="ml-1 pr-2 text-xs text-gray-500 border-l border-gray-200 pl-2">Press / to chat</span>
+  </div>
+);
+
+export default ReactionBar;
@@ -0,0 +1,113 @@
+import React from 'react';
+import { X, Play, Pause, Film } from 'lucide-react';
+import { REPLAY_SPEEDS } from '../hooks/useBoardReplay';
+
+const formatTime = (date) => new Date(date).toLocaleString([], {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+});
+
+const describeEvent = (event) => {
+  const who = event.user.name || 'Someone';
+  switch (event.type) {
+    case 'baseline':
+      return 'Start of the recording';
+    case 'created':
+      return `${who} added a ${event.element?.type || 'element'}`;
+    case 'updated':
+      return `${who} changed a ${event.element?.type || 'element'}`;
+    case 'deleted':
+      return `${who} removed an element`;
+    case 'replaced':
+      return `${who} replaced the board`;
+    default:
+      return '';
+  }
+};
+
+// Timelapse controls: play, pause, scrub through the board's recorded changes
+// and pick a speed, with who contributed how much
+const ReplayPlayer = ({ isOpen, onClose, replay }) => {
+  if (!isOpen) return null;
+
+  const { loading, loadingMore, error, events, hasMore, duration, position, isPlaying, speed, currentEvent, contributors } = replay;
+
+  return (
+    <div
+      className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 w-[40rem] max-w-[calc(100vw-2rem)] bg-gray-900/90 backdrop-blur text-white rounded-xl shadow-2xl p-3 space-y-2"
+      onKeyDown={e => e.stopPropagation()}
+    >
+      <div className="flex items-center gap-3">
+        <Film className="w-4 h-4 text-white/70 flex-shrink-0" />
+        <button
+          onClick={isPlaying ? replay.pause : replay.play}
+          disabled={events.length === 0}
+          className="p-1.5 rounded-full bg-white/20 hover:bg-white/30 disabled:opacity-50 transition-colors"
+          title={isPlaying ? 'Pause' : 'Play'}
+        >
+          {isPlaying ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={duration}
+          value={position}
+          onChange={e => replay.seek(Number(e.target.value))}
+          disabled={events.length === 0}
+          className="flex-1 accent-blue-400"
+        />
+        <select
+          value={speed}
+          onChange={e => replay.setSpeed(Number(e.target.value))}
+          className="bg-white/10 text-sm rounded px-1 py-0.5"
+          title="Playback speed"
+        >
+          {REPLAY_SPEEDS.map(value => (
+            <option key={value} value={value} className="text-gray-900">{value}×</option>
+          ))}
+        </select>
+        <button
+          onClick={onClose}
+          className="p-1 hover:bg-white/10 rounded-full transition-colors"
+          title="Back to the board"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="text-xs text-white/80">
+        {loading && 'Loading the timeline...'}
+        {!loading && error}
+        {!loading && !error && events.length === 0 && 'Nothing has been recorded on this board yet.'}
+        {!loading && !error && currentEvent && (
+          <span>
+            {formatTime(currentEvent.at)} · {describeEvent(currentEvent)}
+          </span>
+        )}
+        {hasMore && (loadingMore ? ' (loading more of the recording...)' : ' (more of the recording loads as you go)')}
+      </div>
+
+      {contributors.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {contributors.map(contributor => {
+            const isCurrent = currentEvent && currentEvent.type !== 'baseline' &&
+              (currentEvent.user._id || currentEvent.user.name || 'unknown') === contributor.key;
+            return (
+              <span
+                key={contributor.key}
+                className={`px-2 py-0.5 rounded-full text-xs ${isCurrent ? 'bg-blue-500 text-white' : 'bg-white/10 text-white/80'}`}
+              >
+                {contributor.name} · {contributor.count} change{contributor.count !== 1 ? 's' : ''}
+              </span>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReplayPlayer;
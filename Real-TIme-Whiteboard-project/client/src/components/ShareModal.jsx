@@ -11,6 +11,8 @@ const ShareModal = ({ board, user, onClose, isOpen }) => {
     expiresIn: '7d',
     description: ''
   });
+  const [allowGuests, setAllowGuests] = useState(board?.settings?.allowGuests !== false);
+  const [savingGuests, setSavingGuests] = useState(false);
 
   // Check if current user is the board owner
   const isOwner = user && board && board.owner && 
@@ -25,6 +27,10 @@ const ShareModal = ({ board, user, onClose, isOpen }) => {
     }
   }, [isOpen, board]);
 
+  useEffect(() => {
+    setAllowGuests(board?.settings?.allowGuests !== false);
+  }, [board]);
+
   const fetchShareLinks = async () => {
     setLoading(true);
     try {
@@ -149,6 +155,32 @@ const ShareModal = ({ board, user, onClose, isOpen }) => {
     }
   };
 
+  const toggleAllowGuests = async () => {
+    setSavingGuests(true);
+    try {
+      const response = await fetch(`${process.env.REACT_APP_API_URL || 'http://localhost:5000/api'}/boards/${board._id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({ settings: { allowGuests: !allowGuests } })
+      });
+
+      if (response.ok) {
+        setAllowGuests(!allowGuests);
+      } else {
+        const error = await response.json();
+        alert(error.message || 'Failed to update guest access');
+      }
+    } catch (error) {
+      console.error('Error updating guest access:', error);
+      alert('Failed to update guest access');
+    } finally {
+      setSavingGuests(false);
+    }
+  };
+
   const getPermissionIcon = (permission) => {
     switch (permission) {
       case 'view': return <Eye size={16} className="text-blue-500" />;
@@ -303,6 +335,30 @@ const ShareModal = ({ board, user, onClose, isOpen }) => {
             )}
           </div>
 
+          {/* Guest Access */}
+          {isOwner && (
+            <div className="flex items-center justify-between border rounded-lg p-4 mb-6">
+              <div>
+                <h3 className="text-sm font-medium text-gray-900">Allow guests without an account</h3>
+                <p className="text-xs text-gray-600 mt-1">
+                  Anyone with an active share link can join the live session under a temporary guest name.
+                  Turning this off disconnects guests who are already on the board.
+                </p>
+              </div>
+              <button
+                onClick={toggleAllowGuests}
+                disabled={savingGuests}
+                className={`ml-4 px-3 py-1 text-xs rounded transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                  allowGuests
+                    ? 'bg-orange-100 text-orange-700 hover:bg-orange-200'
+                    : 'bg-green-100 text-green-700 hover:bg-green-200'
+                }`}
+              >
+                {allowGuests ? 'Disable' : 'Enable'}
+              </button>
+            </div>
+          )}
+
           {/* Existing Share Links */}
           <div>
             <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center gap-2">
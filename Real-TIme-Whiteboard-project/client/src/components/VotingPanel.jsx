@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { X, Vote, Eye, Square } from 'lucide-react';
+
+const MAX_VOTES_PER_USER = 50;
+
+const getStickyLabel = (element) => {
+  const text = (element?.text || '').trim();
+  if (!text) return 'Untitled sticky';
+  return text.length > 60 ? `${text.slice(0, 60)}...` : text;
+};
+
+// Dot voting: the facilitator starts, reveals and ends a vote here, and once the
+// results are revealed everyone sees the stickies ranked by votes
+const VotingPanel = ({ isOpen, onClose, voting, canStart, elements, getVisibleRegion }) => {
+  const [votesPerUser, setVotesPerUser] = useState(3);
+  const [limitToView, setLimitToView] = useState(false);
+
+  if (!isOpen) return null;
+
+  const { session, isOpen: isVotingOpen, isRevealed, votesLeft, canRun } = voting;
+
+  const handleStart = () => {
+    const votes = Math.min(Math.max(parseInt(votesPerUser) || 1, 1), MAX_VOTES_PER_USER);
+    voting.startVoting(votes, limitToView ? getVisibleRegion() : null);
+  };
+
+  // Revealed results, joined with the stickies they are for; stickies deleted since are left out
+  const results = isRevealed
+    ? session.results
+      .map(result => ({ ...result, element: elements.find(el => String(el.id) === String(result.elementId)) }))
+      .filter(result => result.element)
+    : [];
+  const topVotes = results[0]?.votes || 1;
+
+  return (
+    <div
+      className="fixed right-4 top-20 z-40 w-80 max-h-[calc(100vh-6rem)] flex flex-col bg-white rounded-xl shadow-2xl border border-gray-200"
+      onKeyDown={e => e.stopPropagation()}
+    >
+      {/* Header */}
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+        <div className="flex items-center gap-2">
+          <Vote className="w-5 h-5 text-blue-600" />
+          <h2 className="text-base font-semibold text-gray-900">Dot voting</h2>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 hover:bg-gray-100 rounded-full transition-colors"
+          title="Close voting"
+        >
+          <X className="w-4 h-4 text-gray-500" />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-4">
+        {/* No vote running: editors can start one */}
+        {!session && (
+          canStart ? (
+            <div className="space-y-3">
+              <label className="block">
+                <span className="text-sm font-medium text-gray-700">Votes per participant</span>
+                <input
+                  type="number"
+                  min={1}
+                  max={MAX_VOTES_PER_USER}
+                  value={votesPerUser}
+                  onChange={e => setVotesPerUser(e.target.value)}
+                  className="mt-1 w-full p-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </label>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={limitToView}
+                  onChange={e => setLimitToView(e.target.checked)}
+                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                Only stickies in my current view
+              </label>
+              <button
+                onClick={handleStart}
+                className="w-full px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                Start voting
+              </button>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500 text-center py-6">No vote is running on this board.</p>
+          )
+        )}
+
+        {/* Vote in progress */}
+        {isVotingOpen && (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-600">
+              {session.facilitator.name} started a vote. Click stickies to vote; click again to take the vote back.
+            </p>
+            {session.region && (
+              <p className="flex items-center gap-1 text-xs text-gray-500">
+                <Square className="w-3 h-3" /> Only stickies inside the dashed area count.
+              </p>
+            )}
+            <div className="flex items-center justify-between p-3 rounded-lg bg-blue-50">
+              <span className="text-sm font-medium text-blue-900">Your votes left</span>
+              <span className="text-lg font-bold text-blue-700">{votesLeft} / {session.votesPerUser}</span>
+            </div>
+            <p className="text-xs text-gray-500">
+              {session.totalVotes} vote{session.totalVotes !== 1 ? 's' : ''} cast by {session.voterCount} participant{session.voterCount !== 1 ? 's' : ''}. Results are hidden until they are revealed.
+            </p>
+          </div>
+        )}
+
+        {/* Results */}
+        {isRevealed && (
+          <div className="space-y-2">
+            <p className="text-sm text-gray-600">
+              {session.totalVotes} vote{session.totalVotes !== 1 ? 's' : ''} from {session.voterCount} participant{session.voterCount !== 1 ? 's' : ''}
+            </p>
+            {results.length === 0 && (
+              <p className="text-sm text-gray-500 text-center py-4">No stickies received votes.</p>
+            )}
+            {results.map((result, index) => (
+              <div key={result.elementId} className="p-2 rounded-lg border border-gray-200">
+                <div className="flex items-start justify-between gap-2">
+                  <span className="text-sm text-gray-900 break-words">
+                    <span className="font-semibold text-gray-500 mr-1">{index + 1}.</span>
+                    {getStickyLabel(result.element)}
+                  </span>
+                  <span className="shrink-0 text-sm font-bold text-blue-700">{result.votes}</span>
+                </div>
+                <div className="mt-1 h-1.5 rounded-full bg-gray-100">
+                  <div className="h-1.5 rounded-full bg-blue-500" style={{ width: `${(result.votes / topVotes) * 100}%` }} />
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Facilitator controls */}
+      {session && canRun && (
+        <div className="flex gap-2 p-3 border-t border-gray-200">
+          {isVotingOpen && (
+            <button
+              onClick={voting.revealVotes}
+              className="flex-1 flex items-center justify-center gap-1 px-3 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              <Eye className="w-4 h-4" /> Reveal results
+            </button>
+          )}
+          <button
+            onClick={voting.endVoting}
+            className="flex-1 px-3 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            End vote
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VotingPanel;
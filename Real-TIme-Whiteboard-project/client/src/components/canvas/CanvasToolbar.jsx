@@ -1,5 +1,6 @@
 import React from 'react';
-import { Square, Type, StickyNote, Minus, ArrowRight, PenTool, Move, RotateCcw, RotateCw, Palette, Trash2, Copy } from 'lucide-react';
+import { Square, Type, StickyNote, Minus, ArrowRight, PenTool, Move, RotateCcw, RotateCw, Palette, Trash2, Copy, Zap, Highlighter } from 'lucide-react';
+import { INK_TOOLS } from '../../hooks/useEphemeralInk';
 
 const CanvasToolbar = ({
   activeTool,
@@ -32,6 +33,8 @@ const CanvasToolbar = ({
     { id: 'line', icon: Minus, label: 'Line' },
     { id: 'arrow', icon: ArrowRight, label: 'Arrow' },
     { id: 'freehand', icon: PenTool, label: 'Draw' },
+    { id: 'laser', icon: Zap, label: 'Laser Pointer' },
+    { id: 'ink', icon: Highlighter, label: 'Temporary Pen' },
   ];
 
   const strokeSizes = [1, 2, 3, 5, 8, 12];
@@ -71,13 +74,14 @@ const CanvasToolbar = ({
         <div className="flex items-center space-x-1">
           {tools.map((tool) => {
             const Icon = tool.icon;
-            const isDisabled = !canEdit && tool.id !== 'select';
+            // Presenting tools never change the board, so viewers can use them too
+            const isDisabled = !canEdit && tool.id !== 'select' && !INK_TOOLS.includes(tool.id);
             return (
               <button
                 key={tool.id}
                 onClick={() => {
                   if (isDisabled) return;
-                  if (tool.id === activeTool) {
+                  if (tool.id === activeTool && !INK_TOOLS.includes(tool.id)) {
                     onAddElement(tool.id);
                   } else {
                     setActiveTool(tool.id);
@@ -163,7 +167,7 @@ const CanvasToolbar = ({
           </div>
 
           {/* Stroke Width */}
-          {(activeTool === 'freehand' || activeTool === 'line' || activeTool === 'arrow') && (
+          {(activeTool === 'freehand' || activeTool === 'ink' || activeTool === 'line' || activeTool === 'arrow') && (
             <div className="relative">
               <button
                 onClick={() => setShowStrokePanel(!showStrokePanel)}
@@ -1,5 +1,7 @@
 import React from 'react';
 import { useMemo } from 'react';
+import EphemeralInkLayer from './EphemeralInkLayer';
+import VersionDiffLayer from './VersionDiffLayer';
 
 const CanvasViewport = ({
   scrollRef,
@@ -17,6 +19,9 @@ const CanvasViewport = ({
   onTouchEnd,
   onWheel,
   onContextMenu,
+  inkStrokes,
+  inkNow,
+  diff, // while set, elements are the later version and the board is read-only
   children
 }) => {
   // Generate grid pattern
@@ -55,15 +60,15 @@ const CanvasViewport = ({
           height: '5000px',
           transform: `scale(${scale})`,
           transformOrigin: '0 0',
-          cursor: activeTool === 'select' ? 'default' : 'crosshair'
+          cursor: diff || activeTool === 'select' ? 'default' : 'crosshair'
         }}
-        onMouseDown={onMouseDown}
-        onMouseMove={onMouseMove}
-        onMouseUp={onMouseUp}
-        onTouchStart={onTouchStart}
-        onTouchMove={onTouchMove}
-        onTouchEnd={onTouchEnd}
-        onContextMenu={onContextMenu}
+        onMouseDown={diff ? undefined : onMouseDown}
+        onMouseMove={diff ? undefined : onMouseMove}
+        onMouseUp={diff ? undefined : onMouseUp}
+        onTouchStart={diff ? undefined : onTouchStart}
+        onTouchMove={diff ? undefined : onTouchMove}
+        onTouchEnd={diff ? undefined : onTouchEnd}
+        onContextMenu={diff ? undefined : onContextMenu}
       >
         {/* Grid Background */}
         <svg
@@ -79,16 +84,22 @@ const CanvasViewport = ({
           <CanvasElement
             key={element.id}
             element={element}
-            isSelected={selectedElement?.id === element.id}
+            isSelected={!diff && selectedElement?.id === element.id}
             scale={scale}
           />
         ))}
 
+        {/* What changed between the versions being compared */}
+        {diff && <VersionDiffLayer diff={diff} />}
+
+        {/* Laser pointer trails and temporary ink */}
+        <EphemeralInkLayer strokes={inkStrokes} now={inkNow} />
+
         {/* Additional children (like temporary drawing elements) */}
         {children}
 
         {/* Context Menu */}
-        {contextMenu.visible && (
+        {contextMenu.visible && !diff && (
           <div
             className="absolute bg-white rounded-lg shadow-lg border border-gray-200 py-1 z-50 min-w-[120px]"
             style={{
@@ -0,0 +1,67 @@
+import React from 'react';
+import { LASER_TRAIL } from '../../hooks/useEphemeralInk';
+
+const toPath = (points) => `M ${points.map(p => `${p.x},${p.y}`).join(' L ')}`;
+
+// Laser trails and temporary ink, drawn over the board in canvas coordinates
+const EphemeralInkLayer = ({ strokes, now }) => {
+  if (!strokes || strokes.length === 0) return null;
+
+  return (
+    <svg
+      className="absolute inset-0 pointer-events-none"
+      style={{ width: '100%', height: '100%', overflow: 'visible', zIndex: 40 }}
+    >
+      {strokes.map(stroke => {
+        const { key, points, color } = stroke;
+        if (points.length === 0) return null;
+
+        if (stroke.tool === 'ink') {
+          return (
+            <path
+              key={key}
+              d={points.length > 1 ? toPath(points) : `M ${points[0].x},${points[0].y} l 0.01,0`}
+              stroke={color || '#111827'}
+              strokeWidth={stroke.width || 3}
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              fill="none"
+              opacity={stroke.opacity}
+            />
+          );
+        }
+
+        // Laser: each segment fades with its age, with a glowing dot at the head
+        const head = points[points.length - 1];
+        return (
+          <g key={key}>
+            {points.slice(1).map((point, index) => {
+              const age = Math.min(1, (now - point.t) / LASER_TRAIL);
+              return (
+                <line
+                  key={index}
+                  x1={points[index].x}
+                  y1={points[index].y}
+                  x2={point.x}
+                  y2={point.y}
+                  stroke={color}
+                  strokeWidth={4 * (1 - age) + 1}
+                  strokeLinecap="round"
+                  opacity={1 - age}
+                />
+              );
+            })}
+            {stroke.held && (
+              <>
+                <circle cx={head.x} cy={head.y} r={10} fill={color} opacity={0.25} />
+                <circle cx={head.x} cy={head.y} r={4} fill={color} />
+              </>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default EphemeralInkLayer;
@@ -0,0 +1,98 @@
+import React from 'react';
+import { getElementBounds } from '../../utils/canvas/elementUtils';
+
+const PADDING = 6;
+
+const COLORS = {
+  added: '#16A34A',
+  removed: '#DC2626',
+  changed: '#D97706',
+};
+
+const Outline = ({ element, stroke, fill = 'none', dashed = false, opacity = 1 }) => {
+  const { x, y, width, height } = getElementBounds(element);
+  return (
+    <rect
+      x={x - PADDING}
+      y={y - PADDING}
+      width={width + PADDING * 2}
+      height={height + PADDING * 2}
+      rx={8}
+      stroke={stroke}
+      strokeWidth={2}
+      strokeDasharray={dashed ? '6 4' : undefined}
+      fill={fill}
+      opacity={opacity}
+    />
+  );
+};
+
+const center = (element) => {
+  const { x, y, width, height } = getElementBounds(element);
+  return { x: x + width / 2, y: y + height / 2 };
+};
+
+// What changed between two versions of a board, drawn over the later one:
+// added elements in green, removed ones as red ghosts where they used to be,
+// and changed ones with their old outline dashed and their new one solid
+const VersionDiffLayer = ({ diff }) => {
+  if (!diff) return null;
+
+  return (
+    <svg
+      className="absolute inset-0 pointer-events-none"
+      style={{ width: '100%', height: '100%', overflow: 'visible', zIndex: 30 }}
+    >
+      <defs>
+        <marker id="diff-moved" markerWidth="8" markerHeight="6" refX="7" refY="3" orient="auto">
+          <polygon points="0 0, 8 3, 0 6" fill={COLORS.changed} />
+        </marker>
+      </defs>
+
+      {diff.removed.map(element => {
+        const { x, y } = getElementBounds(element);
+        return (
+          <g key={`removed-${element.id}`}>
+            <Outline element={element} stroke={COLORS.removed} fill={COLORS.removed} dashed opacity={0.35} />
+            <Outline element={element} stroke={COLORS.removed} dashed />
+            {element.text && (
+              <text x={x} y={y + 14} fontSize={13} fill={COLORS.removed} textDecoration="line-through">
+                {element.text.length > 40 ? `${element.text.slice(0, 40)}...` : element.text}
+              </text>
+            )}
+          </g>
+        );
+      })}
+
+      {diff.changed.map(({ id, before, after }) => {
+        const from = center(before);
+        const to = center(after);
+        const moved = Math.hypot(to.x - from.x, to.y - from.y) > 1;
+        return (
+          <g key={`changed-${id}`}>
+            <Outline element={before} stroke={COLORS.changed} dashed opacity={0.6} />
+            <Outline element={after} stroke={COLORS.changed} />
+            {moved && (
+              <line
+                x1={from.x}
+                y1={from.y}
+                x2={to.x}
+                y2={to.y}
+                stroke={COLORS.changed}
+                strokeWidth={1.5}
+                strokeDasharray="4 3"
+                markerEnd="url(#diff-moved)"
+              />
+            )}
+          </g>
+        );
+      })}
+
+      {diff.added.map(element => (
+        <Outline key={`added-${element.id}`} element={element} stroke={COLORS.added} fill="rgba(22, 163, 74, 0.12)" />
+      ))}
+    </svg>
+  );
+};
+
+export default VersionDiffLayer;
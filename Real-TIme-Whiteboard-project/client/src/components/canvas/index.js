@@ -2,6 +2,8 @@
 export { default as CanvasToolbar } from './CanvasToolbar';
 export { default as CanvasViewport } from './CanvasViewport';
 export { default as CanvasZoomControls } from './CanvasZoomControls';
+export { default as EphemeralInkLayer } from './EphemeralInkLayer';
+export { default as VersionDiffLayer } from './VersionDiffLayer';
 
 // Re-export existing canvas components
 export { default as BoardSharing } from './BoardSharing';
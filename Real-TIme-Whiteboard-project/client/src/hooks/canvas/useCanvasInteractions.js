@@ -170,6 +170,7 @@ export const useCanvasInteractions = ({
         y2: pos.y,
         strokeColor,
         strokeWidth,
+        revision: 1,
       };
       setElements(prev => [...prev, newElement]);
       setDrawingTempId(tempId);
@@ -182,6 +183,7 @@ export const useCanvasInteractions = ({
         points: [pos],
         strokeColor,
         strokeWidth,
+        revision: 1,
       };
       setElements(prev => [...prev, newElement]);
       setDrawingTempId(tempId);
@@ -0,0 +1,195 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import socketService from '../services/socketService';
+
+const PAGE_SIZE = 50;
+
+// Typing indicators disappear if the typist goes quiet without saying so
+const TYPING_TIMEOUT = 5000;
+
+// While typing, tell the others again at most this often
+const TYPING_REPEAT = 3000;
+
+const newClientId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Board chat over the collaboration socket.
+ *
+ * Loads the latest page of messages when we join the board and older pages on
+ * request. Messages we send show straight away and are swapped for the stored
+ * copy when the server echoes them back. Unread messages are counted while the
+ * panel is closed and marked read once it is open.
+ */
+export const useBoardChat = ({ isConnected, isOpen, user }) => {
+  const [messages, setMessages] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingHistory, setLoadingHistory] = useState(false);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [typingUsers, setTypingUsers] = useState(new Map()); // userId -> user
+  const typingTimeoutsRef = useRef(new Map());
+  const lastTypingSentRef = useRef(0);
+
+  const isOpenRef = useRef(isOpen);
+  isOpenRef.current = isOpen;
+
+  const stopTypingIndicator = useCallback((userId) => {
+    clearTimeout(typingTimeoutsRef.current.get(userId));
+    typingTimeoutsRef.current.delete(userId);
+    setTypingUsers(prev => {
+      if (!prev.has(userId)) return prev;
+      const next = new Map(prev);
+      next.delete(userId);
+      return next;
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!isConnected || !socketService.socket) return;
+
+    // (Re)joining the board: start from the latest page
+    const handleBoardJoined = () => {
+      setLoadingHistory(true);
+      socketService.requestChatHistory(null, PAGE_SIZE);
+    };
+
+    const handleHistory = ({ before, messages: page, hasMore: more }) => {
+      setMessages(prev => (before ? [...page, ...prev] : page));
+      setHasMore(more);
+      setLoadingHistory(false);
+    };
+
+    const handleMessage = (message) => {
+      const isOwn = message.connectionId === socketService.getSocketId();
+
+      setMessages(prev => {
+        if (isOwn && message.clientId) {
+          const pendingIndex = prev.findIndex(m => m.clientId === message.clientId);
+          if (pendingIndex >= 0) {
+            const next = [...prev];
+            next[pendingIndex] = message;
+            return next;
+          }
+        }
+        return [...prev, message];
+      });
+
+      if (isOwn) return;
+      stopTypingIndicator(message.author._id);
+
+      if (isOpenRef.current) {
+        socketService.markChatRead();
+      } else {
+        setUnreadCount(count => count + 1);
+      }
+    };
+
+    const handleUnread = ({ count }) => {
+      setUnreadCount(isOpenRef.current ? 0 : count);
+    };
+
+    const handleTyping = ({ userId, user: typist, isTyping }) => {
+      if (!isTyping) {
+        stopTypingIndicator(userId);
+        return;
+      }
+
+      setTypingUsers(prev => new Map(prev).set(userId, typist));
+      clearTimeout(typingTimeoutsRef.current.get(userId));
+      typingTimeoutsRef.current.set(userId, setTimeout(() => stopTypingIndicator(userId), TYPING_TIMEOUT));
+    };
+
+    // A message we sent could not be stored
+    const handleError = (error) => {
+      if (error.code !== 'CHAT_SEND_FAILED' || !error.clientId) return;
+      setMessages(prev => prev.map(m => (m.clientId === error.clientId ? { ...m, pending: false, failed: true } : m)));
+    };
+
+    const handleUserLeft = ({ userId }) => stopTypingIndicator(userId);
+
+    socketService.on('board-joined', handleBoardJoined);
+    socketService.on('chat-history', handleHistory);
+    socketService.on('chat-message', handleMessage);
+    socketService.on('chat-unread', handleUnread);
+    socketService.on('chat-user-typing', handleTyping);
+    socketService.on('error', handleError);
+    socketService.on('user-left', handleUserLeft);
+
+    const typingTimeouts = typingTimeoutsRef.current;
+    return () => {
+      socketService.off('board-joined', handleBoardJoined);
+      socketService.off('chat-history', handleHistory);
+      socketService.off('chat-message', handleMessage);
+      socketService.off('chat-unread', handleUnread);
+      socketService.off('chat-user-typing', handleTyping);
+      socketService.off('error', handleError);
+      socketService.off('user-left', handleUserLeft);
+      typingTimeouts.forEach(timeout => clearTimeout(timeout));
+      typingTimeouts.clear();
+    };
+  }, [isConnected, stopTypingIndicator]);
+
+  // Opening the panel reads everything in it
+  useEffect(() => {
+    if (isOpen && isConnected) {
+      setUnreadCount(0);
+      socketService.markChatRead();
+    }
+  }, [isOpen, isConnected]);
+
+  const loadOlder = useCallback(() => {
+    const oldest = messages.find(m => m._id);
+    if (!hasMore || loadingHistory || !oldest) return;
+
+    setLoadingHistory(true);
+    socketService.requestChatHistory(oldest._id, PAGE_SIZE);
+  }, [messages, hasMore, loadingHistory]);
+
+  const sendMessage = useCallback((text) => {
+    const trimmed = text.trim();
+    if (!trimmed || !isConnected) return;
+
+    const clientId = newClientId();
+    setMessages(prev => [...prev, {
+      clientId,
+      text: trimmed,
+      author: {
+        _id: user?._id,
+        name: user?.name || 'You',
+        avatar: user?.avatar,
+      },
+      createdAt: new Date().toISOString(),
+      pending: true,
+    }]);
+
+    lastTypingSentRef.current = 0;
+    socketService.sendChatMessage(trimmed, clientId);
+  }, [isConnected, user]);
+
+  // Call on every keystroke; repeated "typing" notices are throttled
+  const setTyping = useCallback((isTyping) => {
+    if (!isConnected) return;
+
+    if (!isTyping) {
+      if (lastTypingSentRef.current) {
+        lastTypingSentRef.current = 0;
+        socketService.sendChatTyping(false);
+      }
+      return;
+    }
+
+    if (Date.now() - lastTypingSentRef.current >= TYPING_REPEAT) {
+      lastTypingSentRef.current = Date.now();
+      socketService.sendChatTyping(true);
+    }
+  }, [isConnected]);
+
+  return {
+    messages,
+    hasMore,
+    loadingHistory,
+    unreadCount,
+    typingUsers: Array.from(typingUsers.values()),
+    loadOlder,
+    sendMessage,
+    setTyping,
+  };
+};
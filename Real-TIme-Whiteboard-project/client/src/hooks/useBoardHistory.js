@@ -0,0 +1,119 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import boardService from '../services/boardService';
+import socketService from '../services/socketService';
+
+const errorMessage = (error, fallback) => error.response?.data?.message || fallback;
+
+/**
+ * Version history of a board.
+ *
+ * The server keeps snapshots of the board: every so often while it is edited,
+ * before a bulk change removes much of it, and when someone saves a named
+ * version. The list is loaded while the history panel is open. When anyone
+ * restores a version the server sends the restored elements to everyone on the
+ * board, and they are passed to onRestore.
+ */
+export const useBoardHistory = ({ boardId, isConnected, isOpen, onRestore }) => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [currentVersion, setCurrentVersion] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const onRestoreRef = useRef(onRestore);
+  onRestoreRef.current = onRestore;
+
+  const refresh = useCallback(async () => {
+    if (!boardId) return;
+    setLoading(true);
+    try {
+      const data = await boardService.getSnapshots(boardId);
+      setSnapshots(data.snapshots);
+      setCurrentVersion(data.currentVersion);
+      setError(null);
+    } catch (err) {
+      setError(errorMessage(err, 'Could not load the version history'));
+    } finally {
+      setLoading(false);
+    }
+  }, [boardId]);
+
+  useEffect(() => {
+    if (isOpen) refresh();
+  }, [isOpen, refresh]);
+
+  const isOpenRef = useRef(isOpen);
+  isOpenRef.current = isOpen;
+
+  useEffect(() => {
+    if (!isConnected || !socketService.socket) return;
+
+    const handleRestored = (data) => {
+      onRestoreRef.current?.(data.elements, data);
+      if (isOpenRef.current) refresh();
+    };
+
+    socketService.on('board-restored', handleRestored);
+    return () => socketService.off('board-restored', handleRestored);
+  }, [isConnected, refresh]);
+
+  // Each action resolves to true when it worked; failures are kept in error
+  const run = useCallback(async (action, fallback) => {
+    try {
+      const result = await action();
+      setError(null);
+      return result ?? true;
+    } catch (err) {
+      setError(errorMessage(err, fallback));
+      return false;
+    }
+  }, []);
+
+  const saveVersion = useCallback((name) => run(async () => {
+    await boardService.createSnapshot(boardId, name);
+    await refresh();
+  }, 'Could not save the version'), [boardId, refresh, run]);
+
+  const renameVersion = useCallback((snapshotId, name) => run(async () => {
+    const { snapshot } = await boardService.renameSnapshot(boardId, snapshotId, name);
+    setSnapshots(prev => prev.map(entry => entry._id === snapshot._id ? snapshot : entry));
+  }, 'Could not rename the version'), [boardId, run]);
+
+  // The version with its elements, for previewing it on the canvas
+  const loadVersion = useCallback((snapshotId) => run(async () => {
+    const { snapshot } = await boardService.getSnapshot(boardId, snapshotId);
+    return snapshot;
+  }, 'Could not load the version'), [boardId, run]);
+
+  // How the version differs from the board now
+  const compareVersion = useCallback((snapshotId) => run(async () => {
+    const { summary } = await boardService.getSnapshotDiff(boardId, snapshotId);
+    return summary;
+  }, 'Could not compare the version'), [boardId, run]);
+
+  // The full diff between two versions (or one and the board now), to show on
+  // the canvas, with the changes grouped by author
+  const compareVersions = useCallback((fromId, toId = null) => run(
+    () => boardService.compareVersions(boardId, fromId, toId),
+    'Could not compare the versions'
+  ), [boardId, run]);
+
+  const restoreVersion = useCallback((snapshotId, includeSettings = true) => run(async () => {
+    const data = await boardService.restoreSnapshot(boardId, snapshotId, includeSettings);
+    // Also sent over the socket; applying it here covers a dropped connection
+    onRestoreRef.current?.(data.elements, data);
+    await refresh();
+  }, 'Could not restore the version'), [boardId, refresh, run]);
+
+  return {
+    snapshots,
+    currentVersion,
+    loading,
+    error,
+    refresh,
+    saveVersion,
+    renameVersion,
+    loadVersion,
+    compareVersion,
+    compareVersions,
+    restoreVersion,
+  };
+};
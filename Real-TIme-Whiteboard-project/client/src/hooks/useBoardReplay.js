@@ -0,0 +1,236 @@
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import boardService from '../services/boardService';
+
+export const REPLAY_SPEEDS = [1, 2, 4, 8, 16];
+
+// Longest quiet spell between two changes that is played out; longer ones are cut short
+const MAX_GAP = 2000;
+
+// Keep the rebuilt board every this many events, so scrubbing stays quick
+const CHECKPOINT_EVERY = 200;
+
+// How often the playhead moves while playing
+const TICK = 50;
+
+// Load the next page of the recording once the playhead is this many events from the end
+const PREFETCH_MARGIN = 500;
+
+// Apply one recorded event to a board held as id -> element
+const applyEvent = (board, event) => {
+  switch (event.type) {
+    case 'baseline':
+    case 'replaced':
+      return new Map(event.elements.map(element => [String(element.id), element]));
+    case 'created':
+    case 'updated':
+      board.set(event.elementId, event.element);
+      return board;
+    case 'deleted':
+      board.delete(event.elementId);
+      return board;
+    default:
+      return board;
+  }
+};
+
+// Where each event falls in the replay, in milliseconds from its start
+const buildTimeline = (events) => {
+  let offset = 0;
+  return events.map((event, index) => {
+    if (index > 0) {
+      offset += Math.min(MAX_GAP, new Date(event.at) - new Date(events[index - 1].at));
+    }
+    return offset;
+  });
+};
+
+// Index of the last event at or before position, or -1 before the first
+const findEventAt = (offsets, position) => {
+  let low = 0;
+  let high = offsets.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (offsets[middle] <= position) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return found;
+};
+
+/**
+ * Timelapse replay of a board.
+ *
+ * The server records every element change made to a board, starting from a
+ * baseline of the board when recording began. While the player is open the
+ * stream is loaded page by page, each page as the playhead nears the end of
+ * the last, and the board is rebuilt at the playhead: playing moves it on at
+ * the chosen speed, and seek jumps anywhere loaded so far. Long pauses in the
+ * session are shortened so a workshop can be watched in minutes.
+ */
+export const useBoardReplay = ({ boardId, isOpen }) => {
+  const [events, setEvents] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [position, setPosition] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(REPLAY_SPEEDS[1]);
+
+  // Where the next page starts, and which opening of the player a response belongs to
+  const cursorRef = useRef(null);
+  const loadIdRef = useRef(0);
+  const fetchingRef = useRef(false);
+
+  useEffect(() => {
+    setIsPlaying(false);
+    setPosition(0);
+    setEvents([]);
+    setHasMore(false);
+    cursorRef.current = null;
+    fetchingRef.current = false;
+    const loadId = ++loadIdRef.current;
+    if (!isOpen || !boardId) return;
+
+    setLoading(true);
+    boardService.getBoardEvents(boardId)
+      .then(data => {
+        if (loadIdRef.current !== loadId) return;
+        setEvents(data.events);
+        setHasMore(data.hasMore);
+        cursorRef.current = data.nextCursor;
+        setError(null);
+      })
+      .catch(err => {
+        if (loadIdRef.current === loadId) setError(err.response?.data?.message || 'Could not load the board timeline');
+      })
+      .finally(() => {
+        if (loadIdRef.current === loadId) setLoading(false);
+      });
+
+    return () => { loadIdRef.current += 1; };
+  }, [boardId, isOpen]);
+
+  const loadMore = useCallback(() => {
+    if (fetchingRef.current || !cursorRef.current) return;
+
+    const loadId = loadIdRef.current;
+    fetchingRef.current = true;
+    setLoadingMore(true);
+    boardService.getBoardEvents(boardId, cursorRef.current)
+      .then(data => {
+        if (loadIdRef.current !== loadId) return;
+        setEvents(prev => [...prev, ...data.events]);
+        setHasMore(data.hasMore);
+        cursorRef.current = data.nextCursor;
+      })
+      .catch(err => {
+        if (loadIdRef.current !== loadId) return;
+        setHasMore(false);
+        setError(err.response?.data?.message || 'Could not load the rest of the board timeline');
+      })
+      .finally(() => {
+        if (loadIdRef.current !== loadId) return;
+        fetchingRef.current = false;
+        setLoadingMore(false);
+      });
+  }, [boardId]);
+
+  const offsets = useMemo(() => buildTimeline(events), [events]);
+  const duration = offsets.length > 0 ? offsets[offsets.length - 1] : 0;
+
+  const checkpoints = useMemo(() => {
+    let board = new Map();
+    const kept = [];
+    events.forEach((event, index) => {
+      board = applyEvent(board, event);
+      if (index % CHECKPOINT_EVERY === 0) kept.push(new Map(board));
+    });
+    return kept;
+  }, [events]);
+
+  const currentIndex = findEventAt(offsets, position);
+
+  // Fetch the next page before the playhead runs out of events
+  useEffect(() => {
+    if (hasMore && currentIndex >= events.length - PREFETCH_MARGIN) loadMore();
+  }, [hasMore, currentIndex, events.length, loadMore]);
+
+  // The board as it was at the playhead
+  const elements = useMemo(() => {
+    if (currentIndex < 0) return [];
+    const checkpoint = Math.floor(currentIndex / CHECKPOINT_EVERY);
+    let board = new Map(checkpoints[checkpoint]);
+    for (let index = checkpoint * CHECKPOINT_EVERY + 1; index <= currentIndex; index += 1) {
+      board = applyEvent(board, events[index]);
+    }
+    return Array.from(board.values());
+  }, [currentIndex, checkpoints, events]);
+
+  // Who changed the board, and how often, over the recording loaded so far
+  const contributors = useMemo(() => {
+    const counts = new Map();
+    events.forEach(event => {
+      if (event.type === 'baseline') return;
+      const key = event.user._id || event.user.name || 'unknown';
+      const entry = counts.get(key) || { key, name: event.user.name || 'Someone', count: 0 };
+      entry.count += 1;
+      counts.set(key, entry);
+    });
+    return Array.from(counts.values()).sort((a, b) => b.count - a.count);
+  }, [events]);
+
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    let last = Date.now();
+    const timer = setInterval(() => {
+      const now = Date.now();
+      const step = (now - last) * speed;
+      last = now;
+      setPosition(prev => Math.min(duration, prev + step));
+    }, TICK);
+
+    return () => clearInterval(timer);
+  }, [isPlaying, speed, duration]);
+
+  // Stop at the end of the recording; at the end of a page, wait for the next one
+  useEffect(() => {
+    if (isPlaying && position >= duration && !hasMore) setIsPlaying(false);
+  }, [isPlaying, position, duration, hasMore]);
+
+  const play = useCallback(() => {
+    // Playing from the end starts over
+    setPosition(prev => (prev >= duration && !hasMore ? 0 : prev));
+    setIsPlaying(true);
+  }, [duration, hasMore]);
+
+  const pause = useCallback(() => setIsPlaying(false), []);
+
+  const seek = useCallback((value) => {
+    setPosition(Math.max(0, Math.min(duration, value)));
+  }, [duration]);
+
+  return {
+    events,
+    hasMore,
+    loading,
+    loadingMore,
+    error,
+    duration,
+    position,
+    isPlaying,
+    speed,
+    elements,
+    currentEvent: currentIndex >= 0 ? events[currentIndex] : null,
+    contributors,
+    play,
+    pause,
+    seek,
+    setSpeed,
+  };
+};
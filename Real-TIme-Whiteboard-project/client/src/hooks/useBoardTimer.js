@@ -0,0 +1,87 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import socketService from '../services/socketService';
+
+// How often the countdown is redrawn while the timer runs
+const TICK_INTERVAL = 250;
+
+// How long the "time's up" alert stays up unless dismissed
+const ALERT_DURATION = 10000;
+
+/**
+ * Shared board timer over the collaboration socket.
+ *
+ * The server keeps the timer and sends it whenever it changes (and when we
+ * join), with its own clock so ours being off does not matter. We count down
+ * locally from the end time. When the server says the timer ran out while we
+ * were watching, alerting is set for a while.
+ */
+export const useBoardTimer = ({ isConnected }) => {
+  const [timer, setTimer] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [alerting, setAlerting] = useState(false);
+  const clockOffsetRef = useRef(0); // server clock minus ours
+  const alertTimeoutRef = useRef(null);
+
+  const dismissAlert = useCallback(() => {
+    clearTimeout(alertTimeoutRef.current);
+    setAlerting(false);
+  }, []);
+
+  useEffect(() => {
+    if (!isConnected || !socketService.socket) return;
+
+    const handleUpdated = ({ timer: current, finished }) => {
+      clockOffsetRef.current = new Date(current.serverTime).getTime() - Date.now();
+      setTimer(current);
+      setNow(Date.now());
+
+      if (finished) {
+        setAlerting(true);
+        clearTimeout(alertTimeoutRef.current);
+        alertTimeoutRef.current = setTimeout(() => setAlerting(false), ALERT_DURATION);
+      } else if (current.status !== 'finished') {
+        dismissAlert();
+      }
+    };
+
+    socketService.on('timer-updated', handleUpdated);
+    return () => socketService.off('timer-updated', handleUpdated);
+  }, [isConnected, dismissAlert]);
+
+  const isRunning = timer?.status === 'running';
+
+  useEffect(() => {
+    if (!isRunning) return;
+    const interval = setInterval(() => setNow(Date.now()), TICK_INTERVAL);
+    return () => clearInterval(interval);
+  }, [isRunning]);
+
+  useEffect(() => () => clearTimeout(alertTimeoutRef.current), []);
+
+  let remaining = 0;
+  if (isRunning) {
+    remaining = Math.max(0, new Date(timer.endsAt).getTime() - (now + clockOffsetRef.current));
+  } else if (timer?.status === 'paused') {
+    remaining = timer.remaining;
+  }
+
+  const start = useCallback((duration) => socketService.startTimer(duration), []);
+  const pause = useCallback(() => socketService.pauseTimer(), []);
+  const resume = useCallback(() => socketService.resumeTimer(), []);
+  const extend = useCallback((amount) => socketService.extendTimer(amount), []);
+  const reset = useCallback(() => socketService.resetTimer(), []);
+
+  return {
+    status: timer?.status || 'idle',
+    duration: timer?.duration || 0,
+    remaining,
+    updatedBy: timer?.updatedBy || null,
+    alerting,
+    dismissAlert,
+    start,
+    pause,
+    resume,
+    extend,
+    reset,
+  };
+};
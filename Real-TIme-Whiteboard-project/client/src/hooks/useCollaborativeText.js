@@ -0,0 +1,260 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import socketService from '../services/socketService';
+import { apply, compose, transform, transformPosition, fromDiff, isNoop } from '../utils/canvas/textOperations';
+
+// Identifies one editing document to the server, across reconnects
+const newClientId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Operations are numbered, so the server applies each one once and can tell
+// us which of ours it already has
+const sendOperation = (elementId, doc, op) => {
+  doc.outstanding = op;
+  doc.seq += 1;
+  socketService.sendTextOperation(elementId, doc.version, op, doc.clientId, doc.seq);
+};
+
+// Leave a session we stopped editing once nothing is waiting for an ack
+const finishIfClosing = (documents, elementId, doc) => {
+  if (doc.closing && !doc.outstanding) {
+    documents.delete(elementId);
+    socketService.leaveTextSession(elementId);
+  }
+};
+
+/**
+ * Character-level collaborative editing for text and sticky elements.
+ *
+ * Each element being edited has a document that tracks the server version we
+ * have seen, the operation waiting for an ack and anything typed meanwhile.
+ * Remote operations are transformed over our unacknowledged edits so every
+ * client ends up with the same text.
+ */
+export const useCollaborativeText = ({ isConnected, onRemoteText, onRevision }) => {
+  const [remoteCarets, setRemoteCarets] = useState(new Map()); // elementId -> Map(connectionId -> caret)
+  const documentsRef = useRef(new Map());
+  const lastCaretRef = useRef(new Map());
+
+  // Keep the latest callbacks without re-subscribing on every render
+  const callbacksRef = useRef({ onRemoteText, onRevision });
+  callbacksRef.current = { onRemoteText, onRevision };
+
+  const updateCarets = useCallback((elementId, update) => {
+    setRemoteCarets(prev => {
+      const next = new Map(prev);
+      const carets = update(new Map(prev.get(elementId) || []));
+      if (carets.size > 0) {
+        next.set(elementId, carets);
+      } else {
+        next.delete(elementId);
+      }
+      return next;
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!isConnected || !socketService.socket) return;
+
+    // Full state on join, or after we fell out of step: rebase local edits on it
+    const handleSessionState = ({ elementId, text, version, clientSeq = 0, carets }) => {
+      const id = String(elementId);
+      const doc = documentsRef.current.get(id);
+      if (!doc) return;
+
+      // If the ack was lost with a dropped connection, the server may already
+      // have our outstanding operation: then only what we typed after it is ours
+      // to send again
+      const base = doc.outstanding && clientSeq >= doc.seq
+        ? apply(doc.serverText, doc.outstanding)
+        : doc.serverText;
+      const localOp = fromDiff(base, doc.text);
+      const serverOp = fromDiff(base, text);
+      const [rebased] = transform(localOp, serverOp);
+
+      doc.serverText = text;
+      doc.version = version;
+      doc.outstanding = null;
+      doc.buffer = null;
+      doc.ready = true;
+      doc.text = apply(text, rebased);
+
+      callbacksRef.current.onRemoteText?.(elementId, doc.text, null);
+      if (!isNoop(rebased)) {
+        sendOperation(id, doc, rebased);
+      } else {
+        finishIfClosing(documentsRef.current, id, doc);
+      }
+
+      updateCarets(id, () => new Map(carets.map(caret => [caret.connectionId, caret])));
+    };
+
+    // The server accepted our outstanding operation
+    const handleAck = ({ elementId, version, seq, revision }) => {
+      const id = String(elementId);
+      const doc = documentsRef.current.get(id);
+      if (doc?.outstanding && (seq === undefined || seq === doc.seq)) {
+        doc.serverText = apply(doc.serverText, doc.outstanding);
+        doc.version = version;
+        doc.outstanding = null;
+        if (doc.buffer) {
+          const buffer = doc.buffer;
+          doc.buffer = null;
+          sendOperation(id, doc, buffer);
+        } else {
+          finishIfClosing(documentsRef.current, id, doc);
+        }
+      }
+      if (revision !== undefined) callbacksRef.current.onRevision?.(elementId, revision);
+    };
+
+    // Someone else's operation, already ordered by the server
+    const handleRemoteOperation = ({ elementId, version, op, text, revision, connectionId }) => {
+      const id = String(elementId);
+      const doc = documentsRef.current.get(id);
+
+      if (!doc || !doc.ready) {
+        // Not editing this element ourselves: just show the result
+        callbacksRef.current.onRemoteText?.(elementId, text, null);
+      } else if (version !== doc.version + 1) {
+        // Missed something; ask for the current state and rebase on it
+        socketService.joinTextSession(elementId, doc.clientId);
+        return;
+      } else {
+        let remoteOp = op;
+        doc.serverText = apply(doc.serverText, remoteOp);
+        if (doc.outstanding) {
+          [doc.outstanding, remoteOp] = transform(doc.outstanding, remoteOp);
+        }
+        if (doc.buffer) {
+          [doc.buffer, remoteOp] = transform(doc.buffer, remoteOp);
+        }
+        doc.text = apply(doc.text, remoteOp);
+        doc.version = version;
+        callbacksRef.current.onRemoteText?.(elementId, doc.text, remoteOp);
+
+        // Other carets in this element move with the text
+        updateCarets(id, carets => {
+          carets.forEach((caret, caretConnectionId) => {
+            if (caretConnectionId !== connectionId) {
+              carets.set(caretConnectionId, { ...caret, position: transformPosition(caret.position, remoteOp) });
+            }
+          });
+          return carets;
+        });
+      }
+
+      if (revision !== undefined) callbacksRef.current.onRevision?.(elementId, revision);
+    };
+
+    // Carets are per connection: the same user can be typing in two tabs
+    const handleCaretMoved = ({ elementId, connectionId, userId, user, position }) => {
+      updateCarets(String(elementId), carets => carets.set(connectionId, { connectionId, userId, user, position }));
+    };
+
+    const handleCaretRemoved = ({ elementId, connectionId }) => {
+      updateCarets(String(elementId), carets => {
+        carets.delete(connectionId);
+        return carets;
+      });
+    };
+
+    // After a reconnect the server has forgotten our sessions; join them again
+    const handleBoardJoined = () => {
+      documentsRef.current.forEach((doc, elementId) => {
+        socketService.joinTextSession(elementId, doc.clientId);
+      });
+    };
+
+    socketService.on('text-session-state', handleSessionState);
+    socketService.on('text-operation-ack', handleAck);
+    socketService.on('text-operation-applied', handleRemoteOperation);
+    socketService.on('text-caret-moved', handleCaretMoved);
+    socketService.on('text-caret-removed', handleCaretRemoved);
+    socketService.on('board-joined', handleBoardJoined);
+
+    return () => {
+      socketService.off('text-session-state', handleSessionState);
+      socketService.off('text-operation-ack', handleAck);
+      socketService.off('text-operation-applied', handleRemoteOperation);
+      socketService.off('text-caret-moved', handleCaretMoved);
+      socketService.off('text-caret-removed', handleCaretRemoved);
+      socketService.off('board-joined', handleBoardJoined);
+    };
+  }, [isConnected, updateCarets]);
+
+  // Join the editing session for an element, starting from our current text
+  const startEditing = useCallback((elementId, text = '') => {
+    if (!isConnected) return;
+    const id = String(elementId);
+    const existing = documentsRef.current.get(id);
+    if (existing) {
+      existing.closing = false;
+      return;
+    }
+
+    const doc = {
+      clientId: newClientId(),
+      seq: 0,
+      ready: false,
+      version: 0,
+      serverText: text,
+      text,
+      outstanding: null,
+      buffer: null,
+      closing: false,
+    };
+    documentsRef.current.set(id, doc);
+    socketService.joinTextSession(id, doc.clientId);
+  }, [isConnected]);
+
+  // Leave the session once everything we typed has been acknowledged
+  const stopEditing = useCallback((elementId) => {
+    const id = String(elementId);
+    const doc = documentsRef.current.get(id);
+    if (!doc) return;
+
+    doc.closing = true;
+    lastCaretRef.current.delete(id);
+    if (!doc.ready || !doc.outstanding) {
+      documentsRef.current.delete(id);
+      socketService.leaveTextSession(id);
+    }
+  }, []);
+
+  // Turn a local edit into an operation and send or queue it
+  const changeText = useCallback((elementId, newText) => {
+    const id = String(elementId);
+    const doc = documentsRef.current.get(id);
+    if (!doc) return false;
+
+    const op = fromDiff(doc.text, newText);
+    doc.text = newText;
+    if (isNoop(op) || !doc.ready) return true;
+
+    if (!doc.outstanding) {
+      sendOperation(id, doc, op);
+    } else {
+      doc.buffer = doc.buffer ? compose(doc.buffer, op) : op;
+    }
+    return true;
+  }, []);
+
+  const moveCaret = useCallback((elementId, position) => {
+    const id = String(elementId);
+    if (!documentsRef.current.has(id) || lastCaretRef.current.get(id) === position) return;
+    lastCaretRef.current.set(id, position);
+    socketService.sendTextCaret(id, position);
+  }, []);
+
+  const getRemoteCarets = useCallback((elementId) => {
+    return Array.from(remoteCarets.get(String(elementId))?.values() || []);
+  }, [remoteCarets]);
+
+  return {
+    remoteCarets,
+    getRemoteCarets,
+    startEditing,
+    stopEditing,
+    changeText,
+    moveCaret,
+  };
+};
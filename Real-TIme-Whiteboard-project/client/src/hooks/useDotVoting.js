@@ -0,0 +1,118 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import socketService from '../services/socketService';
+
+// How long a "no votes left" style notice stays up
+const NOTICE_TIMEOUT = 3000;
+
+const VOTING_ERRORS = ['VOTING_CLOSED', 'VOTING_NOT_ALLOWED', 'VOTE_NOT_ALLOWED', 'NO_VOTES_LEFT'];
+
+/**
+ * Dot voting on stickies over the collaboration socket.
+ *
+ * The server keeps the votes. We hear the running session (totals only until
+ * the facilitator reveals the results) and which stickies we voted for
+ * ourselves, and ask the server to cast or take back votes.
+ */
+export const useDotVoting = ({ isConnected, userId, role }) => {
+  const [session, setSession] = useState(null);
+  const [myVotes, setMyVotes] = useState({ sessionId: null, elementIds: [] });
+  const [notice, setNotice] = useState(null);
+  const noticeTimeoutRef = useRef(null);
+
+  const showNotice = useCallback((message) => {
+    clearTimeout(noticeTimeoutRef.current);
+    setNotice(message);
+    noticeTimeoutRef.current = setTimeout(() => setNotice(null), NOTICE_TIMEOUT);
+  }, []);
+
+  useEffect(() => {
+    if (!isConnected || !socketService.socket) return;
+
+    const handleUpdated = ({ session: current }) => setSession(current);
+
+    const handleMyVotes = ({ sessionId, elementIds }) => {
+      setMyVotes({ sessionId: String(sessionId), elementIds: elementIds.map(String) });
+    };
+
+    const handleError = (error) => {
+      if (VOTING_ERRORS.includes(error.code)) {
+        showNotice(error.message);
+      }
+    };
+
+    socketService.on('voting-updated', handleUpdated);
+    socketService.on('voting-my-votes', handleMyVotes);
+    socketService.on('error', handleError);
+
+    return () => {
+      socketService.off('voting-updated', handleUpdated);
+      socketService.off('voting-my-votes', handleMyVotes);
+      socketService.off('error', handleError);
+    };
+  }, [isConnected, showNotice]);
+
+  useEffect(() => () => clearTimeout(noticeTimeoutRef.current), []);
+
+  // Votes from an earlier session do not count in this one
+  const votedFor = useMemo(() => (
+    session && myVotes.sessionId === String(session._id) ? myVotes.elementIds : []
+  ), [session, myVotes]);
+  const isOpen = session?.status === 'open';
+  const isRevealed = session?.status === 'revealed';
+  const votesLeft = session ? Math.max(0, session.votesPerUser - votedFor.length) : 0;
+  const canRun = Boolean(session) && (String(session.facilitator._id) === String(userId) || role === 'owner');
+
+  // Same rule the server applies: stickies, with their centre inside the region if there is one
+  const canVoteOn = useCallback((element) => {
+    if (!session || element?.type !== 'sticky') return false;
+    const { region } = session;
+    if (!region) return true;
+
+    const centerX = element.x + (element.width || 0) / 2;
+    const centerY = element.y + (element.height || 0) / 2;
+    return centerX >= region.x && centerX <= region.x + region.width &&
+      centerY >= region.y && centerY <= region.y + region.height;
+  }, [session]);
+
+  const hasVotedFor = useCallback((elementId) => votedFor.includes(String(elementId)), [votedFor]);
+
+  const getVoteCount = useCallback((elementId) => (
+    session?.results?.find(result => String(result.elementId) === String(elementId))?.votes || 0
+  ), [session]);
+
+  // A click on a sticky casts a vote, or takes it back if we already voted for it
+  const toggleVote = useCallback((elementId) => {
+    if (!isOpen) return;
+
+    if (hasVotedFor(elementId)) {
+      socketService.retractVote(elementId);
+    } else if (votesLeft > 0) {
+      socketService.castVote(elementId);
+    } else {
+      showNotice('You have used all your votes. Click one of your votes to take it back.');
+    }
+  }, [isOpen, hasVotedFor, votesLeft, showNotice]);
+
+  const startVoting = useCallback((votesPerUser, region = null) => {
+    socketService.startVoting(votesPerUser, region);
+  }, []);
+
+  const revealVotes = useCallback(() => socketService.revealVotes(), []);
+  const endVoting = useCallback(() => socketService.endVoting(), []);
+
+  return {
+    session,
+    isOpen,
+    isRevealed,
+    votesLeft,
+    canRun,
+    notice,
+    canVoteOn,
+    hasVotedFor,
+    getVoteCount,
+    toggleVote,
+    startVoting,
+    revealVotes,
+    endVoting,
+  };
+};
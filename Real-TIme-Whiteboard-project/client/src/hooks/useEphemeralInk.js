@@ -0,0 +1,234 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import socketService from '../services/socketService';
+
+// Presenting tools whose strokes are shown to everyone but never saved
+export const INK_TOOLS = ['laser', 'ink'];
+
+export const LASER_COLOR = '#EF4444';
+
+// The laser leaves a trail this long (in time) behind the pointer
+export const LASER_TRAIL = 1000;
+
+// Temporary ink stays up this long after the stroke is finished, then fades out
+export const INK_TTL = 4000;
+export const INK_FADE = 1000;
+
+// Strokes whose author went quiet mid-stroke (closed the tab, lost the connection)
+const STALE_STROKE = 10000;
+
+// Points are sent in batches, at most this often and this many at a time
+const SEND_INTERVAL = 50;
+const MAX_BATCH = 200;
+
+// A single temporary ink stroke stops growing after this many points
+const MAX_STROKE_POINTS = 5000;
+
+// How often trails and fades are redrawn while any stroke is on screen
+const FRAME_INTERVAL = 50;
+
+const newStrokeId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Laser pointer and temporary ink over the collaboration socket.
+ *
+ * Our own strokes are drawn straight away and their points sent in small
+ * batches; strokes from others arrive as start / points / end. Nothing is
+ * added to the board: laser trails shrink behind the pointer and temporary
+ * ink fades out a few seconds after it is finished.
+ */
+export const useEphemeralInk = ({ isConnected }) => {
+  const strokesRef = useRef(new Map()); // key -> stroke
+  const localRef = useRef(null); // { key, strokeId, pending } while we are drawing
+  const sendTimeoutRef = useRef(null);
+  const frameIntervalRef = useRef(null);
+  const [now, setNow] = useState(Date.now());
+
+  const redraw = useCallback(() => setNow(Date.now()), []);
+
+  // Drop what has faded; stop redrawing once nothing is left
+  const prune = useCallback(() => {
+    const time = Date.now();
+    strokesRef.current.forEach((stroke, key) => {
+      if (!stroke.endedAt && !stroke.own && time - stroke.lastPointAt > STALE_STROKE) {
+        stroke.endedAt = time;
+      }
+
+      if (stroke.tool === 'laser') {
+        const trail = stroke.points.filter(p => time - p.t < LASER_TRAIL);
+        // Keep the pointer itself on screen while the laser is still held
+        stroke.points = trail.length || stroke.endedAt ? trail : stroke.points.slice(-1);
+        if (stroke.endedAt && stroke.points.length === 0) {
+          strokesRef.current.delete(key);
+        }
+      } else if (stroke.endedAt && time - stroke.endedAt > INK_TTL + INK_FADE) {
+        strokesRef.current.delete(key);
+      }
+    });
+
+    if (strokesRef.current.size === 0) {
+      clearInterval(frameIntervalRef.current);
+      frameIntervalRef.current = null;
+    }
+    setNow(time);
+  }, []);
+
+  const startFrames = useCallback(() => {
+    if (!frameIntervalRef.current) {
+      frameIntervalRef.current = setInterval(prune, FRAME_INTERVAL);
+    }
+  }, [prune]);
+
+  const flushPoints = useCallback(() => {
+    clearTimeout(sendTimeoutRef.current);
+    sendTimeoutRef.current = null;
+
+    const local = localRef.current;
+    if (!local) return;
+    while (local.pending.length > 0) {
+      socketService.sendInkPoints(local.strokeId, local.pending.splice(0, MAX_BATCH));
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isConnected || !socketService.socket) return;
+
+    const handleStarted = ({ userId, user, connectionId, strokeId, tool, color, width, point }) => {
+      const time = Date.now();
+      strokesRef.current.set(`${connectionId}:${strokeId}`, {
+        userId,
+        user,
+        tool,
+        color: tool === 'laser' ? LASER_COLOR : color,
+        width,
+        points: [{ ...point, t: time }],
+        lastPointAt: time,
+        endedAt: null,
+      });
+      startFrames();
+      redraw();
+    };
+
+    const handleExtended = ({ connectionId, strokeId, points }) => {
+      const stroke = strokesRef.current.get(`${connectionId}:${strokeId}`);
+      if (!stroke || stroke.endedAt) return;
+
+      const time = Date.now();
+      stroke.points.push(...points.map(p => ({ ...p, t: time })));
+      stroke.lastPointAt = time;
+      redraw();
+    };
+
+    const handleEnded = ({ connectionId, strokeId }) => {
+      const stroke = strokesRef.current.get(`${connectionId}:${strokeId}`);
+      if (stroke && !stroke.endedAt) {
+        stroke.endedAt = Date.now();
+      }
+    };
+
+    const handleUserLeft = ({ userId }) => {
+      strokesRef.current.forEach((stroke, key) => {
+        if (!stroke.own && stroke.userId === userId) {
+          strokesRef.current.delete(key);
+        }
+      });
+      redraw();
+    };
+
+    socketService.on('ink-started', handleStarted);
+    socketService.on('ink-extended', handleExtended);
+    socketService.on('ink-ended', handleEnded);
+    socketService.on('user-left', handleUserLeft);
+
+    const strokes = strokesRef.current;
+    return () => {
+      socketService.off('ink-started', handleStarted);
+      socketService.off('ink-extended', handleExtended);
+      socketService.off('ink-ended', handleEnded);
+      socketService.off('user-left', handleUserLeft);
+      strokes.forEach((stroke, key) => {
+        if (!stroke.own) strokes.delete(key);
+      });
+    };
+  }, [isConnected, startFrames, redraw]);
+
+  useEffect(() => () => {
+    clearTimeout(sendTimeoutRef.current);
+    clearInterval(frameIntervalRef.current);
+  }, []);
+
+  const startStroke = useCallback((tool, point, { color, width } = {}) => {
+    if (!INK_TOOLS.includes(tool)) return;
+
+    const strokeId = newStrokeId();
+    const key = `local:${strokeId}`;
+    const time = Date.now();
+    const stroke = {
+      own: true,
+      tool,
+      color: tool === 'laser' ? LASER_COLOR : color,
+      width,
+      points: [{ ...point, t: time }],
+      lastPointAt: time,
+      endedAt: null,
+    };
+
+    strokesRef.current.set(key, stroke);
+    localRef.current = { key, strokeId, pending: [] };
+    socketService.startInkStroke(strokeId, tool, point, stroke.color, width);
+    startFrames();
+    redraw();
+  }, [startFrames, redraw]);
+
+  const extendStroke = useCallback((point) => {
+    const local = localRef.current;
+    const stroke = local && strokesRef.current.get(local.key);
+    if (!stroke) return;
+    if (stroke.tool === 'ink' && stroke.points.length >= MAX_STROKE_POINTS) return;
+
+    const time = Date.now();
+    stroke.points.push({ ...point, t: time });
+    stroke.lastPointAt = time;
+    local.pending.push(point);
+
+    if (!sendTimeoutRef.current) {
+      sendTimeoutRef.current = setTimeout(flushPoints, SEND_INTERVAL);
+    }
+    redraw();
+  }, [flushPoints, redraw]);
+
+  const endStroke = useCallback(() => {
+    const local = localRef.current;
+    if (!local) return;
+
+    flushPoints();
+    socketService.endInkStroke(local.strokeId);
+    const stroke = strokesRef.current.get(local.key);
+    if (stroke) stroke.endedAt = Date.now();
+    localRef.current = null;
+  }, [flushPoints]);
+
+  // What to draw right now: laser trails as they stand, ink with its fade applied
+  const strokes = Array.from(strokesRef.current, ([key, stroke]) => {
+    const fade = stroke.tool === 'ink' && stroke.endedAt
+      ? 1 - Math.max(0, now - stroke.endedAt - INK_TTL) / INK_FADE
+      : 1;
+    return {
+      key,
+      tool: stroke.tool,
+      color: stroke.color,
+      width: stroke.width,
+      points: stroke.points,
+      held: !stroke.endedAt,
+      opacity: Math.max(0, fade),
+    };
+  });
+
+  return {
+    strokes,
+    now,
+    isDrawing: () => localRef.current !== null,
+    startStroke,
+    extendStroke,
+    endStroke,
+  };
+};
@@ -0,0 +1,40 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import socketService from '../services/socketService';
+
+/**
+ * Private reveal mode over the collaboration socket.
+ *
+ * While the board owner has it on, the server keeps each new sticky to its
+ * author: everyone else gets a placeholder (marked redacted) with no text.
+ * When the owner reveals, the server sends the hidden stickies in full and
+ * they are passed to onReveal.
+ */
+export const usePrivateMode = ({ isConnected, onReveal }) => {
+  const [privateMode, setPrivateMode] = useState({ enabled: false, startedBy: null, startedAt: null });
+  const onRevealRef = useRef(onReveal);
+  onRevealRef.current = onReveal;
+
+  useEffect(() => {
+    if (!isConnected || !socketService.socket) return;
+
+    const handleUpdated = ({ privateMode: current, revealed }) => {
+      setPrivateMode(current);
+      if (revealed?.length > 0) {
+        onRevealRef.current?.(revealed);
+      }
+    };
+
+    socketService.on('private-mode-updated', handleUpdated);
+    return () => socketService.off('private-mode-updated', handleUpdated);
+  }, [isConnected]);
+
+  const start = useCallback(() => socketService.startPrivateMode(), []);
+  const reveal = useCallback(() => socketService.revealPrivateElements(), []);
+
+  return {
+    isEnabled: privateMode.enabled,
+    startedBy: privateMode.startedBy,
+    start,
+    reveal,
+  };
+};
@@ -2,25 +2,38 @@ import { useState, useEffect, useCallback, useRef } from 'react';
 import socketService from '../services/socketService';
 import { useAuth } from '../contexts/AuthContext';
 
-export const useRealtimeCollaboration = (boardId) => {
+// How often we tell the server whether we are still here; it marks us idle or
+// away when we stop interacting or stop beating
+const HEARTBEAT_INTERVAL = 20000;
+const INTERACTION_EVENTS = ['pointermove', 'pointerdown', 'keydown', 'wheel'];
+
+// Cursor chat bubbles fade this long after their last change; reactions float for this long
+export const CURSOR_MESSAGE_TTL = 4000;
+export const REACTION_TTL = 2000;
+
+export const useRealtimeCollaboration = (boardId, shareToken = null) => {
   const { user } = useAuth();
   const [connectedUsers, setConnectedUsers] = useState([]);
   const [cursors, setCursors] = useState(new Map());
   const [lockedElements, setLockedElements] = useState(new Map());
   const [userSelections, setUserSelections] = useState(new Map());
+  const [userViewports, setUserViewports] = useState(new Map());
   const [isConnected, setIsConnected] = useState(false);
   const [connectionError, setConnectionError] = useState(null);
-  const cursorTimeoutRef = useRef(new Map());
+  const [role, setRole] = useState(null); // our role in the board, as the server sees it
+  const interactedRef = useRef(true);
+  const [reactions, setReactions] = useState([]);
+  const cursorMessageTimeoutsRef = useRef(new Map());
+  const reactionTimeoutsRef = useRef(new Set());
 
   // Connect to board and set up event listeners
   useEffect(() => {
-    if (!boardId || !user) return;
-
-    const token = localStorage.getItem('token');
-    if (!token) return;
+    // Guests on a share link have no account, only the link
+    const token = user ? localStorage.getItem('token') : null;
+    if (!boardId || (!token && !shareToken)) return;
 
     try {
-      socketService.connect(token);
+      socketService.connect(token, shareToken);
       // Defer join until connected
       const attemptJoin = () => {
         if (socketService.isSocketConnected()) {
@@ -57,14 +70,58 @@ export const useRealtimeCollaboration = (boardId) => {
       }
       cleanupEventListeners();
     };
-  }, [boardId, user]);
+  }, [boardId, user, shareToken]);
 
   const joinStartRef = useRef(null);
 
+  // Heartbeat while in the board, so others can see when we go idle or away
+  useEffect(() => {
+    if (!isConnected) return;
+
+    const markInteraction = () => {
+      interactedRef.current = true;
+    };
+
+    // Coming back to the tab counts as being back straight away
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') {
+        interactedRef.current = false;
+        socketService.sendHeartbeat(true);
+      }
+    };
+
+    const heartbeat = setInterval(() => {
+      socketService.sendHeartbeat(interactedRef.current && document.visibilityState === 'visible');
+      interactedRef.current = false;
+    }, HEARTBEAT_INTERVAL);
+
+    INTERACTION_EVENTS.forEach(event => window.addEventListener(event, markInteraction, { passive: true }));
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      clearInterval(heartbeat);
+      INTERACTION_EVENTS.forEach(event => window.removeEventListener(event, markInteraction));
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [isConnected]);
+
+  // Show a reaction until it has floated away
+  const addReaction = useCallback(({ emoji, x, y, user: reactor }) => {
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    setReactions(prev => [...prev, { id, emoji, x, y, user: reactor }]);
+
+    const timeout = setTimeout(() => {
+      reactionTimeoutsRef.current.delete(timeout);
+      setReactions(prev => prev.filter(reaction => reaction.id !== id));
+    }, REACTION_TTL);
+    reactionTimeoutsRef.current.add(timeout);
+  }, []);
+
   const setupEventListeners = useCallback(() => {
     // Board connection events
     socketService.on('board-joined', (data) => {
       console.log('Successfully joined board:', data.boardId);
+      setRole(data.role);
       let activeUsers = data.activeUsers || [];
       
       // Ensure current user is always included in the active users list
@@ -78,6 +135,21 @@ export const useRealtimeCollaboration = (boardId) => {
       }
       
       setConnectedUsers(activeUsers);
+
+      // Pick up where everyone already is and what they have selected
+      const others = activeUsers.filter(u => u.user?._id && u.user._id !== user?._id);
+      setUserViewports(new Map(others
+        .filter(u => u.viewport)
+        .map(u => [u.user._id, { user: u.user, viewport: u.viewport, timestamp: Date.now() }])));
+      setUserSelections(new Map(others
+        .filter(u => u.selection?.length > 0)
+        .map(u => [u.user._id, { user: u.user, elementIds: u.selection, timestamp: Date.now() }])));
+
+      // Pick up locks that were taken before we joined
+      setLockedElements(new Map((data.lockedElements || []).map(lock => [String(lock.elementId), {
+        lockedBy: lock.lockedBy,
+        timestamp: lock.timestamp
+      }])));
     });
 
     socketService.on('user-joined', (data) => {
@@ -105,6 +177,12 @@ export const useRealtimeCollaboration = (boardId) => {
         newSelections.delete(data.userId);
         return newSelections;
       });
+
+      setUserViewports(prev => {
+        const newViewports = new Map(prev);
+        newViewports.delete(data.userId);
+        return newViewports;
+      });
     });
 
     socketService.on('active-users-updated', (users) => {
@@ -113,38 +191,44 @@ export const useRealtimeCollaboration = (boardId) => {
 
     // Cursor tracking
     socketService.on('cursor-moved', (data) => {
-      const { userId, user: userData, x, y, timestamp } = data;
+      const { userId, user: userData, x, y, message, timestamp } = data;
       
       if (userId === socketService.getSocketId()) return; // Don't show own cursor
       
+      // Cursors stay where they were last seen; presence status decides how they are shown.
+      // A cursor chat message is kept until it changes, is closed or fades.
       setCursors(prev => {
         const newCursors = new Map(prev);
+        const previous = prev.get(userId);
         newCursors.set(userId, {
           user: userData,
           x,
           y,
+          message: message !== undefined ? message : previous?.message,
+          messageAt: message !== undefined ? Date.now() : previous?.messageAt,
           timestamp,
           lastSeen: Date.now()
         });
         return newCursors;
       });
 
-      // Clear existing timeout for this user
-      if (cursorTimeoutRef.current.has(userId)) {
-        clearTimeout(cursorTimeoutRef.current.get(userId));
+      if (message !== undefined) {
+        clearTimeout(cursorMessageTimeoutsRef.current.get(userId));
+        cursorMessageTimeoutsRef.current.set(userId, setTimeout(() => {
+          cursorMessageTimeoutsRef.current.delete(userId);
+          setCursors(prev => {
+            if (!prev.get(userId)?.message) return prev;
+            const newCursors = new Map(prev);
+            newCursors.set(userId, { ...prev.get(userId), message: null });
+            return newCursors;
+          });
+        }, CURSOR_MESSAGE_TTL));
       }
+    });
 
-      // Set timeout to hide cursor after inactivity
-      const timeout = setTimeout(() => {
-        setCursors(prev => {
-          const newCursors = new Map(prev);
-          newCursors.delete(userId);
-          return newCursors;
-        });
-        cursorTimeoutRef.current.delete(userId);
-      }, 5000); // Hide cursor after 5 seconds of inactivity
-
-      cursorTimeoutRef.current.set(userId, timeout);
+    // Emoji reactions from others
+    socketService.on('reaction-added', (data) => {
+      addReaction(data);
     });
 
     // Tool and drawing state
@@ -162,11 +246,11 @@ export const useRealtimeCollaboration = (boardId) => {
       console.log(`${data.user.name} finished drawing`);
     });
 
-    // Element locking (if implemented on server)
+    // Element locking
     socketService.on('element-locked', (data) => {
       setLockedElements(prev => {
         const newLocked = new Map(prev);
-        newLocked.set(data.elementId, {
+        newLocked.set(String(data.elementId), {
           lockedBy: data.lockedBy,
           timestamp: data.timestamp
         });
@@ -177,12 +261,24 @@ export const useRealtimeCollaboration = (boardId) => {
     socketService.on('element-unlocked', (data) => {
       setLockedElements(prev => {
         const newLocked = new Map(prev);
-        newLocked.delete(data.elementId);
+        newLocked.delete(String(data.elementId));
         return newLocked;
       });
     });
 
-    // Selection tracking (if implemented on server)
+    socketService.on('element-lock-denied', (data) => {
+      console.log(`Element ${data.elementId} is locked by ${data.lockedBy?.name}`);
+      setLockedElements(prev => {
+        const newLocked = new Map(prev);
+        newLocked.set(String(data.elementId), {
+          lockedBy: data.lockedBy,
+          timestamp: data.timestamp
+        });
+        return newLocked;
+      });
+    });
+
+    // Selection tracking
     socketService.on('user-selection-changed', (data) => {
       const { userId, elementIds, user: userData } = data;
       
@@ -203,6 +299,21 @@ export const useRealtimeCollaboration = (boardId) => {
       });
     });
 
+    // Viewport tracking (used by follow mode)
+    socketService.on('user-viewport-changed', (data) => {
+      const { userId, viewport, user: userData } = data;
+
+      setUserViewports(prev => {
+        const newViewports = new Map(prev);
+        newViewports.set(userId, {
+          user: userData,
+          viewport,
+          timestamp: Date.now()
+        });
+        return newViewports;
+      });
+    });
+
     // Error handling
     socketService.on('error', (error) => {
       console.error('Collaboration error:', error);
@@ -223,11 +334,10 @@ export const useRealtimeCollaboration = (boardId) => {
         )
       );
 
-      // If it's the current user, you might want to update permissions in parent component
+      // The server already applies our new role; follow it in the UI
       if (userId === user?._id) {
-        // Notify parent component about permission change
         console.log('Your permissions have been updated to:', newRole);
-        // You could emit a custom event or use a callback here
+        setRole(newRole);
       }
     });
 
@@ -247,12 +357,20 @@ export const useRealtimeCollaboration = (boardId) => {
       }
     });
 
-  }, [user]);
+    // The owner moved the board to the trash
+    socketService.on('board-deleted', () => {
+      alert('This board was moved to the trash by its owner');
+      window.location.href = '/dashboard';
+    });
+
+  }, [user, addReaction]);
 
   const cleanupEventListeners = useCallback(() => {
-    // Clear all cursor timeouts
-    cursorTimeoutRef.current.forEach(timeout => clearTimeout(timeout));
-    cursorTimeoutRef.current.clear();
+    // Clear cursor chat and reaction timers
+    cursorMessageTimeoutsRef.current.forEach(timeout => clearTimeout(timeout));
+    cursorMessageTimeoutsRef.current.clear();
+    reactionTimeoutsRef.current.forEach(timeout => clearTimeout(timeout));
+    reactionTimeoutsRef.current.clear();
 
     // Remove all socket listeners
     socketService.removeAllListeners();
@@ -292,6 +410,12 @@ export const useRealtimeCollaboration = (boardId) => {
     }
   }, [isConnected]);
 
+  const broadcastViewportChange = useCallback((viewport) => {
+    if (isConnected) {
+      socketService.broadcastViewportChange(viewport);
+    }
+  }, [isConnected]);
+
   // Element broadcasting methods
   const broadcastElementCreate = useCallback((element) => {
     if (isConnected && socketService.socket) {
@@ -320,17 +444,27 @@ export const useRealtimeCollaboration = (boardId) => {
     }
   }, [isConnected, boardId]);
 
+  // message is our cursor chat bubble: a string while open, null to close it
   const broadcastCursorPosition = useCallback((data) => {
     if (isConnected && socketService.socket) {
+      // The server attaches our user details itself
       socketService.socket.emit('cursor-move', {
         boardId,
         x: data.x,
         y: data.y,
-        user: data.user
+        ...(data.message !== undefined && { message: data.message })
       });
     }
   }, [isConnected, boardId]);
 
+  // Place a reaction on the canvas, for us and everyone else
+  const sendReaction = useCallback((emoji, x, y) => {
+    addReaction({ emoji, x, y, user });
+    if (isConnected) {
+      socketService.sendReaction(emoji, x, y);
+    }
+  }, [isConnected, addReaction, user]);
+
   // Event listeners for element operations
   const onElementCreate = useCallback((handler) => {
     if (socketService.socket) {
@@ -368,6 +502,33 @@ export const useRealtimeCollaboration = (boardId) => {
     }
   }, []);
 
+  // Fired when the server rejects one of our edits because the element moved on
+  const onElementConflict = useCallback((handler) => {
+    if (socketService.socket) {
+      socketService.socket.on('element-conflict', handler);
+    }
+  }, []);
+
+  const offElementConflict = useCallback((handler) => {
+    if (socketService.socket) {
+      socketService.socket.off('element-conflict', handler);
+    }
+  }, []);
+
+  // Fired after a reconnect; 'replay' operations are already delivered through the
+  // element listeners, 'snapshot' carries the full element list to replace ours
+  const onBoardResync = useCallback((handler) => {
+    if (socketService.socket) {
+      socketService.socket.on('board-resync', handler);
+    }
+  }, []);
+
+  const offBoardResync = useCallback((handler) => {
+    if (socketService.socket) {
+      socketService.socket.off('board-resync', handler);
+    }
+  }, []);
+
   const lockElement = useCallback((elementId) => {
     if (isConnected) {
       socketService.lockElement(elementId);
@@ -380,26 +541,35 @@ export const useRealtimeCollaboration = (boardId) => {
     }
   }, [isConnected]);
 
-  // Check if element is locked by another user
+  // Check if element is locked by another user (locks are keyed by string id, like the server's)
   const isElementLocked = useCallback((elementId) => {
-    const lock = lockedElements.get(elementId);
+    const lock = lockedElements.get(String(elementId));
     return lock && lock.lockedBy._id !== user?._id;
   }, [lockedElements, user]);
 
   // Get lock info for element
   const getElementLock = useCallback((elementId) => {
-    return lockedElements.get(elementId);
+    return lockedElements.get(String(elementId));
   }, [lockedElements]);
 
+  // Presence status of a user in the board: 'active', 'idle' or 'away'
+  const getUserStatus = useCallback((userId) => {
+    const connectedUser = connectedUsers.find(u => String(u.user?._id ?? u.userId) === String(userId));
+    return connectedUser?.status || 'active';
+  }, [connectedUsers]);
+
   return {
     // Connection state
     isConnected,
     connectionError,
+    role,
     
     // Users and collaboration
     connectedUsers,
     cursors,
     userSelections,
+    userViewports,
+    getUserStatus,
     
     // Element locking
     lockedElements,
@@ -414,10 +584,15 @@ export const useRealtimeCollaboration = (boardId) => {
     broadcastDrawingStart,
     broadcastDrawingEnd,
     broadcastSelection,
+    broadcastViewportChange,
     broadcastElementCreate,
     broadcastElementUpdate,
     broadcastElementDelete,
     broadcastCursorPosition,
+    sendReaction,
+    
+    // Ephemeral reactions floating on the canvas
+    reactions,
     
     // Event listeners
     onElementCreate,
@@ -426,6 +601,10 @@ export const useRealtimeCollaboration = (boardId) => {
     offElementCreate,
     offElementUpdate,
     offElementDelete,
+    onElementConflict,
+    offElementConflict,
+    onBoardResync,
+    offBoardResync,
     
     // Utility
     socketService,
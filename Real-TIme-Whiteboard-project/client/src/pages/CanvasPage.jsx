@@ -4,6 +4,7 @@ import { useAuth } from '../contexts/AuthContext';
 import { useCanvasState } from '../hooks/canvas/useCanvasState';
 import { useCanvasInteractions } from '../hooks/canvas/useCanvasInteractions';
 import { useRealtimeCollaboration } from '../hooks/useRealtimeCollaboration';
+import { useEphemeralInk, INK_TOOLS } from '../hooks/useEphemeralInk';
 import CanvasToolbar from '../components/canvas/CanvasToolbar';
 import CanvasViewport from '../components/canvas/CanvasViewport';
 import CanvasZoomControls from '../components/canvas/CanvasZoomControls';
@@ -133,9 +134,29 @@ const CanvasPage = () => {
     handleWheel,
     handleTouchStart,
     handleTouchMove,
-    handleTouchEnd
+    handleTouchEnd,
+    getMousePosition
   } = canvasInteractions;
 
+  // Laser pointer and temporary ink are drawn here and never reach the elements
+  const ink = useEphemeralInk({ isConnected: realtimeCollab?.isConnected });
+  const isInkTool = INK_TOOLS.includes(activeTool);
+
+  const handleSurfaceMouseDown = (e) => {
+    if (!isInkTool) return handleMouseDown(e);
+    ink.startStroke(activeTool, getMousePosition(e), { color: strokeColor, width: strokeWidth });
+  };
+
+  const handleSurfaceMouseMove = (e) => {
+    if (!isInkTool) return handleMouseMove(e);
+    if (ink.isDrawing()) ink.extendStroke(getMousePosition(e));
+  };
+
+  const handleSurfaceMouseUp = (e) => {
+    if (!isInkTool) return handleMouseUp(e);
+    ink.endStroke();
+  };
+
   // Load board data
   useEffect(() => {
     const loadBoard = async () => {
@@ -461,14 +482,16 @@ const CanvasPage = () => {
         selectedElement={selectedElement}
         activeTool={activeTool}
         contextMenu={contextMenu}
-        onMouseDown={handleMouseDown}
-        onMouseMove={handleMouseMove}
-        onMouseUp={handleMouseUp}
+        onMouseDown={handleSurfaceMouseDown}
+        onMouseMove={handleSurfaceMouseMove}
+        onMouseUp={handleSurfaceMouseUp}
         onTouchStart={handleTouchStart}
         onTouchMove={handleTouchMove}
         onTouchEnd={handleTouchEnd}
         onWheel={handleWheel}
         onContextMenu={handleContextMenu}
+        inkStrokes={ink.strokes}
+        inkNow={ink.now}
       />
 
       {/* Zoom Controls */}
@@ -34,19 +34,41 @@
 
 import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { useLocation, useNavigate, useParams } from 'react-router-dom';
-import { Text, MousePointer2, Square, StickyNote, Pen, Eraser, Minus, Undo2, Redo2, ArrowRight, ZoomIn, ZoomOut, Camera, Palette } from 'lucide-react';
+import { Text, MousePointer2, Square, StickyNote, Pen, Eraser, Minus, Undo2, Redo2, ArrowRight, ZoomIn, ZoomOut, Camera, Palette, MessageSquare, Zap, Highlighter, Vote, Eye, EyeOff, History, Film } from 'lucide-react';
 
 // Hooks for collaboration
-import { useRealtimeCollaboration } from '../hooks/useRealtimeCollaboration';
+import { useRealtimeCollaboration, CURSOR_MESSAGE_TTL } from '../hooks/useRealtimeCollaboration';
+import { useCollaborativeText } from '../hooks/useCollaborativeText';
+import { useBoardChat } from '../hooks/useBoardChat';
+import { useEphemeralInk, INK_TOOLS } from '../hooks/useEphemeralInk';
+import { useDotVoting } from '../hooks/useDotVoting';
+import { useBoardTimer } from '../hooks/useBoardTimer';
+import { usePrivateMode } from '../hooks/usePrivateMode';
+import { useBoardHistory } from '../hooks/useBoardHistory';
+import { useBoardReplay } from '../hooks/useBoardReplay';
 import { useAuth } from '../contexts/AuthContext';
+import { mergeElementChanges, getElementBounds } from '../utils/canvas/elementUtils';
+import { transformPosition } from '../utils/canvas/textOperations';
 
 // Components
 import ShareModal from '../components/ShareModal';
 import ActiveUsersModal from '../components/ActiveUsersModal';
+import ChatPanel from '../components/ChatPanel';
+import VotingPanel from '../components/VotingPanel';
+import BoardTimer from '../components/BoardTimer';
+import HistoryPanel from '../components/HistoryPanel';
+import ReplayPlayer from '../components/ReplayPlayer';
+import ReactionBar from '../components/ReactionBar';
+import EphemeralInkLayer from '../components/canvas/EphemeralInkLayer';
+import VersionDiffLayer from '../components/canvas/VersionDiffLayer';
 
 // Import assets
 import dashboardIcon from '../assets/bgimage.png';
 
+// Default server limits; longer strokes or texts are refused when saved
+const MAX_STROKE_POINTS = 5000;
+const MAX_TEXT_LENGTH = 10000;
+
 // NOTE: html2canvas & jsPDF dynamically imported when exporting to keep bundle lean
 
 const CanvasPage = () => {
@@ -79,6 +101,16 @@ const CanvasPage = () => {
   const [showStrokePanel, setShowStrokePanel] = useState(false);
   const [showShareModal, setShowShareModal] = useState(false);
   const [showActiveUsersModal, setShowActiveUsersModal] = useState(false);
+  const [showChat, setShowChat] = useState(false);
+  const [showVoting, setShowVoting] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [historyPreview, setHistoryPreview] = useState(null); // earlier version shown instead of the board
+  const [versionDiff, setVersionDiff] = useState(null); // two versions compared on the canvas
+  const [showReplay, setShowReplay] = useState(false); // timelapse shown instead of the board
+  // Our cursor chat bubble: open while typing, then shown until it fades
+  const [cursorChat, setCursorChat] = useState({ open: false, text: '', x: 0, y: 0 });
+  const lastCursorRef = useRef(null); // last pointer position on the canvas
+  const cursorChatTimeoutRef = useRef(null);
   
   // ========================== DRAWING PROPERTIES ==========================
   const [strokeColor, setStrokeColor] = useState('#111827');
@@ -87,6 +119,8 @@ const CanvasPage = () => {
   // ========================== ZOOM & PAN STATE ==========================
   const [scale, setScale] = useState(1);
   const [isPanning, setIsPanning] = useState(false);
+  const [followingUserId, setFollowingUserId] = useState(null); // collaborator whose viewport we track
+  const [conflictNotice, setConflictNotice] = useState(null); // shown when a remote edit overrides ours
   
   // ========================== HISTORY STATE ==========================
   const [history, setHistory] = useState([]); // array of element arrays
@@ -108,13 +142,145 @@ const CanvasPage = () => {
   const pinchInitialScaleRef = useRef(1);
   const pinchCenterRef = useRef({x:0,y:0});
   const singleTouchPanRef = useRef(null); // {x,y,scrollLeft,scrollTop}
-  
-  // ========================== COMPUTED VALUES ==========================
-  // Check if user can edit (not view-only)
-  const canEdit = !isSharedAccess || sharePermissions !== 'view';
+  const viewportBroadcastTimeoutRef = useRef(null);
+  const serverElementsRef = useRef(new Map()); // id -> last element copy the server confirmed
+  const conflictNoticeTimeoutRef = useRef(null);
+  const editingTextareaRef = useRef(null); // textarea of the element we are typing in
   
   // Initialize realtime collaboration
-  const realtimeCollab = useRealtimeCollaboration(board?._id);
+  const realtimeCollab = useRealtimeCollaboration(board?._id, token);
+
+  // ========================== COMPUTED VALUES ==========================
+  // Check if user can edit (not view-only); the board owner can change our role while we are here
+  const canEdit = (!isSharedAccess || sharePermissions !== 'view') && realtimeCollab.role !== 'viewer';
+
+  // Text changes from collaborators; keep our own caret where it was in the text
+  const applyRemoteText = (elementId, text, op) => {
+    const textarea = editingTextareaRef.current;
+    if (op && textarea && textarea.dataset.elementId === String(elementId)) {
+      const start = transformPosition(textarea.selectionStart, op);
+      const end = transformPosition(textarea.selectionEnd, op);
+      requestAnimationFrame(() => textarea.setSelectionRange(start, end));
+    }
+    const serverElement = serverElementsRef.current.get(String(elementId));
+    if (serverElement) {
+      serverElementsRef.current.set(String(elementId), { ...serverElement, text });
+    }
+    setElements(prev => prev.map(el => String(el.id) === String(elementId) ? { ...el, text } : el));
+  };
+
+  // Text edits bump the element revision; adopt it so later edits are not seen as stale
+  const applyTextRevision = (elementId, revision) => {
+    const serverElement = serverElementsRef.current.get(String(elementId));
+    if (serverElement) {
+      serverElementsRef.current.set(String(elementId), { ...serverElement, revision });
+    }
+    setElements(prev => prev.map(el => String(el.id) === String(elementId) ? { ...el, revision } : el));
+  };
+
+  const collaborativeText = useCollaborativeText({
+    isConnected: realtimeCollab.isConnected,
+    onRemoteText: applyRemoteText,
+    onRevision: applyTextRevision,
+  });
+
+  const chat = useBoardChat({
+    isConnected: realtimeCollab.isConnected,
+    isOpen: showChat,
+    user,
+  });
+
+  const voting = useDotVoting({
+    isConnected: realtimeCollab.isConnected,
+    userId: user?._id,
+    role: realtimeCollab.role,
+  });
+
+  const timer = useBoardTimer({ isConnected: realtimeCollab.isConnected });
+
+  // Stickies kept private in private mode, shown to everyone once the owner reveals them
+  const applyRevealedElements = (revealed) => {
+    const revealedById = new Map(revealed.map(el => [String(el.id), el]));
+    revealed.forEach(el => serverElementsRef.current.set(String(el.id), el));
+    setElements(prev => prev.map(el => {
+      const shown = revealedById.get(String(el.id));
+      return shown ? { ...shown, isEditing: el.isEditing } : el;
+    }));
+  };
+
+  const privateMode = usePrivateMode({
+    isConnected: realtimeCollab.isConnected,
+    onReveal: applyRevealedElements,
+  });
+
+  // Someone restored an earlier version: it replaces the whole board, for everyone
+  const applyRestoredElements = (restored) => {
+    serverElementsRef.current = new Map(restored.map(el => [String(el.id), el]));
+    setElements(restored);
+    recordHistory(restored);
+    setHistoryPreview(null);
+    setVersionDiff(null);
+  };
+
+  const versionHistory = useBoardHistory({
+    boardId: board?._id,
+    isConnected: realtimeCollab.isConnected,
+    isOpen: showHistory,
+    onRestore: applyRestoredElements,
+  });
+
+  const previewVersion = async (snapshotId) => {
+    if (!snapshotId) {
+      setHistoryPreview(null);
+      return;
+    }
+    const snapshot = await versionHistory.loadVersion(snapshotId);
+    if (snapshot) {
+      setVersionDiff(null);
+      setHistoryPreview({ ...snapshot, elements: snapshot.elements.map(el => ({ ...el, isEditing: false })) });
+    }
+  };
+
+  // Show the later of two versions with what changed since the earlier one marked
+  const compareVersions = async (fromId, toId = null) => {
+    if (!fromId) {
+      setVersionDiff(null);
+      return;
+    }
+    const comparison = await versionHistory.compareVersions(fromId, toId);
+    if (comparison) {
+      setHistoryPreview(null);
+      setVersionDiff({ ...comparison, elements: comparison.elements.map(el => ({ ...el, isEditing: false })) });
+    }
+  };
+
+  // Timelapse of how the board came together
+  const replay = useBoardReplay({ boardId: board?._id, isOpen: showReplay });
+  const replayElements = showReplay ? replay.elements.map(el => ({ ...el, isEditing: false })) : null;
+  const replayTarget = showReplay && replay.currentEvent?.elementId
+    ? replayElements.find(el => String(el.id) === replay.currentEvent.elementId)
+    : null;
+  const replayTargetBounds = replayTarget ? getElementBounds(replayTarget) : null;
+
+  const toggleReplay = () => {
+    setShowReplay(open => !open);
+    setShowHistory(false);
+    setHistoryPreview(null);
+    setVersionDiff(null);
+  };
+
+  // A vote that starts opens the voting panel for everyone
+  const votingSessionId = voting.session?._id;
+  useEffect(() => {
+    if (votingSessionId) {
+      setShowVoting(true);
+      setShowChat(false);
+      setShowHistory(false);
+    }
+  }, [votingSessionId]);
+
+  // Laser pointer and temporary ink; shown to everyone, never added to the board
+  const ink = useEphemeralInk({ isConnected: realtimeCollab.isConnected });
   
   // ========================== BOARD LOADING FUNCTIONS ==========================
   const loadBoardById = async () => {
@@ -202,47 +368,109 @@ const CanvasPage = () => {
   useEffect(() => {
     if (!realtimeCollab || !realtimeCollab.isConnected) return;
 
-    const handleElementCreate = (element) => {
+    const sameId = (a, b) => String(a) === String(b);
+
+    const handleElementCreate = ({ element }) => {
+      serverElementsRef.current.set(String(element.id), element);
       setElements(prev => {
-        const exists = prev.find(el => el.id === element.id);
-        if (exists) return prev;
+        const exists = prev.find(el => sameId(el.id, element.id));
+        // Our own element echoed back: just pick up the server revision (and whether it is private)
+        if (exists) {
+          return prev.map(el => sameId(el.id, element.id) ? { ...el, revision: element.revision, privateTo: element.privateTo } : el);
+        }
         const newElements = [...prev, element];
         recordHistory(newElements);
         return newElements;
       });
     };
 
-    const handleElementUpdate = (updatedElement) => {
+    const handleElementUpdate = ({ element: updatedElement, updatedBy, connectionId }) => {
+      serverElementsRef.current.set(String(updatedElement.id), updatedElement);
+      // Edits from our other tabs come from another connection and must be applied
+      const isOwnEdit = connectionId
+        ? connectionId === realtimeCollab.socketService.getSocketId()
+        : updatedBy?._id === user?._id;
       setElements(prev => {
+        // Our own edit echoed back: local state may already be ahead, so only adopt the revision
+        if (isOwnEdit) {
+          return prev.map(el =>
+            sameId(el.id, updatedElement.id) ? { ...el, revision: updatedElement.revision } : el
+          );
+        }
         const newElements = prev.map(el => 
-          el.id === updatedElement.id ? { ...el, ...updatedElement } : el
+          sameId(el.id, updatedElement.id) ? { ...el, ...updatedElement } : el
         );
         recordHistory(newElements);
         return newElements;
       });
     };
 
-    const handleElementDelete = (elementId) => {
+    const handleElementDelete = ({ elementId }) => {
+      serverElementsRef.current.delete(String(elementId));
       setElements(prev => {
-        const newElements = prev.filter(el => el.id !== elementId);
+        const newElements = prev.filter(el => !sameId(el.id, elementId));
         recordHistory(newElements);
         return newElements;
       });
     };
 
+    const handleElementConflict = ({ elementId, clientElement, serverElement }) => {
+      if (!serverElement) return;
+      const base = serverElementsRef.current.get(String(elementId));
+      const { merged, conflictingFields } = mergeElementChanges(base, clientElement, serverElement);
+      serverElementsRef.current.set(String(elementId), serverElement);
+
+      if (conflictingFields.length === 0) {
+        // Edits touched different fields: keep both and retry on top of the newer revision
+        setElements(prev => prev.map(el => sameId(el.id, elementId) ? { ...el, ...merged } : el));
+        realtimeCollab.broadcastElementUpdate(merged);
+        return;
+      }
+
+      // Both sides changed the same thing; the server copy wins
+      setElements(prev => prev.map(el => sameId(el.id, elementId) ? { ...el, ...serverElement } : el));
+      setConflictNotice('Someone else changed this element at the same time. Their version was kept.');
+      clearTimeout(conflictNoticeTimeoutRef.current);
+      conflictNoticeTimeoutRef.current = setTimeout(() => setConflictNotice(null), 4000);
+    };
+
+    const handleBoardResync = ({ mode, elements: snapshot }) => {
+      if (mode !== 'snapshot') return;
+      // We were away too long to replay individual changes; take the server's board
+      serverElementsRef.current = new Map(snapshot.map(el => [String(el.id), el]));
+      setElements(snapshot);
+      recordHistory(snapshot);
+    };
+
     // Subscribe to collaboration events
     realtimeCollab.onElementCreate(handleElementCreate);
     realtimeCollab.onElementUpdate(handleElementUpdate);
     realtimeCollab.onElementDelete(handleElementDelete);
+    realtimeCollab.onElementConflict(handleElementConflict);
+    realtimeCollab.onBoardResync(handleBoardResync);
 
     return () => {
       // Cleanup listeners
       realtimeCollab.offElementCreate(handleElementCreate);
       realtimeCollab.offElementUpdate(handleElementUpdate);
       realtimeCollab.offElementDelete(handleElementDelete);
+      realtimeCollab.offElementConflict(handleElementConflict);
+      realtimeCollab.offBoardResync(handleBoardResync);
     };
   }, [realtimeCollab?.isConnected]);
 
+  // Follow mode: mirror the followed collaborator's viewport as it changes
+  const followedViewport = followingUserId ? realtimeCollab.userViewports.get(followingUserId)?.viewport : null;
+  useEffect(() => {
+    if (!followingUserId) return;
+    const stillHere = realtimeCollab.connectedUsers.some(u => u.user?._id === followingUserId);
+    if (!stillHere) {
+      setFollowingUserId(null);
+      return;
+    }
+    applyViewport(followedViewport);
+  }, [followingUserId, followedViewport, realtimeCollab.connectedUsers]);
+
   const addElement = (type) => {
     const newId = Date.now();
     const width = type === 'shape' ? 120 : 240;
@@ -266,6 +494,9 @@ const CanvasPage = () => {
       points: type === 'freehand' ? [] : undefined,
       x2: undefined,
       y2: undefined,
+      // New elements start at the revision the server stores them with, so edits
+      // made before the create is echoed back are not refused as stale
+      revision: 1,
     };
     const newElements = [...elements, newElement];
     setElements(newElements);
@@ -278,6 +509,62 @@ const CanvasPage = () => {
   };
 
   // ========================== ZOOM & PAN FUNCTIONS ==========================
+  // Viewport in canvas coordinates, independent of the local zoom level
+  const getViewport = useCallback(() => {
+    const sc = scrollRef.current;
+    if (!sc) return null;
+    return {
+      x: sc.scrollLeft / scale,
+      y: sc.scrollTop / scale,
+      width: sc.clientWidth / scale,
+      height: sc.clientHeight / scale,
+      scale,
+    };
+  }, [scale]);
+
+  const { isConnected: collabConnected, broadcastSelection, broadcastViewportChange } = realtimeCollab;
+  const broadcastViewport = useCallback(() => {
+    if (!collabConnected) return;
+    clearTimeout(viewportBroadcastTimeoutRef.current);
+    viewportBroadcastTimeoutRef.current = setTimeout(() => {
+      const viewport = getViewport();
+      if (viewport) broadcastViewportChange(viewport);
+    }, 100);
+  }, [collabConnected, getViewport, broadcastViewportChange]);
+
+  // Share our zoom level whenever it changes
+  useEffect(() => {
+    broadcastViewport();
+  }, [broadcastViewport]);
+
+  // Let collaborators know what we have selected
+  const selectedElementId = selectedElement?.id;
+  useEffect(() => {
+    if (!collabConnected) return;
+    broadcastSelection(selectedElementId !== undefined ? [selectedElementId] : []);
+  }, [selectedElementId, collabConnected, broadcastSelection]);
+
+  // Center our view on another user's viewport, adopting their zoom
+  const applyViewport = (viewport) => {
+    const sc = scrollRef.current;
+    if (!sc || !viewport) return;
+    const nextScale = viewport.scale || 1;
+    setScale(nextScale);
+    requestAnimationFrame(() => {
+      sc.scrollLeft = (viewport.x + viewport.width / 2) * nextScale - sc.clientWidth / 2;
+      sc.scrollTop = (viewport.y + viewport.height / 2) * nextScale - sc.clientHeight / 2;
+    });
+  };
+
+  const toggleFollowUser = (userId) => {
+    setFollowingUserId(current => (current === userId ? null : userId));
+  };
+
+  // Any pan or zoom of our own ends follow mode
+  const stopFollowing = () => {
+    if (followingUserId) setFollowingUserId(null);
+  };
+
   const applyZoom = (delta, centerX, centerY) => {
     const sc = scrollRef.current;
     if (!sc) return;
@@ -295,10 +582,11 @@ const CanvasPage = () => {
       return next;
     });
   };
-  const zoomIn = () => applyZoom(1.2, scrollRef.current?.clientWidth/2, scrollRef.current?.clientHeight/2);
-  const zoomOut = () => applyZoom(1/1.2, scrollRef.current?.clientWidth/2, scrollRef.current?.clientHeight/2);
+  const zoomIn = () => { stopFollowing(); applyZoom(1.2, scrollRef.current?.clientWidth/2, scrollRef.current?.clientHeight/2); };
+  const zoomOut = () => { stopFollowing(); applyZoom(1/1.2, scrollRef.current?.clientWidth/2, scrollRef.current?.clientHeight/2); };
 
   const handleWheel = (e) => {
+    stopFollowing();
     // Many trackpads send ctrlKey true for pinch; treat that as zoom
     if (e.ctrlKey || e.metaKey) {
       e.preventDefault();
@@ -314,6 +602,7 @@ const CanvasPage = () => {
     if (activeTool !== 'select' || selectedElement) return; // only empty space
     if (e.button !== 1 && !(e.button === 0 && e.altKey)) return; // middle mouse or Alt+Left
     e.preventDefault();
+    stopFollowing();
     setIsPanning(true);
     panOrigin.current = { x: e.clientX, y: e.clientY };
     const sc = scrollRef.current;
@@ -335,6 +624,7 @@ const CanvasPage = () => {
     const sc = scrollRef.current;
     if (!sc) return;
     if (e.pointerType === 'touch') {
+      stopFollowing();
       pointersRef.current.set(e.pointerId, {x:e.clientX, y:e.clientY});
       if (pointersRef.current.size === 1) {
         // single finger start pan
@@ -390,6 +680,13 @@ const CanvasPage = () => {
     }
   };
 
+  // Remember the server's copy of each element as the base for merging rejected edits
+  useEffect(() => {
+    serverElementsRef.current = new Map(
+      (board?.elements || []).map(el => [String(el.id), el])
+    );
+  }, [board?.elements]);
+
   // Persist in localStorage by board id
   useEffect(() => {
     if (!board) return;
@@ -504,6 +801,15 @@ const CanvasPage = () => {
     return true;
   };
 
+  const handleInkDrawing = (e, surfaceRect) => {
+    if (!INK_TOOLS.includes(activeTool) || !ink.isDrawing()) return false;
+    ink.extendStroke({
+      x: (e.clientX - surfaceRect.left) / scale,
+      y: (e.clientY - surfaceRect.top) / scale,
+    });
+    return true;
+  };
+
   const handlePenDrawing = (e, surfaceRect) => {
     if (!drawingTempId || activeTool !== 'pen') return false;
     
@@ -516,6 +822,7 @@ const CanvasPage = () => {
       const lastPoint = el.points[el.points.length - 1];
       const distance = Math.hypot(px - lastPoint.x, py - lastPoint.y);
       if (distance < 2) return el; // Skip if too close to last point
+      if (el.points.length >= MAX_STROKE_POINTS) return el; // Stroke is as long as it can be
       
       const newPoints = [...el.points, { x: px, y: py }];
       // compute bounding box
@@ -566,6 +873,9 @@ const CanvasPage = () => {
   const handleMouseDown = (e, element) => {
     if (activeTool !== 'select') return;
     if (element.isEditing) return;
+    if (element.redacted) return; // someone else's private sticky stays put until it is revealed
+    if (realtimeCollab.isElementLocked(element.id)) return; // Someone else is editing it
+    realtimeCollab.lockElement(element.id);
     setIsDragging(true);
     setSelectedElement(element);
     const surfaceRect = surfaceRef.current.getBoundingClientRect();
@@ -581,36 +891,105 @@ const CanvasPage = () => {
     // Handle different mouse move behaviors
     if (handleElementResize(e, surfaceRect)) return;
     if (handleLineDrawing(e, surfaceRect)) return;
+    if (handleInkDrawing(e, surfaceRect)) return;
     if (handlePenDrawing(e, surfaceRect)) return;
     if (handleElementDrag(e, surfaceRect)) return;
   };
 
   // Track cursor position for real-time collaboration
   const handleCursorMove = (e) => {
-    if (realtimeCollab && realtimeCollab.isConnected && user) {
+    // Guests on a share link have no user but still show their cursor
+    if (realtimeCollab && realtimeCollab.isConnected) {
       const surfaceRect = surfaceRef.current.getBoundingClientRect();
       const x = (e.clientX - surfaceRect.left) / scale;
       const y = (e.clientY - surfaceRect.top) / scale;
+      lastCursorRef.current = { x, y };
+
+      // An open chat bubble follows the cursor and rides along with it
+      if (cursorChat.open) {
+        setCursorChat(prev => ({ ...prev, x, y }));
+      }
       
       // Throttle cursor updates to avoid excessive network traffic
       clearTimeout(window.cursorUpdateTimeout);
       window.cursorUpdateTimeout = setTimeout(() => {
-        realtimeCollab.broadcastCursorPosition({
-          x,
-          y,
-          user: {
-            id: user.id,
-            name: user.name,
-            avatar: user.avatar
-          }
-        });
+        realtimeCollab.broadcastCursorPosition({ x, y, ...(cursorChat.open && { message: cursorChat.text }) });
       }, 50);
     }
   };
 
+  // Canvas point for things placed "here": the last cursor position, or the middle of the screen
+  const getCursorCanvasPoint = () => {
+    if (lastCursorRef.current) return lastCursorRef.current;
+    const surfaceRect = surfaceRef.current.getBoundingClientRect();
+    return {
+      x: (window.innerWidth / 2 - surfaceRect.left) / scale,
+      y: (window.innerHeight / 2 - surfaceRect.top) / scale,
+    };
+  };
+
+  // The part of the canvas currently on screen, in canvas coordinates
+  const getVisibleRegion = () => {
+    const viewRect = scrollRef.current.getBoundingClientRect();
+    const surfaceRect = surfaceRef.current.getBoundingClientRect();
+    return {
+      x: (viewRect.left - surfaceRect.left) / scale,
+      y: (viewRect.top - surfaceRect.top) / scale,
+      width: viewRect.width / scale,
+      height: viewRect.height / scale,
+    };
+  };
+
+  const openCursorChat = () => {
+    const { x, y } = getCursorCanvasPoint();
+    clearTimeout(cursorChatTimeoutRef.current);
+    setCursorChat({ open: true, text: '', x, y });
+  };
+
+  const updateCursorChat = (text) => {
+    setCursorChat(prev => ({ ...prev, text }));
+    realtimeCollab.broadcastCursorPosition({ x: cursorChat.x, y: cursorChat.y, message: text });
+  };
+
+  // Enter leaves the message up until it fades; Escape takes it down straight away
+  const closeCursorChat = (keepMessage) => {
+    if (keepMessage && cursorChat.text.trim()) {
+      setCursorChat(prev => ({ ...prev, open: false }));
+      cursorChatTimeoutRef.current = setTimeout(() => {
+        setCursorChat(prev => (prev.open ? prev : { ...prev, text: '' }));
+      }, CURSOR_MESSAGE_TTL);
+    } else {
+      setCursorChat(prev => ({ ...prev, open: false, text: '' }));
+      realtimeCollab.broadcastCursorPosition({ x: cursorChat.x, y: cursorChat.y, message: null });
+    }
+  };
+
+  const handleReaction = (emoji) => {
+    const { x, y } = getCursorCanvasPoint();
+    realtimeCollab.sendReaction(emoji, x, y);
+  };
+
+  // "/" opens cursor chat, unless the key is meant for a text field
+  useEffect(() => {
+    const handleCursorChatKey = (e) => {
+      if (e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey || !realtimeCollab.isConnected) return;
+      const target = e.target;
+      if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable) return;
+
+      e.preventDefault();
+      openCursorChat();
+    };
+    window.addEventListener('keydown', handleCursorChatKey);
+    return () => window.removeEventListener('keydown', handleCursorChatKey);
+  });
+
+  useEffect(() => () => clearTimeout(cursorChatTimeoutRef.current), []);
+
   const handleMouseUp = () => {
+    ink.endStroke();
     if (isDragging) {
       recordHistory(elements);
+      if (selectedElement) realtimeCollab.unlockElement(selectedElement.id);
     }
     if (isResizing) {
       recordHistory(elements);
@@ -634,6 +1013,15 @@ const CanvasPage = () => {
   };
 
   const handleDoubleClick = (id) => {
+    if (realtimeCollab.isElementLocked(id)) return;
+    const element = elements.find(el => el.id === id);
+    if (element?.redacted) return;
+    if (['text', 'sticky'].includes(element?.type)) {
+      // Text is merged character by character, so several people can type at once
+      collaborativeText.startEditing(id, element.text || '');
+    } else {
+      realtimeCollab.lockElement(id);
+    }
     setElements(prevElements =>
       prevElements.map(el =>
         el.id === id ? { ...el, isEditing: true } : el
@@ -646,6 +1034,9 @@ const CanvasPage = () => {
       el.id === id ? { ...el, text: e.target.value } : el
     );
     setElements(newElements);
+
+    // Inside a shared editing session the change goes out as a text operation
+    if (collaborativeText.changeText(id, e.target.value)) return;
     
     // Emit element update to other users (with debouncing for text changes)
     if (realtimeCollab && realtimeCollab.isConnected) {
@@ -660,9 +1051,64 @@ const CanvasPage = () => {
     }
   };
 
+  const handleTextBlur = (id) => {
+    setElements(prevElements => prevElements.map(el => el.id === id ? { ...el, isEditing: false } : el));
+    collaborativeText.stopEditing(id);
+    realtimeCollab.unlockElement(id);
+  };
+
+  // Text or sticky content, with the carets of anyone else typing in it
+  const renderEditableText = (element) => {
+    const carets = collaborativeText.getRemoteCarets(element.id)
+      .slice()
+      .sort((a, b) => a.position - b.position);
+    const text = element.text || '';
+    const textClass = element.isEditing ? '' : 'font-semibold';
+
+    return (
+      <div className="relative w-full h-full">
+        {element.isEditing ? (
+          <textarea
+            ref={editingTextareaRef}
+            data-element-id={element.id}
+            value={element.text}
+            maxLength={MAX_TEXT_LENGTH}
+            onChange={(e) => handleTextChange(e, element.id)}
+            onSelect={(e) => collaborativeText.moveCaret(element.id, e.target.selectionStart)}
+            onBlur={() => handleTextBlur(element.id)}
+            className="w-full h-full p-0 border-none bg-transparent resize-none focus:outline-none"
+          />
+        ) : (
+          <span className="font-semibold">{element.text}</span>
+        )}
+        {carets.length > 0 && (
+          // Mirror of the text with invisible glyphs, so caret markers land where the characters are
+          <div className={`absolute inset-0 pointer-events-none whitespace-pre-wrap break-words text-transparent ${textClass}`}>
+            {carets.map((caret, index) => (
+              <React.Fragment key={caret.connectionId}>
+                {text.slice(index === 0 ? 0 : carets[index - 1].position, caret.position)}
+                <span className="relative inline-block w-0 h-[1.2em] align-text-bottom border-l-2 border-pink-500">
+                  <span className="absolute -top-4 left-0 px-1 rounded bg-pink-500 text-white text-[10px] leading-4 whitespace-nowrap">
+                    {caret.user?.name || 'Someone'}
+                  </span>
+                </span>
+              </React.Fragment>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
   // ========================== DRAWING FUNCTIONS ==========================
   // Helper function to render individual elements
-  const renderElement = (element) => (
+  const renderElement = (element) => {
+    const lock = realtimeCollab.isElementLocked(element.id) ? realtimeCollab.getElementLock(element.id) : null;
+    const remoteSelectors = Array.from(realtimeCollab.userSelections.values())
+      .filter(selection => selection.elementIds.some(id => String(id) === String(element.id)));
+    const isVotable = voting.isOpen && activeTool === 'select' && voting.canVoteOn(element);
+    const voteCount = voting.isRevealed ? voting.getVoteCount(element.id) : 0;
+    return (
     <div
       key={element.id}
       onMouseDown={(e) => {
@@ -670,16 +1116,25 @@ const CanvasPage = () => {
           deleteElementById(element.id);
           return;
         }
+        if (isVotable) return; // clicks vote instead of dragging while a vote is open
         handleMouseDown(e, element);
       }}
       onDoubleClick={() => handleDoubleClick(element.id)}
-      onClick={(e) => handleSelectElement(e, element.id)}
+      onClick={(e) => {
+        if (isVotable) {
+          e.stopPropagation();
+          voting.toggleVote(element.id);
+          return;
+        }
+        handleSelectElement(e, element.id);
+      }}
       onContextMenu={(e) => handleElementContextMenu(e, element)}
       className={`absolute ${['line','arrow','freehand'].includes(element.type) ? '' : 'rounded-xl shadow-lg border-2 p-4'}
         ${element.type === 'text' ? 'bg-white text-gray-900 border-gray-300' : ''}
         ${element.type === 'sticky' ? 'text-gray-900 border-yellow-400 shadow-md' : ''}
         ${element.type === 'shape' ? 'border-blue-700 rounded-xl shadow-lg border-2 p-0' : ''}
         ${selectedElement && selectedElement.id === element.id ? 'z-20' : 'z-10'}
+        ${lock ? 'ring-2 ring-orange-400' : remoteSelectors.length > 0 ? 'ring-2 ring-sky-400 ring-offset-2' : ''}
       `}
       style={{
          top: `${element.y}px`,
@@ -692,30 +1147,14 @@ const CanvasPage = () => {
         borderColor: element.borderColor,
       }}
     >
-      {element.type === 'text' && (
-        element.isEditing ? (
-          <textarea
-            value={element.text}
-            onChange={(e) => handleTextChange(e, element.id)}
-            onBlur={() => setElements(prevElements => prevElements.map(el => el.id === element.id ? { ...el, isEditing: false } : el))}
-            className="w-full h-full p-0 border-none bg-transparent resize-none focus:outline-none"
-          />
-        ) : (
-          <span className="font-semibold">{element.text}</span>
-        )
-      )}
-      {element.type === 'sticky' && (
-         element.isEditing ? (
-          <textarea
-            value={element.text}
-            onChange={(e) => handleTextChange(e, element.id)}
-            onBlur={() => setElements(prevElements => prevElements.map(el => el.id === element.id ? { ...el, isEditing: false } : el))}
-            className="w-full h-full p-0 border-none bg-transparent resize-none focus:outline-none"
-          />
-        ) : (
-          <span className="font-semibold">{element.text}</span>
-        )
-      )}
+      {element.redacted ? (
+        // Someone else's private sticky: a blurred stand-in until the owner reveals it
+        <div className="w-full h-full flex flex-col gap-2 blur-sm select-none pointer-events-none" title="Private until the board owner reveals it">
+          <div className="h-3 w-4/5 rounded bg-gray-700/40" />
+          <div className="h-3 w-3/5 rounded bg-gray-700/40" />
+          <div className="h-3 w-2/3 rounded bg-gray-700/40" />
+        </div>
+      ) : ['text', 'sticky'].includes(element.type) && renderEditableText(element)}
       {element.type === 'shape' && <div style={{width: '100%', height: '100%', backgroundColor: element.backgroundColor || '#3B82F6', borderRadius: '12px'}} />}
       {['line','arrow','freehand'].includes(element.type) && (
         <svg style={{position:'absolute', inset:0, width:'100%', height:'100%', overflow:'visible'}}>
@@ -762,15 +1201,57 @@ const CanvasPage = () => {
           ))}
         </>
       )}
+
+      {/* Names of collaborators who have this element selected */}
+      {!lock && remoteSelectors.length > 0 && (
+        <div className="absolute -bottom-6 left-0 px-2 py-0.5 rounded bg-sky-400 text-white text-xs whitespace-nowrap pointer-events-none">
+          {remoteSelectors.map(selection => selection.user?.name || 'Someone').join(', ')}
+        </div>
+      )}
+
+      {/* Dot voting: our own vote while the vote is open, the count once revealed */}
+      {isVotable && (
+        <div
+          className={`absolute -top-3 -right-3 w-6 h-6 rounded-full border-2 border-white shadow-md pointer-events-none ${voting.hasVotedFor(element.id) ? 'bg-blue-600' : 'bg-gray-200'}`}
+          title={voting.hasVotedFor(element.id) ? 'Your vote' : 'Click to vote'}
+        />
+      )}
+      {voteCount > 0 && (
+        <div className="absolute -top-3 -right-3 min-w-[28px] h-7 px-2 rounded-full bg-blue-600 border-2 border-white shadow-md text-white text-sm font-bold flex items-center justify-center pointer-events-none">
+          {voteCount}
+        </div>
+      )}
+
+      {/* Our own sticky while private mode keeps it from everyone else */}
+      {element.privateTo && !element.redacted && (
+        <div
+          className="absolute -top-3 -left-3 w-6 h-6 rounded-full bg-gray-800 border-2 border-white shadow-md flex items-center justify-center pointer-events-none"
+          title="Only you can see this until the board owner reveals it"
+        >
+          <EyeOff className="w-3 h-3 text-white" />
+        </div>
+      )}
+
+      {/* Lock badge when another collaborator is editing this element */}
+      {lock && (
+        <div className="absolute -top-6 left-0 px-2 py-0.5 rounded bg-orange-400 text-white text-xs whitespace-nowrap pointer-events-none">
+          {lock.lockedBy?.name || 'Someone'} is editing
+        </div>
+      )}
     </div>
-  );
+    );
+  };
 
   // Start drawing for line/arrow/pen
   const startDrawingSurface = (e) => {
-    if (!['line','arrow','pen'].includes(activeTool)) return;
     const surfaceRect = surfaceRef.current.getBoundingClientRect();
     const x = (e.clientX - surfaceRect.left) / scale;
     const y = (e.clientY - surfaceRect.top) / scale;
+    if (INK_TOOLS.includes(activeTool)) {
+      ink.startStroke(activeTool, { x, y }, { color: strokeColor, width: strokeWidth });
+      return;
+    }
+    if (!['line','arrow','pen'].includes(activeTool)) return;
     const id = Date.now();
     if (activeTool === 'pen') {
   const el = { id, type: 'freehand', points: [{x,y}], strokeColor, strokeWidth, x, y, width: 1, height: 1 };
@@ -790,6 +1271,7 @@ const CanvasPage = () => {
       if (!el) return prev;
       const clone = JSON.parse(JSON.stringify(el));
       clone.id = Date.now();
+      clone.revision = 1;
       clone.x += 40; clone.y += 40;
       return [...prev, clone];
     });
@@ -822,6 +1304,7 @@ const CanvasPage = () => {
 
   const handleElementContextMenu = (e, el) => {
     e.preventDefault();
+    if (el.redacted) return;
     setSelectedElement(el);
     setContextMenu({ visible: true, x: e.clientX, y: e.clientY, elementId: el.id });
   };
@@ -898,6 +1381,97 @@ const CanvasPage = () => {
                   {realtimeCollab.connectedUsers ? realtimeCollab.connectedUsers.length : 1} user{realtimeCollab.connectedUsers?.length !== 1 ? 's' : ''}
                 </span>
               </button>
+
+              {/* Separator */}
+              <div className="w-px h-4 bg-white/30"></div>
+
+              {/* Board Chat */}
+              <button
+                onClick={() => { setShowChat(open => !open); setShowVoting(false); setShowHistory(false); }}
+                className={`relative flex items-center gap-2 px-2 py-1 rounded transition-colors ${showChat ? 'bg-white/20' : 'hover:bg-white/10'}`}
+                title={showChat ? 'Hide chat' : 'Show chat'}
+              >
+                <MessageSquare size={16} className="text-white" />
+                <span className="text-sm text-white font-medium">Chat</span>
+                {chat.unreadCount > 0 && (
+                  <span className="absolute -top-2 -right-2 min-w-[18px] h-[18px] px-1 rounded-full bg-red-500 text-white text-[10px] font-bold flex items-center justify-center">
+                    {chat.unreadCount > 99 ? '99+' : chat.unreadCount}
+                  </span>
+                )}
+              </button>
+
+              {/* Separator */}
+              <div className="w-px h-4 bg-white/30"></div>
+
+              {/* Dot Voting */}
+              <button
+                onClick={() => { setShowVoting(open => !open); setShowChat(false); setShowHistory(false); }}
+                className={`relative flex items-center gap-2 px-2 py-1 rounded transition-colors ${showVoting ? 'bg-white/20' : 'hover:bg-white/10'}`}
+                title={showVoting ? 'Hide voting' : 'Show voting'}
+              >
+                <Vote size={16} className="text-white" />
+                <span className="text-sm text-white font-medium">Vote</span>
+                {voting.isOpen && (
+                  <span className="absolute -top-2 -right-2 min-w-[18px] h-[18px] px-1 rounded-full bg-blue-500 text-white text-[10px] font-bold flex items-center justify-center">
+                    {voting.votesLeft}
+                  </span>
+                )}
+              </button>
+
+              {/* Separator */}
+              <div className="w-px h-4 bg-white/30"></div>
+
+              {/* Version History */}
+              <button
+                onClick={() => { setShowHistory(open => !open); setShowChat(false); setShowVoting(false); setShowReplay(false); }}
+                className={`flex items-center gap-2 px-2 py-1 rounded transition-colors ${showHistory ? 'bg-white/20' : 'hover:bg-white/10'}`}
+                title={showHistory ? 'Hide version history' : 'Show version history'}
+              >
+                <History size={16} className="text-white" />
+                <span className="text-sm text-white font-medium">History</span>
+              </button>
+
+              {/* Timelapse Replay */}
+              <button
+                onClick={toggleReplay}
+                className={`flex items-center gap-2 px-2 py-1 rounded transition-colors ${showReplay ? 'bg-white/20' : 'hover:bg-white/10'}`}
+                title={showReplay ? 'Back to the board' : 'Replay how the board came together'}
+              >
+                <Film size={16} className="text-white" />
+                <span className="text-sm text-white font-medium">Replay</span>
+              </button>
+
+              {/* Separator */}
+              <div className="w-px h-4 bg-white/30"></div>
+
+              {/* Shared Facilitation Timer */}
+              <BoardTimer timer={timer} canControl={canEdit} />
+
+              {/* Private Mode: the owner turns it on and reveals; everyone else sees that it is on */}
+              {(realtimeCollab.role === 'owner' || privateMode.isEnabled) && (
+                <>
+                  <div className="w-px h-4 bg-white/30"></div>
+
+                  {realtimeCollab.role === 'owner' ? (
+                    <button
+                      onClick={privateMode.isEnabled ? privateMode.reveal : privateMode.start}
+                      className={`flex items-center gap-2 px-2 py-1 rounded transition-colors ${privateMode.isEnabled ? 'bg-white/20 hover:bg-white/30' : 'hover:bg-white/10'}`}
+                      title={privateMode.isEnabled ? 'Show every private sticky to everyone' : 'Keep new stickies private to their authors until you reveal them'}
+                    >
+                      {privateMode.isEnabled ? <Eye size={16} className="text-white" /> : <EyeOff size={16} className="text-white" />}
+                      <span className="text-sm text-white font-medium">{privateMode.isEnabled ? 'Reveal' : 'Private'}</span>
+                    </button>
+                  ) : (
+                    <div
+                      className="flex items-center gap-2 px-2 py-1"
+                      title={`${privateMode.startedBy || 'The owner'} turned on private mode: new stickies stay hidden until they are revealed`}
+                    >
+                      <EyeOff size={16} className="text-white" />
+                      <span className="text-sm text-white font-medium">Private mode</span>
+                    </div>
+                  )}
+                </>
+              )}
               
               {/* Share Link - only show if user can edit */}
               {canEdit && (
@@ -935,15 +1509,20 @@ const CanvasPage = () => {
               {/* User Avatars */}
               {realtimeCollab.connectedUsers && realtimeCollab.connectedUsers.length > 0 && (
                 <div className="flex -space-x-1 ml-2">
-                  {realtimeCollab.connectedUsers.slice(0, 3).map((connectedUser, idx) => (
-                    <div
-                      key={connectedUser.id}
-                      className="w-7 h-7 rounded-full bg-gradient-to-br from-blue-400 to-purple-500 flex items-center justify-center text-xs text-white font-bold border-2 border-white shadow-md"
-                      title={connectedUser.name}
-                    >
-                      {connectedUser.name?.charAt(0)?.toUpperCase() || 'U'}
-                    </div>
-                  ))}
+                  {realtimeCollab.connectedUsers.slice(0, 3).map((connectedUser, idx) => {
+                    const collaborator = connectedUser.user || connectedUser;
+                    const isSelf = collaborator._id === user?._id;
+                    return (
+                      <button
+                        key={collaborator._id || idx}
+                        onClick={() => !isSelf && toggleFollowUser(collaborator._id)}
+                        className={`w-7 h-7 rounded-full bg-gradient-to-br from-blue-400 to-purple-500 flex items-center justify-center text-xs text-white font-bold border-2 shadow-md ${followingUserId === collaborator._id ? 'border-yellow-300 ring-2 ring-yellow-300' : 'border-white'}`}
+                        title={isSelf ? collaborator.name : `Follow ${collaborator.name}`}
+                      >
+                        {collaborator.name?.charAt(0)?.toUpperCase() || 'U'}
+                      </button>
+                    );
+                  })}
                   {realtimeCollab.connectedUsers.length > 3 && (
                     <div className="w-7 h-7 rounded-full bg-gradient-to-br from-gray-400 to-gray-600 flex items-center justify-center text-xs text-white font-bold border-2 border-white shadow-md">
                       +{realtimeCollab.connectedUsers.length - 3}
@@ -981,6 +1560,100 @@ const CanvasPage = () => {
         </div>
       </div>
      
+      {/* Follow mode banner */}
+      {followingUserId && (
+        <div className="fixed top-20 left-1/2 -translate-x-1/2 z-50 flex items-center gap-3 px-4 py-2 rounded-full bg-yellow-300 text-gray-900 text-sm font-medium shadow-lg">
+          <span>
+            Following {realtimeCollab.userViewports.get(followingUserId)?.user?.name
+              || realtimeCollab.connectedUsers.find(u => u.user?._id === followingUserId)?.user?.name
+              || 'collaborator'}
+          </span>
+          <button onClick={() => setFollowingUserId(null)} className="px-2 py-0.5 rounded-full bg-gray-900 text-white text-xs hover:bg-gray-700">
+            Stop
+          </button>
+        </div>
+      )}
+
+      {/* Edit conflict notice */}
+      {conflictNotice && (
+        <div className="fixed top-32 left-1/2 -translate-x-1/2 z-50 px-4 py-2 rounded-lg bg-orange-100 border border-orange-300 text-orange-800 text-sm font-medium shadow-lg">
+          {conflictNotice}
+        </div>
+      )}
+
+      {/* Dot voting notice, e.g. out of votes */}
+      {voting.notice && (
+        <div className="fixed top-32 left-1/2 -translate-x-1/2 z-50 px-4 py-2 rounded-lg bg-blue-100 border border-blue-300 text-blue-800 text-sm font-medium shadow-lg">
+          {voting.notice}
+        </div>
+      )}
+
+      {/* Earlier version shown on the canvas */}
+      {historyPreview && (
+        <div className="fixed top-32 left-1/2 -translate-x-1/2 z-50 flex items-center gap-3 px-4 py-2 rounded-lg bg-blue-100 border border-blue-300 text-blue-800 text-sm font-medium shadow-lg">
+          <span>
+            Previewing {historyPreview.name ? `"${historyPreview.name}"` : `version ${historyPreview.version}`}; the live board is hidden until you go back.
+          </span>
+          <button
+            onClick={() => setHistoryPreview(null)}
+            className="px-2 py-1 rounded bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+          >
+            Back to the board
+          </button>
+        </div>
+      )}
+
+      {/* Two versions compared on the canvas */}
+      {versionDiff && (
+        <div className="fixed top-32 left-1/2 -translate-x-1/2 z-50 flex items-center gap-3 px-4 py-2 rounded-lg bg-blue-100 border border-blue-300 text-blue-800 text-sm font-medium shadow-lg">
+          <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm border-2 border-green-600 bg-green-100" /> Added</span>
+          <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm border-2 border-dashed border-red-600 bg-red-100" /> Removed</span>
+          <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm border-2 border-amber-600" /> Moved or restyled</span>
+          <button
+            onClick={() => setVersionDiff(null)}
+            className="px-2 py-1 rounded bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+          >
+            Back to the board
+          </button>
+        </div>
+      )}
+
+      {/* Timelapse Player */}
+      <ReplayPlayer isOpen={showReplay} onClose={() => setShowReplay(false)} replay={replay} />
+
+      {/* Version History Panel */}
+      <HistoryPanel
+        isOpen={showHistory}
+        onClose={() => { setShowHistory(false); setHistoryPreview(null); setVersionDiff(null); }}
+        history={versionHistory}
+        canEdit={canEdit}
+        previewId={historyPreview?._id}
+        onPreview={previewVersion}
+        comparison={versionDiff}
+        onCompare={compareVersions}
+      />
+
+      {/* Dot Voting Panel */}
+      <VotingPanel
+        isOpen={showVoting}
+        onClose={() => setShowVoting(false)}
+        voting={voting}
+        canStart={canEdit}
+        elements={elements}
+        getVisibleRegion={getVisibleRegion}
+      />
+
+      {/* Board Chat Panel */}
+      <ChatPanel
+        isOpen={showChat}
+        onClose={() => setShowChat(false)}
+        chat={chat}
+        currentUserId={user?._id}
+      />
+
+      {/* Emoji Reactions */}
+      <ReactionBar onReact={handleReaction} disabled={!realtimeCollab.isConnected} />
+
       {/* Enhanced Floating Toolbar - Always Visible and Fixed */}
       <div className="fixed left-4 top-20 z-40 flex flex-col w-16 max-h-[calc(100vh-120px)] overflow-y-auto bg-white/95 backdrop-blur-xl rounded-xl shadow-2xl border border-gray-200/60 select-none floating-element"
            style={{ position: 'fixed' }}>
@@ -1049,6 +1722,21 @@ const CanvasPage = () => {
           >
             <Eraser size={20} />
           </button>
+          {/* Presenting tools: nothing is saved, so viewers can use them too */}
+          <button
+            onClick={() => setActiveTool('laser')}
+            className={`w-full p-3 rounded-lg transition-all duration-200 ${activeTool === 'laser' ? 'bg-gradient-to-r from-indigo-500 to-purple-500 text-white shadow-lg transform scale-105' : 'text-gray-600 hover:bg-indigo-50 hover:text-indigo-600'}`}
+            title="Laser Pointer"
+          >
+            <Zap size={20} />
+          </button>
+          <button
+            onClick={() => setActiveTool('ink')}
+            className={`w-full p-3 rounded-lg transition-all duration-200 ${activeTool === 'ink' ? 'bg-gradient-to-r from-indigo-500 to-purple-500 text-white shadow-lg transform scale-105' : 'text-gray-600 hover:bg-indigo-50 hover:text-indigo-600'}`}
+            title="Temporary Pen (fades after a few seconds)"
+          >
+            <Highlighter size={20} />
+          </button>
         </div>
        
         {/* Toolbar Divider */}
@@ -1156,13 +1844,14 @@ const CanvasPage = () => {
         className="flex-1 overflow-auto relative touch-none pl-24 pt-16 custom-scrollbar"
         onMouseMove={(e)=>{panMove(e); handleMouseMove(e); handleCursorMove(e);}}
         onMouseUp={handleMouseUp}
-        onMouseDown={startDrawingSurface}
+        onMouseDown={historyPreview || versionDiff || showReplay ? undefined : startDrawingSurface}
         onClick={handleCanvasClick}
         style={{
           cursor: activeTool === 'select' ? 'default' : 'crosshair'
         }}
         onWheel={handleWheel}
-        onMouseLeave={stopPan}
+        onScroll={broadcastViewport}
+        onMouseLeave={()=>{stopPan(); ink.endStroke();}}
         onMouseDownCapture={startPan}
         onMouseUpCapture={stopPan}
         onPointerDown={handlePointerDown}
@@ -1182,11 +1871,59 @@ const CanvasPage = () => {
             backgroundSize: `${24 / scale}px ${24 / scale}px`
           }}
         >
-        {elements.map(renderElement)}
+        {/* Area a dot vote is limited to */}
+        {voting.isOpen && voting.session.region && (
+          <div
+            className="absolute border-2 border-dashed border-blue-400 rounded-lg pointer-events-none"
+            style={{
+              left: voting.session.region.x,
+              top: voting.session.region.y,
+              width: voting.session.region.width,
+              height: voting.session.region.height,
+            }}
+          />
+        )}
+
+        {historyPreview && (
+          <div className="absolute inset-0 pointer-events-none">
+            {historyPreview.elements.map(renderElement)}
+          </div>
+        )}
+        {versionDiff && (
+          <div className="absolute inset-0 pointer-events-none">
+            {versionDiff.elements.map(renderElement)}
+            <VersionDiffLayer diff={versionDiff.diff} />
+          </div>
+        )}
+        {showReplay && (
+          <div className="absolute inset-0 pointer-events-none">
+            {replayElements.map(renderElement)}
+            {/* The element the replay just changed */}
+            {replayTargetBounds && (
+              <div
+                className="absolute border-2 border-blue-500 rounded-lg"
+                style={{
+                  left: replayTargetBounds.x - 6,
+                  top: replayTargetBounds.y - 6,
+                  width: replayTargetBounds.width + 12,
+                  height: replayTargetBounds.height + 12,
+                }}
+              />
+            )}
+          </div>
+        )}
+        {!historyPreview && !versionDiff && !showReplay && elements.map(renderElement)}
+
+        {/* Laser pointer trails and temporary ink */}
+        <EphemeralInkLayer strokes={ink.strokes} now={ink.now} />
         
         {/* Real-time Collaboration Cursors */}
         {realtimeCollab && realtimeCollab.cursors && Array.from(realtimeCollab.cursors.entries()).map(([userId, cursor]) => {
           if (!cursor || userId === user?.id) return null;
+          // Away users' cursors are hidden; idle ones are faded and labelled
+          const status = realtimeCollab.getUserStatus(userId);
+          if (status === 'away') return null;
+          const name = cursor.user?.name || 'Anonymous';
           return (
             <div
               key={userId}
@@ -1194,11 +1931,17 @@ const CanvasPage = () => {
               style={{
                 left: cursor.x,
                 top: cursor.y,
-                transform: 'translate(-2px, -2px)'
+                transform: 'translate(-2px, -2px)',
+                opacity: status === 'idle' ? 0.5 : 1
               }}
-              data-user={cursor.user?.name || 'Anonymous'}
+              data-user={status === 'idle' ? `${name} (idle)` : name}
             >
-              <svg width="20" height="20" viewBox="0 0 24 24" className="text-blue-500">
+              {cursor.message && (
+                <div key={cursor.messageAt} className="cursor-chat-bubble" style={{ backgroundColor: cursor.user?.color }}>
+                  {cursor.message}
+                </div>
+              )}
+              <svg width="20" height="20" viewBox="0 0 24 24" className="text-blue-500" style={{ color: cursor.user?.color }}>
                 <path
                   fill="currentColor"
                   d="M5.64 1.64a1 1 0 0 1 1.41 0l15.31 15.31a1 1 0 0 1-1.41 1.41L5.64 3.05a1 1 0 0 1 0-1.41z"
@@ -1211,8 +1954,46 @@ const CanvasPage = () => {
             </div>
           );
         })}
-        
 
+        {/* Our own cursor chat bubble */}
+        {(cursorChat.open || cursorChat.text) && (
+          <div className="absolute z-[1001]" style={{ left: cursorChat.x, top: cursorChat.y }}>
+            <div
+              key={cursorChat.open ? 'open' : 'closed'}
+              className={`cursor-chat-bubble ${cursorChat.open ? 'cursor-chat-bubble--open' : ''}`}
+              style={{ top: 0, backgroundColor: user?.color }}
+              onMouseDown={e => e.stopPropagation()}
+            >
+              {cursorChat.open ? (
+                <input
+                  autoFocus
+                  value={cursorChat.text}
+                  maxLength={100}
+                  placeholder="Say something"
+                  onChange={e => updateCursorChat(e.target.value)}
+                  onBlur={() => closeCursorChat(true)}
+                  onKeyDown={e => {
+                    e.stopPropagation();
+                    if (e.key === 'Enter') closeCursorChat(true);
+                    if (e.key === 'Escape') closeCursorChat(false);
+                  }}
+                />
+              ) : cursorChat.text}
+            </div>
+          </div>
+        )}
+
+        {/* Emoji reactions floating up */}
+        {realtimeCollab.reactions.map(reaction => (
+          <div
+            key={reaction.id}
+            className="floating-reaction"
+            style={{ left: reaction.x, top: reaction.y }}
+            title={reaction.user?.name}
+          >
+            {reaction.emoji}
+          </div>
+        ))}
         
         {/* Context Menu */}
         {contextMenu.visible && (
@@ -1242,7 +2023,6 @@ const CanvasPage = () => {
           isOpen={showActiveUsersModal}
           onClose={() => setShowActiveUsersModal(false)}
           connectedUsers={realtimeCollab.connectedUsers}
-          realtimeCollab={realtimeCollab}
         />
         </div>
       </div>
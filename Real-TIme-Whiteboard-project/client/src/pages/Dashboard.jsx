@@ -48,6 +48,14 @@ function Dashboard() {
   const [editTitle, setEditTitle] = useState("");
   const [loadingBoards, setLoadingBoards] = useState(true);
   const [isCreating, setIsCreating] = useState(false);
+  // Board being duplicated, with the options for the copy
+  const [duplicating, setDuplicating] = useState(null);
+  const [isDuplicating, setIsDuplicating] = useState(false);
+  // Trash view: boards deleted by the user, until they are purged
+  const [showTrash, setShowTrash] = useState(false);
+  const [trashedBoards, setTrashedBoards] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loadingTrash, setLoadingTrash] = useState(false);
 
   // Load boards when component mounts or user changes
   useEffect(() => {
@@ -79,6 +87,55 @@ function Dashboard() {
     }
   };
 
+  const loadTrash = async () => {
+    try {
+      setLoadingTrash(true);
+      const response = await boardService.getTrash();
+      if (response.success) {
+        setTrashedBoards(response.boards);
+        setRetentionDays(response.retentionDays);
+      }
+    } catch (error) {
+      console.error('Error loading trash:', error);
+      setError('Failed to load the trash');
+    } finally {
+      setLoadingTrash(false);
+    }
+  };
+
+  const handleToggleTrash = () => {
+    if (!showTrash) loadTrash();
+    setShowTrash(!showTrash);
+    setMenuOpenIdx(null);
+    setError("");
+  };
+
+  const handleRestoreBoard = async (board) => {
+    try {
+      const response = await boardService.restoreBoard(board._id);
+      if (response.success) {
+        setTrashedBoards(prev => prev.filter(b => b._id !== board._id));
+        setBoards(prev => [response.board, ...prev]);
+      }
+    } catch (error) {
+      console.error('Error restoring board:', error);
+      setError('Failed to restore board');
+    }
+  };
+
+  const handlePurgeBoard = async (board) => {
+    if (!window.confirm(`Delete "${board.title}" for good? This action cannot be undone.`)) {
+      return;
+    }
+    try {
+      await boardService.purgeBoard(board._id);
+      setTrashedBoards(prev => prev.filter(b => b._id !== board._id));
+    } catch (error) {
+      console.error('Error purging board:', error);
+      setError('Failed to delete board');
+    }
+  };
+
   const handleCreate = () => {
     setShowModal(true);
     setNewTitle("");
@@ -180,7 +237,7 @@ function Dashboard() {
   const handleDelete = async (idx) => {
     const board = filteredBoards[idx];
     
-    if (window.confirm('Are you sure you want to delete this board? This action cannot be undone.')) {
+    if (window.confirm('Move this board to the trash? You can restore it from the trash until it is deleted for good.')) {
       try {
         await boardService.deleteBoard(board._id);
         
@@ -196,6 +253,48 @@ function Dashboard() {
     }
   };
 
+  const handleDuplicate = (board) => {
+    setDuplicating({
+      board,
+      title: `${board.title} (copy)`,
+      copySettings: true,
+      copyCollaborators: false,
+      isOwner: boards.some(b => b._id === board._id),
+    });
+    setMenuOpenIdx(null);
+    setError("");
+  };
+
+  const handleDuplicateSubmit = async (e) => {
+    e.preventDefault();
+    if (!duplicating.title.trim()) {
+      setError("Title is required");
+      return;
+    }
+
+    try {
+      setIsDuplicating(true);
+      setError("");
+
+      const response = await boardService.duplicateBoard(duplicating.board._id, {
+        title: duplicating.title.trim(),
+        copySettings: duplicating.copySettings,
+        copyCollaborators: duplicating.isOwner && duplicating.copyCollaborators,
+      });
+
+      if (response.success) {
+        // The copy is always ours
+        setBoards(prev => [response.board, ...prev]);
+        setDuplicating(null);
+      }
+    } catch (error) {
+      console.error('Error duplicating board:', error);
+      setError(error.response?.data?.message || 'Failed to duplicate board');
+    } finally {
+      setIsDuplicating(false);
+    }
+  };
+
   const handleBoardClick = (board) => {
     navigate('/canvas', { 
       state: { 
@@ -236,6 +335,16 @@ function Dashboard() {
               onChange={e => setSearch(e.target.value)}
             />
           </div>
+          <button
+            className={`flex items-center px-4 py-2 font-semibold rounded-full border transition-colors ${showTrash ? 'bg-gray-700 text-white border-gray-700' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'}`}
+            onClick={handleToggleTrash}
+            title={showTrash ? 'Back to your boards' : 'Deleted boards'}
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="mr-2">
+              <path d="M3 6h18" /><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6" /><path d="M8 6V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" />
+            </svg>
+            Trash
+          </button>
           <button
             className="flex items-center px-6 py-2 bg-blue-700 text-white font-semibold rounded-full shadow-md hover:bg-blue-800 transition-colors"
             onClick={handleCreate}
@@ -255,8 +364,57 @@ function Dashboard() {
           </div>
         </div>
       </header>
-      {/* Boards Grid */}
-      {loadingBoards ? (
+      {/* Trash */}
+      {showTrash ? (
+        <div className="mb-8">
+          <h3 className="text-xl font-semibold text-gray-800 mb-1">Trash</h3>
+          {retentionDays !== null && (
+            <p className="text-sm text-gray-500 mb-4">
+              Boards in the trash are deleted for good after {retentionDays} day{retentionDays !== 1 ? 's' : ''}.
+            </p>
+          )}
+          {error && <div className="text-red-600 text-sm mb-4">{error}</div>}
+          {loadingTrash ? (
+            <div className="flex justify-center items-center h-64">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+            </div>
+          ) : trashedBoards.length === 0 ? (
+            <p className="text-gray-600 py-12 text-center">The trash is empty.</p>
+          ) : (
+            <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6 w-full">
+              {trashedBoards.filter(board => board.title.toLowerCase().includes(search.toLowerCase())).map((board) => (
+                <div key={board._id} className="bg-white rounded-xl shadow-lg flex flex-col opacity-90">
+                  <div className="p-4 flex-1 flex flex-col">
+                    <h3 className="text-lg font-semibold text-gray-900 mb-1 truncate">{board.title}</h3>
+                    {board.description && (
+                      <p className="text-sm text-gray-600 mb-2 line-clamp-2">{board.description}</p>
+                    )}
+                    <div className="mt-auto text-xs text-gray-500">
+                      <p>Deleted {new Date(board.deletedAt).toLocaleDateString()}{board.deletedBy?.name && ` by ${board.deletedBy.name}`}</p>
+                      <p>Deleted for good on {new Date(board.purgeAt).toLocaleDateString()}</p>
+                      <p className="mt-1">{board.elementCount} elements</p>
+                    </div>
+                    <div className="flex gap-2 mt-4">
+                      <button
+                        className="flex-1 px-3 py-1.5 rounded bg-blue-700 text-white text-sm font-medium hover:bg-blue-800"
+                        onClick={() => handleRestoreBoard(board)}
+                      >
+                        Restore
+                      </button>
+                      <button
+                        className="flex-1 px-3 py-1.5 rounded bg-white border border-red-300 text-red-600 text-sm font-medium hover:bg-red-50"
+                        onClick={() => handlePurgeBoard(board)}
+                      >
+                        Delete forever
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      ) : loadingBoards ? (
         <div className="flex justify-center items-center h-64">
           <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
         </div>
@@ -302,6 +460,12 @@ function Dashboard() {
                             >
                               Edit
                             </button>
+                            <button
+                              className="block w-full text-left px-4 py-2 text-gray-700 hover:bg-gray-100"
+                              onClick={e => { e.stopPropagation(); handleDuplicate(board); }}
+                            >
+                              Duplicate
+                            </button>
                             <button
                               className="block w-full text-left px-4 py-2 text-red-600 hover:bg-gray-100"
                               onClick={e => { e.stopPropagation(); handleDelete(boards.findIndex(b => b._id === board._id)); }}
@@ -355,6 +519,29 @@ function Dashboard() {
                         </div>
                         <p className="text-sm text-gray-600 font-medium truncate">{board.title}</p>
                       </div>
+                      {/* 3-dot menu */}
+                      <div className="absolute top-2 right-2 z-10">
+                        <button
+                          className="p-2 rounded-full hover:bg-white hover:bg-opacity-50 focus:outline-none opacity-0 group-hover:opacity-100 transition-opacity"
+                          onClick={e => { e.stopPropagation(); setMenuOpenIdx(board._id === menuOpenIdx ? null : board._id); }}
+                        >
+                          <svg width="20" height="20" fill="none" stroke="currentColor" strokeWidth="2" viewBox="0 0 24 24">
+                            <circle cx="5" cy="12" r="2" />
+                            <circle cx="12" cy="12" r="2" />
+                            <circle cx="19" cy="12" r="2" />
+                          </svg>
+                        </button>
+                        {menuOpenIdx === board._id && (
+                          <div className="absolute right-0 mt-2 w-32 bg-white border border-gray-200 rounded-md shadow-lg z-20">
+                            <button
+                              className="block w-full text-left px-4 py-2 text-gray-700 hover:bg-gray-100"
+                              onClick={e => { e.stopPropagation(); handleDuplicate(board); }}
+                            >
+                              Duplicate
+                            </button>
+                          </div>
+                        )}
+                      </div>
                     </div>
                     <div className="p-4 flex-1 flex flex-col">
                       <h3 className="text-lg font-semibold text-gray-900 mb-1 truncate">{board.title}</h3>
@@ -427,6 +614,65 @@ function Dashboard() {
         </div>
       )}
 
+      {/* Modal for Duplicate Board */}
+      {duplicating && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-30">
+          <div className="bg-white rounded-2xl shadow-2xl p-8 w-full max-w-md mx-4 relative">
+            <button className="absolute top-2 right-2 text-gray-400 hover:text-gray-700 text-2xl font-bold" onClick={() => setDuplicating(null)}>&times;</button>
+            <form onSubmit={handleDuplicateSubmit} className="flex flex-col gap-6">
+              <h2 className="text-2xl borel-regular text-[#7a6c5d] mb-2">Duplicate Board</h2>
+              <input
+                type="text"
+                placeholder="Enter a title for the copy"
+                className="p-4 rounded border border-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-400 w-full"
+                value={duplicating.title}
+                maxLength={100}
+                onChange={e => { setDuplicating({ ...duplicating, title: e.target.value }); setError(""); }}
+                autoFocus
+              />
+              <div className="flex flex-col gap-2 text-sm text-gray-700">
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={duplicating.copySettings}
+                    onChange={e => setDuplicating({ ...duplicating, copySettings: e.target.checked })}
+                  />
+                  Copy board settings
+                </label>
+                {duplicating.isOwner && (
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={duplicating.copyCollaborators}
+                      onChange={e => setDuplicating({ ...duplicating, copyCollaborators: e.target.checked })}
+                    />
+                    Invite the same collaborators
+                  </label>
+                )}
+              </div>
+              {error && <div className="text-red-600 text-sm">{error}</div>}
+              <div className="flex gap-4 w-full justify-center">
+                <button
+                  type="submit"
+                  className="px-6 py-2 rounded bg-blue-700 text-white font-medium hover:bg-blue-800 focus:outline-none focus:ring-2 focus:ring-blue-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                  disabled={isDuplicating}
+                >
+                  {isDuplicating ? 'Duplicating...' : 'Duplicate'}
+                </button>
+                <button
+                  type="button"
+                  className="px-6 py-2 rounded bg-gray-400 text-white font-medium hover:bg-gray-500 focus:outline-none focus:ring-2 focus:ring-gray-300"
+                  onClick={() => setDuplicating(null)}
+                  disabled={isDuplicating}
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
       {/* Modal for Create Board */}
       {showModal && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-30">
@@ -61,7 +61,7 @@ class BoardService {
     }
   }
 
-  // Delete board
+  // Delete board (it goes to the trash, where it can be restored for a while)
   async deleteBoard(boardId) {
     try {
       const response = await api.delete(`/boards/${boardId}`);
@@ -72,6 +72,50 @@ class BoardService {
     }
   }
 
+  // Get the boards in the user's trash
+  async getTrash() {
+    try {
+      const response = await api.get('/boards/trash');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      throw error;
+    }
+  }
+
+  // Take a board back out of the trash
+  async restoreBoard(boardId) {
+    try {
+      const response = await api.post(`/boards/trash/${boardId}/restore`);
+      return response.data;
+    } catch (error) {
+      console.error('Error restoring board:', error);
+      throw error;
+    }
+  }
+
+  // Delete a board in the trash for good
+  async purgeBoard(boardId) {
+    try {
+      const response = await api.delete(`/boards/trash/${boardId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error purging board:', error);
+      throw error;
+    }
+  }
+
+  // Copy a board into a new one; options: { title, copySettings, copyCollaborators }
+  async duplicateBoard(boardId, options = {}) {
+    try {
+      const response = await api.post(`/boards/${boardId}/duplicate`, options);
+      return response.data;
+    } catch (error) {
+      console.error('Error duplicating board:', error);
+      throw error;
+    }
+  }
+
   // Update board elements (canvas data)
   async updateBoardElements(boardId, elements) {
     try {
@@ -105,6 +149,99 @@ class BoardService {
     }
   }
 
+  // List a board's saved versions, newest first
+  async getSnapshots(boardId) {
+    try {
+      const response = await api.get(`/boards/${boardId}/snapshots`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching board versions:', error);
+      throw error;
+    }
+  }
+
+  // Save the board as it is now as a named version
+  async createSnapshot(boardId, name) {
+    try {
+      const response = await api.post(`/boards/${boardId}/snapshots`, { name });
+      return response.data;
+    } catch (error) {
+      console.error('Error saving board version:', error);
+      throw error;
+    }
+  }
+
+  // Get a saved version with its elements
+  async getSnapshot(boardId, snapshotId) {
+    try {
+      const response = await api.get(`/boards/${boardId}/snapshots/${snapshotId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching board version:', error);
+      throw error;
+    }
+  }
+
+  // Name or rename a saved version
+  async renameSnapshot(boardId, snapshotId, name) {
+    try {
+      const response = await api.put(`/boards/${boardId}/snapshots/${snapshotId}`, { name });
+      return response.data;
+    } catch (error) {
+      console.error('Error renaming board version:', error);
+      throw error;
+    }
+  }
+
+  // Compare a saved version with the board as it is now
+  async getSnapshotDiff(boardId, snapshotId) {
+    try {
+      const response = await api.get(`/boards/${boardId}/snapshots/${snapshotId}/diff`);
+      return response.data;
+    } catch (error) {
+      console.error('Error comparing board version:', error);
+      throw error;
+    }
+  }
+
+  // Compare two saved versions element by element, or one with the board now
+  async compareVersions(boardId, fromId, toId = null) {
+    try {
+      const response = await api.get(`/boards/${boardId}/diff`, {
+        params: toId ? { from: fromId, to: toId } : { from: fromId },
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error comparing board versions:', error);
+      throw error;
+    }
+  }
+
+  // Get every element change recorded on a board, oldest first, for the timelapse
+  // One page of the board's timeline; pass the previous page's nextCursor as after
+  async getBoardEvents(boardId, after = null) {
+    try {
+      const response = await api.get(`/boards/${boardId}/events`, {
+        params: after ? { after } : {},
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching board timeline:', error);
+      throw error;
+    }
+  }
+
+  // Restore a saved version over the board
+  async restoreSnapshot(boardId, snapshotId, includeSettings = true) {
+    try {
+      const response = await api.post(`/boards/${boardId}/snapshots/${snapshotId}/restore`, { includeSettings });
+      return response.data;
+    } catch (error) {
+      console.error('Error restoring board version:', error);
+      throw error;
+    }
+  }
+
   // Save board elements with debouncing
   debounceTimer = null;
   
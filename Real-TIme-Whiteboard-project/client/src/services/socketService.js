@@ -5,19 +5,26 @@ class SocketService {
     this.socket = null;
     this.isConnected = false;
     this.currentBoard = null;
+    this.boardVersion = null; // last board version we have seen, used to resume after a drop
     this.listeners = new Map();
   }
 
-  connect(token) {
+  // Signed-in users connect with their token; people on a share link without an
+  // account connect with the link's token and join as guests
+  connect(token, shareToken = null) {
     if (this.socket && this.isConnected) {
       return this.socket;
     }
 
     this.socket = io(process.env.REACT_APP_SERVER_URL || 'http://localhost:5000', {
       auth: {
-        token
+        token,
+        shareToken
       },
       autoConnect: true,
+      // A single websocket connection, so every request of a session reaches the
+      // same server process when several run behind one port
+      transports: ['websocket'],
       reconnection: true,
       reconnectionAttempts: 5,
       reconnectionDelay: 1000,
@@ -27,6 +34,14 @@ class SocketService {
     this.socket.on('connect', () => {
       console.log('Connected to Socket.IO server');
       this.isConnected = true;
+
+      // After a dropped connection, rejoin the board and ask for what we missed
+      if (this.currentBoard) {
+        this.socket.emit('join-board', {
+          boardId: this.currentBoard,
+          lastVersion: this.boardVersion ?? undefined,
+        });
+      }
     });
 
     this.socket.on('disconnect', () => {
@@ -43,6 +58,28 @@ class SocketService {
       console.error('Socket.IO error:', error);
     });
 
+    // We sent more than the server allows; it dropped some events
+    this.socket.on('rate-limited', (data) => {
+      console.warn(`Rate limited on ${data.event} (${data.limit}/s):`, data.message);
+    });
+
+    // Keep track of the board version so a reconnect can resume from it
+    ['board-joined', 'element-created', 'element-updated', 'element-deleted', 'canvas-updated', 'canvas-update-confirmed']
+      .forEach(event => this.socket.on(event, (data) => this.trackBoardVersion(data)));
+
+    this.socket.on('board-resync', (data) => {
+      if (data.mode === 'replay') {
+        // Feed the missed operations through the normal listeners, in order
+        data.operations.forEach(({ event, payload }) => {
+          this.socket.listeners(event).forEach(listener => listener(payload));
+        });
+        this.trackBoardVersion(data);
+      } else {
+        // A snapshot is authoritative, even if it is older than what we had
+        this.boardVersion = data.boardVersion;
+      }
+    });
+
     return this.socket;
   }
 
@@ -65,6 +102,7 @@ class SocketService {
     }
 
     this.currentBoard = boardId;
+    this.boardVersion = null;
     this.socket.emit('join-board', { boardId });
   }
 
@@ -75,6 +113,13 @@ class SocketService {
 
     this.socket.emit('leave-board');
     this.currentBoard = null;
+    this.boardVersion = null;
+  }
+
+  trackBoardVersion(data) {
+    if (typeof data?.boardVersion === 'number' && (this.boardVersion === null || data.boardVersion > this.boardVersion)) {
+      this.boardVersion = data.boardVersion;
+    }
   }
 
   // Canvas operations
@@ -139,6 +184,45 @@ class SocketService {
     });
   }
 
+  // Laser pointer and temporary ink; relayed to the board, never saved
+  startInkStroke(strokeId, tool, point, color, width) {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('ink-start', {
+      boardId: this.currentBoard,
+      strokeId,
+      tool,
+      point,
+      color,
+      width,
+    });
+  }
+
+  sendInkPoints(strokeId, points) {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('ink-points', {
+      boardId: this.currentBoard,
+      strokeId,
+      points,
+    });
+  }
+
+  endInkStroke(strokeId) {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('ink-end', {
+      boardId: this.currentBoard,
+      strokeId,
+    });
+  }
+
   // Board save
   broadcastBoardSave(elements) {
     if (!this.socket || !this.isConnected || !this.currentBoard) {
@@ -232,6 +316,258 @@ class SocketService {
     });
   }
 
+  // Collaborative text operations
+  joinTextSession(elementId, clientId = null) {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('text-session-join', {
+      boardId: this.currentBoard,
+      elementId,
+      clientId: clientId || undefined,
+    });
+  }
+
+  leaveTextSession(elementId) {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('text-session-leave', {
+      boardId: this.currentBoard,
+      elementId,
+    });
+  }
+
+  sendTextOperation(elementId, version, op, clientId = null, seq = null) {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('text-operation', {
+      boardId: this.currentBoard,
+      elementId,
+      version,
+      op,
+      clientId: clientId || undefined,
+      seq: seq || undefined,
+    });
+  }
+
+  sendTextCaret(elementId, position) {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('text-caret', {
+      boardId: this.currentBoard,
+      elementId,
+      position,
+    });
+  }
+
+  // Emoji reaction at a canvas point; others see it float up, nothing is stored
+  sendReaction(emoji, x, y) {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('reaction', {
+      boardId: this.currentBoard,
+      emoji,
+      x,
+      y,
+    });
+  }
+
+  // Presence heartbeat; active says whether the person did anything since the last one
+  sendHeartbeat(active) {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('presence-heartbeat', {
+      boardId: this.currentBoard,
+      active,
+    });
+  }
+
+  // Board chat
+  sendChatMessage(text, clientId) {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('chat-send', {
+      boardId: this.currentBoard,
+      text,
+      clientId,
+    });
+  }
+
+  requestChatHistory(before = null, limit = 50) {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('chat-history', {
+      boardId: this.currentBoard,
+      before: before || undefined,
+      limit,
+    });
+  }
+
+  sendChatTyping(isTyping) {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('chat-typing', {
+      boardId: this.currentBoard,
+      isTyping,
+    });
+  }
+
+  markChatRead() {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('chat-read', {
+      boardId: this.currentBoard,
+    });
+  }
+
+  // Dot voting; the server keeps the votes and checks every one
+  startVoting(votesPerUser, region = null) {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('vote-start', {
+      boardId: this.currentBoard,
+      votesPerUser,
+      region,
+    });
+  }
+
+  castVote(elementId) {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('vote-cast', {
+      boardId: this.currentBoard,
+      elementId,
+    });
+  }
+
+  retractVote(elementId) {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('vote-retract', {
+      boardId: this.currentBoard,
+      elementId,
+    });
+  }
+
+  revealVotes() {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('vote-reveal', {
+      boardId: this.currentBoard,
+    });
+  }
+
+  endVoting() {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('vote-end', {
+      boardId: this.currentBoard,
+    });
+  }
+
+  // Board timer; durations are in milliseconds
+  startTimer(duration) {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('timer-start', {
+      boardId: this.currentBoard,
+      duration,
+    });
+  }
+
+  pauseTimer() {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('timer-pause', {
+      boardId: this.currentBoard,
+    });
+  }
+
+  resumeTimer() {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('timer-resume', {
+      boardId: this.currentBoard,
+    });
+  }
+
+  extendTimer(amount) {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('timer-extend', {
+      boardId: this.currentBoard,
+      amount,
+    });
+  }
+
+  resetTimer() {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('timer-reset', {
+      boardId: this.currentBoard,
+    });
+  }
+
+  // Private mode (board owner only): keep new stickies to their authors until revealed
+  startPrivateMode() {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('private-mode-start', {
+      boardId: this.currentBoard,
+    });
+  }
+
+  revealPrivateElements() {
+    if (!this.socket || !this.isConnected || !this.currentBoard) {
+      return;
+    }
+
+    this.socket.emit('private-mode-reveal', {
+      boardId: this.currentBoard,
+    });
+  }
+
   // Event listeners
   on(event, callback) {
     if (!this.socket) {
@@ -261,15 +597,15 @@ class SocketService {
     }
   }
 
+  // Only removes listeners added through on(); the service's own connection
+  // handlers (rejoin, version tracking, resync) stay for the socket's lifetime
   removeAllListeners(event = null) {
     if (this.socket) {
-      if (event) {
-        this.socket.removeAllListeners(event);
-        this.listeners.delete(event);
-      } else {
-        this.socket.removeAllListeners();
-        this.listeners.clear();
-      }
+      const events = event ? [event] : Array.from(this.listeners.keys());
+      events.forEach(name => {
+        (this.listeners.get(name) || []).forEach(callback => this.socket.off(name, callback));
+        this.listeners.delete(name);
+      });
     }
   }
 
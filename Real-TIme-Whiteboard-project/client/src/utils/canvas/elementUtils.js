@@ -111,6 +111,7 @@ export const duplicateElement = (element, options = {}) => {
   const newElement = {
     ...element,
     id: Date.now(),
+    revision: 1,
     x: element.x + 20,
     y: element.y + 20,
     isEditing: false,
@@ -142,6 +143,36 @@ export const updateElement = (elements, setElements, elementId, updates) => {
   ));
 };
 
+// Fields that describe what an element looks like; used when merging concurrent edits
+const MERGEABLE_FIELDS = [
+  'x', 'y', 'width', 'height', 'x2', 'y2', 'points', 'text',
+  'strokeColor', 'strokeWidth', 'backgroundColor', 'borderColor', 'textColor',
+  'fontSize', 'fontFamily', 'textAlign', 'zIndex',
+];
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Three-way merge of a rejected local edit with the newer server copy.
+// Fields only we changed are kept, fields only they changed are taken,
+// and fields both sides changed differently are reported as conflicts.
+export const mergeElementChanges = (base, local, server) => {
+  const merged = { ...local, ...server, revision: server.revision };
+  const conflictingFields = [];
+
+  MERGEABLE_FIELDS.forEach(field => {
+    const localChanged = !base || !sameValue(base[field], local[field]);
+    const serverChanged = !base || !sameValue(base[field], server[field]);
+
+    if (localChanged && !serverChanged) {
+      merged[field] = local[field];
+    } else if (localChanged && serverChanged && !sameValue(local[field], server[field])) {
+      conflictingFields.push(field);
+    }
+  });
+
+  return { merged, conflictingFields };
+};
+
 export const getResizeCorner = (element, x, y) => {
   const cornerSize = 8;
   const { x: ex, y: ey, width, height } = element;
@@ -159,6 +190,30 @@ export const getResizeCorner = (element, x, y) => {
   return null;
 };
 
+// Box an element covers on the canvas, whatever its type
+export const getElementBounds = (element) => {
+  if (element.type === 'line' || element.type === 'arrow') {
+    const x2 = element.x2 ?? element.x;
+    const y2 = element.y2 ?? element.y;
+    return {
+      x: Math.min(element.x, x2),
+      y: Math.min(element.y, y2),
+      width: Math.abs(x2 - element.x),
+      height: Math.abs(y2 - element.y),
+    };
+  }
+
+  if (element.type === 'freehand' && element.points?.length > 0) {
+    const xs = element.points.map(p => p.x);
+    const ys = element.points.map(p => p.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    return { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY };
+  }
+
+  return { x: element.x || 0, y: element.y || 0, width: element.width || 0, height: element.height || 0 };
+};
+
 // Helper function to calculate distance from point to line
 const distanceToLine = (px, py, x1, y1, x2, y2) => {
   const A = px - x1;
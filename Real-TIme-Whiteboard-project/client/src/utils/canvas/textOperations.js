@@ -0,0 +1,232 @@
+/**
+ * Operational transform for collaborative element text
+ *
+ * An operation is an array of components, applied left to right over the text:
+ *   positive number -> retain that many characters
+ *   negative number -> delete that many characters
+ *   string          -> insert the string
+ *
+ * Mirrors server/socket/textOperations.js; both sides must agree on the rules.
+ */
+
+const isRetain = (component) => typeof component === 'number' && component > 0;
+const isDelete = (component) => typeof component === 'number' && component < 0;
+const isInsert = (component) => typeof component === 'string';
+
+// Builders that merge adjacent components of the same kind
+const retain = (ops, n) => {
+  if (n <= 0) return ops;
+  if (isRetain(ops[ops.length - 1])) {
+    ops[ops.length - 1] += n;
+  } else {
+    ops.push(n);
+  }
+  return ops;
+};
+
+const insert = (ops, text) => {
+  if (!text) return ops;
+  const last = ops[ops.length - 1];
+  if (isInsert(last)) {
+    ops[ops.length - 1] += text;
+  } else if (isDelete(last)) {
+    // Inserts always go before deletes so equal operations look the same
+    if (isInsert(ops[ops.length - 2])) {
+      ops[ops.length - 2] += text;
+    } else {
+      ops.splice(ops.length - 1, 0, text);
+    }
+  } else {
+    ops.push(text);
+  }
+  return ops;
+};
+
+const remove = (ops, n) => {
+  if (n <= 0) return ops;
+  if (isDelete(ops[ops.length - 1])) {
+    ops[ops.length - 1] -= n;
+  } else {
+    ops.push(-n);
+  }
+  return ops;
+};
+
+// Length of the text an operation can be applied to
+export const baseLength = (op) => op.reduce((length, c) => (isInsert(c) ? length : length + Math.abs(c)), 0);
+
+// Length of the text after applying the operation
+export const targetLength = (op) => op.reduce((length, c) => {
+  if (isInsert(c)) return length + c.length;
+  if (isRetain(c)) return length + c;
+  return length;
+}, 0);
+
+export const isValidOperation = (op) => Array.isArray(op) && op.every(c =>
+  (isInsert(c) && c.length > 0) || (Number.isInteger(c) && c !== 0)
+);
+
+export const apply = (text, op) => {
+  if (baseLength(op) !== text.length) {
+    throw new Error('Operation does not match text length');
+  }
+
+  let index = 0;
+  let result = '';
+  op.forEach(c => {
+    if (isRetain(c)) {
+      result += text.slice(index, index + c);
+      index += c;
+    } else if (isInsert(c)) {
+      result += c;
+    } else {
+      index -= c;
+    }
+  });
+  return result;
+};
+
+// Combine a followed by b into a single operation
+export const compose = (a, b) => {
+  if (targetLength(a) !== baseLength(b)) {
+    throw new Error('Operations cannot be composed');
+  }
+
+  const result = [];
+  let i1 = 0;
+  let i2 = 0;
+  let c1 = a[i1++];
+  let c2 = b[i2++];
+
+  while (c1 !== undefined || c2 !== undefined) {
+    if (isDelete(c1)) {
+      remove(result, -c1);
+      c1 = a[i1++];
+      continue;
+    }
+    if (isInsert(c2)) {
+      insert(result, c2);
+      c2 = b[i2++];
+      continue;
+    }
+    if (c1 === undefined || c2 === undefined) {
+      throw new Error('Operations cannot be composed');
+    }
+
+    if (isRetain(c1) && isRetain(c2)) {
+      const n = Math.min(c1, c2);
+      retain(result, n);
+      c1 = c1 === n ? a[i1++] : c1 - n;
+      c2 = c2 === n ? b[i2++] : c2 - n;
+    } else if (isInsert(c1) && isDelete(c2)) {
+      const n = Math.min(c1.length, -c2);
+      c1 = c1.length === n ? a[i1++] : c1.slice(n);
+      c2 = -c2 === n ? b[i2++] : c2 + n;
+    } else if (isInsert(c1) && isRetain(c2)) {
+      const n = Math.min(c1.length, c2);
+      insert(result, c1.slice(0, n));
+      c1 = c1.length === n ? a[i1++] : c1.slice(n);
+      c2 = c2 === n ? b[i2++] : c2 - n;
+    } else if (isRetain(c1) && isDelete(c2)) {
+      const n = Math.min(c1, -c2);
+      remove(result, n);
+      c1 = c1 === n ? a[i1++] : c1 - n;
+      c2 = -c2 === n ? b[i2++] : c2 + n;
+    }
+  }
+  return result;
+};
+
+// Given a and b made against the same text, return [a', b'] such that
+// apply(apply(text, a), b') === apply(apply(text, b), a').
+// When both insert at the same spot, a's text ends up first.
+export const transform = (a, b) => {
+  if (baseLength(a) !== baseLength(b)) {
+    throw new Error('Operations were not made against the same text');
+  }
+
+  const aPrime = [];
+  const bPrime = [];
+  let i1 = 0;
+  let i2 = 0;
+  let c1 = a[i1++];
+  let c2 = b[i2++];
+
+  while (c1 !== undefined || c2 !== undefined) {
+    if (isInsert(c1)) {
+      insert(aPrime, c1);
+      retain(bPrime, c1.length);
+      c1 = a[i1++];
+      continue;
+    }
+    if (isInsert(c2)) {
+      retain(aPrime, c2.length);
+      insert(bPrime, c2);
+      c2 = b[i2++];
+      continue;
+    }
+    if (c1 === undefined || c2 === undefined) {
+      throw new Error('Operations were not made against the same text');
+    }
+
+    const n = Math.min(Math.abs(c1), Math.abs(c2));
+    if (isRetain(c1) && isRetain(c2)) {
+      retain(aPrime, n);
+      retain(bPrime, n);
+    } else if (isDelete(c1) && isRetain(c2)) {
+      remove(aPrime, n);
+    } else if (isRetain(c1) && isDelete(c2)) {
+      remove(bPrime, n);
+    }
+    // Both deleting the same characters: nothing left to do for either side
+
+    c1 = Math.abs(c1) === n ? a[i1++] : c1 + (c1 > 0 ? -n : n);
+    c2 = Math.abs(c2) === n ? b[i2++] : c2 + (c2 > 0 ? -n : n);
+  }
+  return [aPrime, bPrime];
+};
+
+// Where a caret at position ends up once op has been applied
+export const transformPosition = (position, op) => {
+  let index = 0;
+  let result = position;
+
+  for (const c of op) {
+    if (index > position) break;
+    if (isRetain(c)) {
+      index += c;
+    } else if (isInsert(c)) {
+      if (index < position) result += c.length;
+    } else {
+      result -= Math.min(-c, Math.max(position - index, 0));
+      index -= c;
+    }
+  }
+  return result;
+};
+
+// True when the operation leaves the text unchanged
+export const isNoop = (op) => op.every(isRetain);
+
+// Build the operation that turns oldText into newText (one changed region,
+// which is all a single keystroke, paste or cut produces)
+export const fromDiff = (oldText, newText) => {
+  let start = 0;
+  while (start < oldText.length && start < newText.length && oldText[start] === newText[start]) {
+    start++;
+  }
+
+  let oldEnd = oldText.length;
+  let newEnd = newText.length;
+  while (oldEnd > start && newEnd > start && oldText[oldEnd - 1] === newText[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const ops = [];
+  retain(ops, start);
+  insert(ops, newText.slice(start, newEnd));
+  remove(ops, oldEnd - start);
+  retain(ops, oldText.length - oldEnd);
+  return ops;
+};
@@ -0,0 +1,87 @@
+// Runs several server processes on this machine behind one port.
+// The primary forks the workers, relays real-time messages between them and
+// holds the element locks and text editing sessions they share; each worker
+// runs the normal server with the cluster adapter.
+// Connections are spread over the workers without sticky sessions, so the
+// workers only accept websocket connections, which stay on one process.
+const cluster = require('cluster');
+const os = require('os');
+require('dotenv').config();
+
+const { CHANNEL } = require('./socket/adapters/clusterAdapter');
+const { METHODS, createCollaborationState } = require('./socket/collaborationState');
+
+const WORKERS = parseInt(process.env.WEB_CONCURRENCY) || os.cpus().length;
+
+if (cluster.isPrimary) {
+  console.log(`Starting ${WORKERS} server processes`);
+
+  // One worker is enough to tell a board that a lock timed out
+  const collaboration = createCollaborationState({
+    onLockExpired: (boardId, elementId) => {
+      const worker = Object.values(cluster.workers).find(other => other?.isConnected());
+      worker?.send({ channel: CHANNEL, type: 'lock-expired', boardId, elementId });
+    },
+  });
+
+  // Answer a worker's call on the shared locks and text sessions
+  const answer = (worker, { callId, method, args }) => {
+    const reply = (result) => {
+      if (worker.isConnected()) worker.send({ channel: CHANNEL, type: 'call-result', callId, ...result });
+    };
+
+    if (!METHODS.includes(method)) {
+      reply({ error: `Unknown call "${method}"` });
+      return;
+    }
+    try {
+      reply({ result: collaboration[method](...args) });
+    } catch (error) {
+      reply({ error: error.message });
+    }
+  };
+
+  const relay = (worker, message) => {
+    if (message?.channel !== CHANNEL) return;
+
+    if (message.type === 'call') {
+      answer(worker, message);
+      return;
+    }
+
+    const outgoing = { ...message, source: worker.id };
+    Object.values(cluster.workers).forEach(other => {
+      if (!other || other.id === worker.id) return;
+      if (message.target && message.target !== other.id) return;
+      other.send(outgoing);
+    });
+  };
+
+  const fork = () => {
+    const worker = cluster.fork({ REALTIME_ADAPTER: 'cluster' });
+    worker.on('message', (message) => relay(worker, message));
+  };
+
+  for (let i = 0; i < WORKERS; i++) {
+    fork();
+  }
+
+  cluster.on('exit', (worker, code, signal) => {
+    console.log(`Server process ${worker.process.pid} exited (${signal || code})`);
+
+    // Its connections are no longer editing any text
+    collaboration.leaveOrigin(worker.id);
+
+    // Let the others drop the users that were connected to it
+    Object.values(cluster.workers).forEach(other => {
+      if (other?.isConnected()) other.send({ channel: CHANNEL, type: 'worker-exit', workerId: worker.id });
+    });
+
+    // Replace processes that crashed, not ones that shut down cleanly
+    if (!worker.exitedAfterDisconnect && code !== 0) {
+      fork();
+    }
+  });
+} else {
+  require('./index');
+}
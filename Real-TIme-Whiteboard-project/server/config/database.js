@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const { User, Board, BoardTemplate, Comment, Notification, Session } = require('../models');
+const { User, Board, BoardTemplate, Comment, Notification, Session, BoardSnapshot } = require('../models');
 
 const initializeDatabase = async () => {
   try {
@@ -55,6 +55,20 @@ const initializeDatabase = async () => {
         console.warn('Session indexes warning:', error.message);
       }
     }
+
+    try {
+      // Older databases can hold several automatic snapshots of one board
+      // version, which the unique index refuses to build over
+      const removed = await BoardSnapshot.removeDuplicateAuto();
+      if (removed > 0) {
+        console.log(`Removed ${removed} duplicate automatic board snapshots`);
+      }
+      await BoardSnapshot.createIndexes();
+    } catch (error) {
+      if (error.code !== 86) {
+        console.warn('BoardSnapshot indexes warning:', error.message);
+      }
+    }
     
     console.log('✓ All indexes created/verified successfully');
 
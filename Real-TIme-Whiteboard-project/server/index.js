@@ -10,6 +10,7 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const boardRoutes = require('./routes/boards');
 const userRoutes = require('./routes/users');
+const { LIMITS } = require('./socket/validation');
 
 const app = express();
 const server = http.createServer(app);
@@ -18,7 +19,12 @@ const io = socketIo(server, {
     origin: process.env.CLIENT_URL || 'http://localhost:3000',
     methods: ['GET', 'POST'],
     credentials: true,
-  }
+  },
+  // Oversized events get a validation error; anything far bigger drops the connection
+  maxHttpBufferSize: LIMITS.eventBytes * 2,
+  // Workers started by cluster.js share the port without sticky sessions, so the
+  // requests of a polling connection would land on different processes
+  ...(process.env.REALTIME_ADAPTER === 'cluster' && { transports: ['websocket'] }),
 });
 
 const PORT = process.env.PORT || 5000;
@@ -62,6 +68,9 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-dash
   } catch (error) {
     console.error('Database initialization failed:', error);
   }
+
+  // Purge boards that have been in the trash past the retention period
+  require('./socket/boardTrash').startSweeping();
 })
 .catch(err => console.error('MongoDB connection error:', err));
 
@@ -81,8 +90,9 @@ app.use((err, req, res, next) => {
   res.status(500).json({ message: 'Something went wrong!' });
 });
 
-// Socket.IO configuration
+// Socket.IO configuration; routes reach it through req.app.get('io')
 require('./socket/socketHandlers')(io);
+app.set('io', io);
 
 // Handle undefined routes
 app.use((req, res) => {
@@ -93,3 +103,27 @@ server.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
   console.log(`Socket.IO is ready for real-time collaboration`);
 });
+
+// Write board edits still held in memory before the process exits
+const shutdown = async (signal) => {
+  console.log(`${signal} received, saving open boards...`);
+  try {
+    await require('./socket/boardWorkingCopies').flushAll();
+  } catch (error) {
+    console.error('Error saving boards on shutdown:', error);
+  }
+  try {
+    await require('./socket/boardEvents').flushAll();
+  } catch (error) {
+    console.error('Error saving board events on shutdown:', error);
+  }
+  try {
+    await require('./socket/sessionTracker').closeAll();
+  } catch (error) {
+    console.error('Error ending sessions on shutdown:', error);
+  }
+  process.exit(0);
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -27,7 +27,7 @@ const isAuthenticated = (req, res, next) => {
 const isBoardOwner = async (req, res, next) => {
   try {
     const Board = require('../models/Board');
-    const board = await Board.findById(req.params.boardId);
+    const board = await Board.findActive(req.params.boardId);
     
     if (!board) {
       return res.status(404).json({ message: 'Board not found' });
@@ -48,7 +48,7 @@ const isBoardOwner = async (req, res, next) => {
 const hasBoardAccess = async (req, res, next) => {
   try {
     const Board = require('../models/Board');
-    const board = await Board.findById(req.params.boardId);
+    const board = await Board.findActive(req.params.boardId);
     
     if (!board) {
       return res.status(404).json({ message: 'Board not found' });
@@ -72,7 +72,7 @@ const hasBoardAccess = async (req, res, next) => {
 const canEditBoard = async (req, res, next) => {
   try {
     const Board = require('../models/Board');
-    const board = await Board.findById(req.params.boardId);
+    const board = await Board.findActive(req.params.boardId);
     
     if (!board) {
       return res.status(404).json({ message: 'Board not found' });
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
 const boardSchema = new mongoose.Schema({
@@ -118,6 +119,14 @@ const boardSchema = new mongoose.Schema({
       type: Number,
       default: 0,
     },
+    // Bumped on every accepted edit; clients send it back to detect stale writes
+    revision: {
+      type: Number,
+      default: 1,
+    },
+    // Presence id of the author while the element is hidden in private mode;
+    // unset once the owner reveals it
+    privateTo: String,
     // Metadata
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -150,6 +159,11 @@ const boardSchema = new mongoose.Schema({
       type: Boolean,
       default: false,
     },
+    // Let share link holders without an account join live sessions as guests
+    allowGuests: {
+      type: Boolean,
+      default: true,
+    },
     theme: {
       type: String,
       enum: ['light', 'dark'],
@@ -199,6 +213,33 @@ const boardSchema = new mongoose.Schema({
       },
     },
   },
+  // Shared countdown timer that owners and editors run for everyone on the board.
+  // Only ever written by the timer socket events, straight to the database; no
+  // defaults, so a board working copy saving its elements never touches it.
+  // A board without a timer reads as idle.
+  timer: {
+    status: {
+      type: String,
+      enum: ['idle', 'running', 'paused', 'finished'],
+    },
+    // Length of the countdown in milliseconds, extensions included
+    duration: Number,
+    // When a running timer reaches zero
+    endsAt: Date,
+    // Milliseconds left on a paused timer
+    remaining: Number,
+    updatedBy: String,
+    // Bumped on every change, so two changes at once cannot overwrite each other
+    revision: Number,
+  },
+  // Private reveal mode for silent brainstorming: while enabled, new stickies are
+  // only shown to their author until the owner reveals them. Written straight to
+  // the database by the private mode socket events, like the timer.
+  privateMode: {
+    enabled: Boolean,
+    startedBy: String,
+    startedAt: Date,
+  },
   // Real-time collaboration tracking
   activeUsers: [{
     user: {
@@ -219,7 +260,7 @@ const boardSchema = new mongoose.Schema({
     },
     currentTool: {
       type: String,
-      enum: ['select', 'pen', 'text', 'sticky', 'shape', 'line', 'arrow', 'eraser'],
+      enum: ['select', 'pen', 'text', 'sticky', 'shape', 'line', 'arrow', 'eraser', 'laser', 'ink'],
       default: 'select',
     },
     color: {
@@ -262,6 +303,17 @@ const boardSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
   },
+  // Set while the board is in its owner's trash; trashed boards are purged
+  // for good once they have been there longer than the retention period
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
   shareLinks: [{
     token: {
       type: String,
@@ -308,6 +360,7 @@ const boardSchema = new mongoose.Schema({
 // Index for better query performance
 boardSchema.index({ owner: 1 });
 boardSchema.index({ 'collaborators.user': 1 });
+boardSchema.index({ deletedAt: 1 });
 boardSchema.index({ createdAt: -1 });
 
 // Virtual for total collaborators count
@@ -341,6 +394,26 @@ boardSchema.methods.hasAccess = function(userId) {
   return { hasAccess: false, role: null };
 };
 
+// Method to find a share link that can still be used
+boardSchema.methods.findActiveShareLink = function(token) {
+  return this.shareLinks.find(link =>
+    link.token === token &&
+    link.isActive &&
+    (!link.expiresAt || link.expiresAt > new Date())
+  ) || null;
+};
+
+// Method to check what a share link lets its holder do
+boardSchema.methods.getShareLinkAccess = function(token) {
+  const shareLink = this.findActiveShareLink(token);
+  if (!shareLink) {
+    return { hasAccess: false, role: null };
+  }
+
+  // A link never makes someone an owner; admin links edit like edit links
+  return { hasAccess: true, role: shareLink.permissions === 'view' ? 'viewer' : 'editor' };
+};
+
 // Method to add collaborator
 boardSchema.methods.addCollaborator = function(userId, role = 'viewer', addedBy) {
   const existingCollaborator = this.collaborators.find(
@@ -372,15 +445,121 @@ boardSchema.methods.removeCollaborator = function(userId) {
   return this.save();
 };
 
-// Method to update last modified
-boardSchema.methods.updateLastModified = function(userId) {
+// Method to record an edit in memory without saving
+boardSchema.methods.touchLastModified = function(userId) {
   this.lastModified = new Date();
   this.lastModifiedBy = userId;
   this.version += 1;
   this.stats.totalEdits += 1;
+  return this;
+};
+
+// Method to update last modified
+boardSchema.methods.updateLastModified = function(userId) {
+  this.touchLastModified(userId);
   return this.save();
 };
 
+// Element fields that make up an element's content (metadata excluded)
+const ELEMENT_CONTENT_FIELDS = [
+  'type', 'x', 'y', 'width', 'height',
+  'strokeColor', 'strokeWidth', 'backgroundColor', 'borderColor', 'textColor',
+  'text', 'fontSize', 'fontFamily', 'textAlign',
+  'x2', 'y2', 'points', 'isLocked', 'zIndex',
+];
+
+// Fields clients may never overwrite on an existing element
+const ELEMENT_PROTECTED_FIELDS = ['_id', 'id', 'createdBy', 'createdAt', 'revision', 'privateTo'];
+
+// Compare one content field, ignoring the _id mongoose adds to each point
+const sameFieldValue = (field, a, b) => {
+  const normalize = (value) => (field === 'points' && Array.isArray(value)
+    ? value.map(p => ({ x: p.x, y: p.y }))
+    : value ?? null);
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+};
+
+// Method to find an element by its client id (ids may arrive as numbers or strings)
+boardSchema.methods.findElement = function(elementId) {
+  return this.elements.find(el => String(el.id) === String(elementId));
+};
+
+// Method to check whether an incoming edit was based on the stored revision.
+// An edit to an existing element that carries no revision cannot be checked,
+// so it counts as stale rather than silently overwriting.
+boardSchema.methods.isStaleElementEdit = function(elementData) {
+  const existing = this.findElement(elementData.id);
+  if (!existing) {
+    return false;
+  }
+  if (elementData.revision === undefined || elementData.revision === null) {
+    return true;
+  }
+  return Number(elementData.revision) !== (existing.revision || 1);
+};
+
+// Method to apply a single element edit with optimistic concurrency.
+// Returns { status: 'updated' | 'conflict' | 'not_found', element }
+boardSchema.methods.applyElementUpdate = function(elementData, userId) {
+  const existing = this.findElement(elementData.id);
+  if (!existing) {
+    return { status: 'not_found', element: null };
+  }
+
+  if (this.isStaleElementEdit(elementData)) {
+    return { status: 'conflict', element: existing };
+  }
+
+  const updates = { ...elementData };
+  ELEMENT_PROTECTED_FIELDS.forEach(field => delete updates[field]);
+
+  existing.set(updates);
+  existing.revision = (existing.revision || 1) + 1;
+  existing.lastModifiedBy = userId;
+  existing.updatedAt = new Date();
+
+  return { status: 'updated', element: existing };
+};
+
+// Method to replace the full element list with optimistic concurrency.
+// Nothing is applied if any incoming element is stale; the conflicts are returned instead.
+boardSchema.methods.replaceElements = function(incoming, userId) {
+  const conflicts = incoming
+    .filter(elementData => this.isStaleElementEdit(elementData))
+    .map(elementData => ({
+      elementId: elementData.id,
+      clientElement: elementData,
+      serverElement: this.findElement(elementData.id),
+    }));
+
+  if (conflicts.length > 0) {
+    return { conflicts };
+  }
+
+  this.elements = incoming.map(elementData => {
+    const existing = this.findElement(elementData.id);
+    const changed = !existing || ELEMENT_CONTENT_FIELDS.some(
+      field => !sameFieldValue(field, existing[field], elementData[field])
+    );
+
+    if (existing && !changed) {
+      return existing;
+    }
+
+    return {
+      ...elementData,
+      createdBy: existing?.createdBy || elementData.createdBy || userId,
+      createdAt: existing?.createdAt || elementData.createdAt || new Date(),
+      privateTo: existing?.privateTo,
+      revision: existing ? (existing.revision || 1) + 1 : 1,
+      lastModifiedBy: userId,
+      updatedAt: new Date(),
+    };
+  });
+
+  return { conflicts: [] };
+};
+
 // Method to add active user
 boardSchema.methods.addActiveUser = function(userId, userInfo = {}) {
   const existingUserIndex = this.activeUsers.findIndex(
@@ -502,9 +681,14 @@ boardSchema.methods.incrementViewCount = function() {
   return this.save();
 };
 
+// Static method to find a board that is not in the trash
+boardSchema.statics.findActive = function(boardId) {
+  return this.findOne({ _id: boardId, deletedAt: null });
+};
+
 // Static method to find public boards
 boardSchema.statics.findPublicBoards = function(limit = 10) {
-  return this.find({ 'settings.isPublic': true })
+  return this.find({ 'settings.isPublic': true, deletedAt: null })
     .populate('owner', 'name email avatar')
     .populate('collaborators.user', 'name email avatar')
     .sort({ createdAt: -1 })
@@ -517,11 +701,57 @@ boardSchema.statics.findByUser = function(userId) {
     $or: [
       { owner: userId },
       { 'collaborators.user': userId }
-    ]
+    ],
+    deletedAt: null
   })
   .populate('owner', 'name email avatar')
   .populate('collaborators.user', 'name email avatar')
   .sort({ lastModified: -1 });
 };
 
+// Static method to copy elements onto another board: the same content under
+// fresh ids, starting over at revision 1 and credited to userId
+boardSchema.statics.copyElements = function(elements, userId) {
+  return elements.map(element => {
+    const { _id, id, privateTo, revision, isEditing, ...content } =
+      typeof element.toObject === 'function' ? element.toObject() : element;
+    return {
+      ...content,
+      id: crypto.randomUUID(),
+      createdBy: userId,
+      lastModifiedBy: userId,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+  });
+};
+
+// Static method to compare two element lists by id. Changed elements carry the
+// content fields that differ; metadata such as revisions is left out.
+boardSchema.statics.diffElements = function(before, after) {
+  const beforeById = new Map(before.map(element => [String(element.id), element]));
+  const afterIds = new Set(after.map(element => String(element.id)));
+
+  const added = [];
+  const changed = [];
+  after.forEach(element => {
+    const previous = beforeById.get(String(element.id));
+    if (!previous) {
+      added.push(element);
+      return;
+    }
+    const fields = ELEMENT_CONTENT_FIELDS.filter(field => !sameFieldValue(field, previous[field], element[field]));
+    if (fields.length > 0) {
+      changed.push({ id: element.id, before: previous, after: element, fields });
+    }
+  });
+
+  return {
+    added,
+    removed: before.filter(element => !afterIds.has(String(element.id))),
+    changed,
+    unchangedCount: after.length - added.length - changed.length,
+  };
+};
+
 module.exports = mongoose.model('Board', boardSchema);
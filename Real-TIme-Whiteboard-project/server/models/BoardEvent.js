@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const boardEventSchema = new mongoose.Schema({
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true,
+  },
+  // Board version the change moved the board to
+  boardVersion: {
+    type: Number,
+    default: null,
+  },
+  // baseline: the board as it was when the stream started
+  // created, updated, deleted: one element changed
+  // replaced: the whole element list was replaced (full saves, restores, reveals)
+  type: {
+    type: String,
+    enum: ['baseline', 'created', 'updated', 'deleted', 'replaced'],
+    required: true,
+  },
+  elementId: {
+    type: String,
+    default: null,
+  },
+  // The element as stored after the change, for created and updated
+  element: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // Every element on the board after the change, for baseline and replaced
+  elements: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined,
+  },
+  // Signed-in author; guests on a share link have no account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Name of the author when they made the change
+  userName: {
+    type: String,
+    default: null,
+  },
+  // When the change was applied, which can be a little before the event is written
+  at: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Index for reading a board's stream in order
+boardEventSchema.index({ board: 1, at: 1 });
+
+// Method to shape an event for the replay player
+boardEventSchema.methods.toClientEvent = function() {
+  return {
+    _id: this._id,
+    type: this.type,
+    boardVersion: this.boardVersion,
+    elementId: this.elementId,
+    element: this.element,
+    elements: this.elements,
+    user: { _id: this.user, name: this.userName },
+    at: this.at,
+  };
+};
+
+// Static method to read one page of a board's stream, oldest first, starting
+// after the given event (from the start if there is none)
+boardEventSchema.statics.findForBoard = function(boardId, { after = null, limit = 2000 } = {}) {
+  const query = { board: boardId };
+  if (after) {
+    query.$or = [
+      { at: { $gt: after.at } },
+      { at: after.at, _id: { $gt: after._id } },
+    ];
+  }
+  return this.find(query)
+    .sort({ at: 1, _id: 1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('BoardEvent', boardEventSchema);
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+const boardSnapshotSchema = new mongoose.Schema({
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true,
+  },
+  // Board version the snapshot was taken at
+  version: {
+    type: Number,
+    required: true,
+  },
+  // Named snapshots are kept for good; unnamed automatic ones are pruned
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null,
+  },
+  // auto: taken while the board was edited, or before a bulk change removed much of it
+  // manual: saved by someone from the history panel
+  // restore: the board as it was just before an earlier version was restored over it
+  kind: {
+    type: String,
+    enum: ['auto', 'manual', 'restore'],
+    required: true,
+  },
+  // Elements and settings exactly as they were stored on the board
+  elements: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: [],
+  },
+  settings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  elementCount: {
+    type: Number,
+    default: 0,
+  },
+  // Who saved or restored; automatic snapshots have no author
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+  // Built by initializeDatabase once duplicate automatic snapshots left over
+  // from before the unique index are removed, which would otherwise fail it
+  autoIndex: false,
+});
+
+// Index for listing a board's history, newest first
+boardSnapshotSchema.index({ board: 1, createdAt: -1 });
+
+// One automatic snapshot per board version, however many edits race to take it
+boardSnapshotSchema.index(
+  { board: 1, version: 1 },
+  { unique: true, partialFilterExpression: { kind: 'auto' } }
+);
+
+const toPlain = (value) => (typeof value?.toObject === 'function' ? value.toObject() : value);
+
+// Method to shape a snapshot for the history list, without its elements
+boardSnapshotSchema.methods.toSummary = function() {
+  return {
+    _id: this._id,
+    version: this.version,
+    name: this.name,
+    kind: this.kind,
+    elementCount: this.elementCount,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt,
+  };
+};
+
+// Static method to snapshot a board's current elements and settings
+boardSnapshotSchema.statics.createFromBoard = function(board, { kind, name = null, createdBy = null }) {
+  return this.create({
+    board: board._id,
+    version: board.version,
+    name,
+    kind,
+    elements: board.elements.map(toPlain),
+    settings: toPlain(board.settings) || {},
+    elementCount: board.elements.length,
+    createdBy,
+  });
+};
+
+// Static method to list a board's snapshots, newest first, without their elements
+boardSnapshotSchema.statics.findForBoard = function(boardId, { limit = 50 } = {}) {
+  return this.find({ board: boardId })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select('-elements -settings')
+    .populate('createdBy', 'name email avatar');
+};
+
+// Static method to get the most recent snapshot of a board
+boardSnapshotSchema.statics.findLatest = function(boardId) {
+  return this.findOne({ board: boardId })
+    .sort({ createdAt: -1 })
+    .select('version createdAt');
+};
+
+// Static method to delete all but the newest unnamed automatic snapshots of a board
+boardSnapshotSchema.statics.pruneAuto = async function(boardId, keep) {
+  const stale = await this.find({ board: boardId, kind: 'auto', name: null })
+    .sort({ createdAt: -1 })
+    .skip(keep)
+    .select('_id');
+
+  if (stale.length === 0) return;
+  await this.deleteMany({ _id: { $in: stale.map(snapshot => snapshot._id) } });
+};
+
+// Static method to delete all but the newest automatic snapshot of each board
+// version. Resolves to the number of snapshots deleted.
+boardSnapshotSchema.statics.removeDuplicateAuto = async function() {
+  const groups = await this.aggregate([
+    { $match: { kind: 'auto' } },
+    { $sort: { createdAt: -1 } },
+    { $group: { _id: { board: '$board', version: '$version' }, ids: { $push: '$_id' } } },
+    { $match: { 'ids.1': { $exists: true } } },
+  ]);
+
+  const duplicates = groups.flatMap(group => group.ids.slice(1));
+  if (duplicates.length === 0) return 0;
+
+  const result = await this.deleteMany({ _id: { $in: duplicates } });
+  return result.deletedCount;
+};
+
+module.exports = mongoose.model('BoardSnapshot', boardSnapshotSchema);
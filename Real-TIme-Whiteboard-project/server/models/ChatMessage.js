@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const chatMessageSchema = new mongoose.Schema({
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true,
+  },
+  // Signed-in author; guests on a share link have no account
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  guestId: {
+    type: String,
+    default: null,
+  },
+  // Name and look of the author when they wrote the message
+  authorName: {
+    type: String,
+    required: true,
+  },
+  authorAvatar: {
+    type: String,
+    default: null,
+  },
+  authorColor: {
+    type: String,
+    default: null,
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000,
+  },
+  readBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+}, {
+  timestamps: true,
+});
+
+// Index for paging through a board's chat, newest first
+chatMessageSchema.index({ board: 1, _id: -1 });
+
+// Method to shape a message for clients
+chatMessageSchema.methods.toClientMessage = function() {
+  return {
+    _id: this._id,
+    boardId: this.board,
+    text: this.text,
+    author: {
+      _id: this.author || this.guestId,
+      name: this.authorName,
+      avatar: this.authorAvatar,
+      color: this.authorColor,
+      isGuest: !this.author,
+    },
+    createdAt: this.createdAt,
+  };
+};
+
+// Static method to get one page of a board's chat, oldest first.
+// Pass the oldest message id already loaded as before to get the page above it.
+chatMessageSchema.statics.findPage = async function(boardId, { before = null, limit = 50 } = {}) {
+  const query = { board: boardId };
+  if (before) {
+    query._id = { $lt: before };
+  }
+
+  const messages = await this.find(query)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .select('-readBy');
+
+  return {
+    messages: messages.slice(0, limit).reverse(),
+    hasMore: messages.length > limit,
+  };
+};
+
+// Static method to count messages a user has not read on a board
+chatMessageSchema.statics.countUnread = function(boardId, userId) {
+  return this.countDocuments({
+    board: boardId,
+    author: { $ne: userId },
+    readBy: { $ne: userId },
+  });
+};
+
+// Static method to mark every message on a board read for a user
+chatMessageSchema.statics.markAllRead = function(boardId, userId) {
+  return this.updateMany(
+    { board: boardId, readBy: { $ne: userId } },
+    { $addToSet: { readBy: userId } }
+  );
+};
+
+module.exports = mongoose.model('ChatMessage', chatMessageSchema);
@@ -23,6 +23,10 @@ const sessionSchema = new mongoose.Schema({
   endTime: {
     type: Date,
   },
+  lastActivity: {
+    type: Date,
+    default: Date.now,
+  },
   duration: {
     type: Number, // in minutes
     default: 0,
@@ -86,10 +90,10 @@ sessionSchema.index({ user: 1, board: 1 });
 sessionSchema.index({ startTime: -1 });
 sessionSchema.index({ isActive: 1 });
 
-// Method to end session
-sessionSchema.methods.endSession = function() {
+// Method to end session, now or at the time it was last active
+sessionSchema.methods.endSession = function(endTime = new Date()) {
   if (this.isActive) {
-    this.endTime = new Date();
+    this.endTime = endTime;
     this.duration = Math.round((this.endTime - this.startTime) / (1000 * 60)); // in minutes
     this.isActive = false;
   }
@@ -103,6 +107,7 @@ sessionSchema.methods.addActivity = function(action, details = {}) {
     details,
     timestamp: new Date(),
   });
+  this.lastActivity = new Date();
   
   // Limit activities to last 1000 to prevent document from growing too large
   if (this.activities.length > 1000) {
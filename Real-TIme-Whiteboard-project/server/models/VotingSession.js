@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+const regionSchema = new mongoose.Schema({
+  x: { type: Number, required: true },
+  y: { type: Number, required: true },
+  width: { type: Number, required: true },
+  height: { type: Number, required: true },
+}, { _id: false });
+
+const voteSchema = new mongoose.Schema({
+  // Presence id of the voter; guests on a share link vote too
+  voter: {
+    type: String,
+    required: true,
+  },
+  elementId: {
+    type: String,
+    required: true,
+  },
+}, { _id: false });
+
+const votingSessionSchema = new mongoose.Schema({
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true,
+  },
+  // Whoever started the session runs it: they reveal the results and end it
+  facilitator: {
+    type: String,
+    required: true,
+  },
+  facilitatorName: {
+    type: String,
+    required: true,
+  },
+  votesPerUser: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 50,
+  },
+  // Only stickies whose centre is inside this area can be voted on
+  region: {
+    type: regionSchema,
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: ['open', 'revealed', 'ended'],
+    default: 'open',
+  },
+  votes: [voteSchema],
+  revealedAt: {
+    type: Date,
+  },
+  endedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+// Index for finding a board's current session
+votingSessionSchema.index({ board: 1, status: 1 });
+
+// Method to check whether a sticky can be voted on in this session
+votingSessionSchema.methods.acceptsElement = function(element) {
+  if (!element || element.type !== 'sticky') return false;
+  if (!this.region) return true;
+
+  const centerX = element.x + (element.width || 0) / 2;
+  const centerY = element.y + (element.height || 0) / 2;
+  return centerX >= this.region.x && centerX <= this.region.x + this.region.width &&
+    centerY >= this.region.y && centerY <= this.region.y + this.region.height;
+};
+
+// Method to get the stickies one voter has voted for
+votingSessionSchema.methods.getVotesBy = function(voter) {
+  return this.votes.filter(vote => vote.voter === voter).map(vote => vote.elementId);
+};
+
+// Method to count votes per sticky, most votes first
+votingSessionSchema.methods.getResults = function() {
+  const counts = new Map();
+  this.votes.forEach(vote => counts.set(vote.elementId, (counts.get(vote.elementId) || 0) + 1));
+  return Array.from(counts, ([elementId, votes]) => ({ elementId, votes }))
+    .sort((a, b) => b.votes - a.votes);
+};
+
+// Method to shape a session for clients. Who voted for what is never sent,
+// and the per-sticky counts only once the facilitator has revealed them.
+votingSessionSchema.methods.toClientSession = function() {
+  return {
+    _id: this._id,
+    boardId: this.board,
+    facilitator: {
+      _id: this.facilitator,
+      name: this.facilitatorName,
+    },
+    votesPerUser: this.votesPerUser,
+    region: this.region,
+    status: this.status,
+    totalVotes: this.votes.length,
+    voterCount: new Set(this.votes.map(vote => vote.voter)).size,
+    results: this.status === 'revealed' ? this.getResults() : null,
+    startedAt: this.createdAt,
+    revealedAt: this.revealedAt,
+  };
+};
+
+// Static method to get the session a board is running, if any
+votingSessionSchema.statics.findCurrent = function(boardId) {
+  return this.findOne({ board: boardId, status: { $in: ['open', 'revealed'] } }).sort({ createdAt: -1 });
+};
+
+// Static method to cast one vote. The check and the write are a single update,
+// so a voter with several tabs cannot go over their allowance.
+// Resolves to false when the vote was not counted.
+votingSessionSchema.statics.castVote = async function(sessionId, voter, elementId) {
+  const result = await this.updateOne({
+    _id: sessionId,
+    status: 'open',
+    votes: { $not: { $elemMatch: { voter, elementId } } },
+    $expr: {
+      $lt: [
+        { $size: { $filter: { input: '$votes', cond: { $eq: ['$$this.voter', voter] } } } },
+        '$votesPerUser',
+      ],
+    },
+  }, {
+    $push: { votes: { voter, elementId } },
+  });
+  return result.modifiedCount > 0;
+};
+
+// Static method to take a vote back
+votingSessionSchema.statics.retractVote = async function(sessionId, voter, elementId) {
+  const result = await this.updateOne(
+    { _id: sessionId, status: 'open' },
+    { $pull: { votes: { voter, elementId } } }
+  );
+  return result.modifiedCount > 0;
+};
+
+module.exports = mongoose.model('VotingSession', votingSessionSchema);
@@ -5,6 +5,10 @@ const Session = require('./Session');
 const Comment = require('./Comment');
 const Notification = require('./Notification');
 const BoardTemplate = require('./BoardTemplate');
+const ChatMessage = require('./ChatMessage');
+const VotingSession = require('./VotingSession');
+const BoardSnapshot = require('./BoardSnapshot');
+const BoardEvent = require('./BoardEvent');
 
 module.exports = {
   User,
@@ -13,4 +17,8 @@ module.exports = {
   Comment,
   Notification,
   BoardTemplate,
+  ChatMessage,
+  VotingSession,
+  BoardSnapshot,
+  BoardEvent,
 };
@@ -468,8 +468,8 @@ router.get('/me', isAuthenticated, async (req, res) => {
   try {
     const user = await User.findById(req.user._id)
       .select('-password')
-      .populate('boards', 'title description createdAt')
-      .populate('collaborations.boardId', 'title description owner');
+      .populate({ path: 'boards', select: 'title description createdAt', match: { deletedAt: null } })
+      .populate({ path: 'collaborations.boardId', select: 'title description owner', match: { deletedAt: null } });
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
@@ -1,10 +1,33 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Board = require('../models/Board');
 const User = require('../models/User');
+const BoardSnapshot = require('../models/BoardSnapshot');
 const { isAuthenticated, isBoardOwner, hasBoardAccess, canEditBoard } = require('../middleware/auth');
+const boardWorkingCopies = require('../socket/boardWorkingCopies');
+const privateElements = require('../socket/privateElements');
+const boardHistory = require('../socket/boardHistory');
+const boardEvents = require('../socket/boardEvents');
+const boardTrash = require('../socket/boardTrash');
+const { validateElements, ValidationError } = require('../socket/validation');
 
 const router = express.Router();
 
+// A board as a user may see it: stickies kept private in private mode are
+// placeholders for everyone but their author
+const toViewerBoard = (board, user) => ({
+  ...board.toObject(),
+  elements: privateElements.redactElements(board.elements, user._id.toString()),
+});
+
+// Counts of what a diff from Board.diffElements found
+const summarizeDiff = (diff) => ({
+  added: diff.added.length,
+  removed: diff.removed.length,
+  changed: diff.changed.length,
+  unchanged: diff.unchangedCount,
+});
+
 // @route   GET /api/boards
 // @desc    Get all boards for the authenticated user
 // @access  Private
@@ -15,7 +38,7 @@ router.get('/', isAuthenticated, async (req, res) => {
     const skip = (page - 1) * limit;
     
     // Get boards owned by user
-    const ownedBoards = await Board.find({ owner: req.user._id })
+    const ownedBoards = await Board.find({ owner: req.user._id, deletedAt: null })
       .populate('owner', 'name email avatar')
       .populate('collaborators.user', 'name email avatar')
       .populate('lastModifiedBy', 'name email')
@@ -25,7 +48,8 @@ router.get('/', isAuthenticated, async (req, res) => {
     
     // Get boards where user is a collaborator
     const collaborativeBoards = await Board.find({ 
-      'collaborators.user': req.user._id 
+      'collaborators.user': req.user._id,
+      deletedAt: null
     })
       .populate('owner', 'name email avatar')
       .populate('collaborators.user', 'name email avatar')
@@ -35,14 +59,14 @@ router.get('/', isAuthenticated, async (req, res) => {
       .limit(limit);
     
     // Get total counts
-    const ownedCount = await Board.countDocuments({ owner: req.user._id });
-    const collaborativeCount = await Board.countDocuments({ 'collaborators.user': req.user._id });
+    const ownedCount = await Board.countDocuments({ owner: req.user._id, deletedAt: null });
+    const collaborativeCount = await Board.countDocuments({ 'collaborators.user': req.user._id, deletedAt: null });
     
     res.json({
       success: true,
       data: {
-        ownedBoards,
-        collaborativeBoards,
+        ownedBoards: ownedBoards.map(board => toViewerBoard(board, req.user)),
+        collaborativeBoards: collaborativeBoards.map(board => toViewerBoard(board, req.user)),
         pagination: {
           page,
           limit,
@@ -103,11 +127,93 @@ router.post('/', isAuthenticated, async (req, res) => {
   }
 });
 
+// @route   GET /api/boards/trash
+// @desc    Get the user's boards in the trash, most recently deleted first
+// @access  Private
+router.get('/trash', isAuthenticated, async (req, res) => {
+  try {
+    const boards = await Board.find({ owner: req.user._id, deletedAt: { $ne: null } })
+      .select('title description deletedAt deletedBy elements.id')
+      .populate('deletedBy', 'name email')
+      .sort({ deletedAt: -1 });
+
+    res.json({
+      success: true,
+      boards: boards.map(board => ({
+        _id: board._id,
+        title: board.title,
+        description: board.description,
+        elementCount: board.elements.length,
+        deletedAt: board.deletedAt,
+        deletedBy: board.deletedBy,
+        purgeAt: boardTrash.getPurgeDate(board),
+      })),
+      retentionDays: boardTrash.RETENTION_DAYS,
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   POST /api/boards/trash/:boardId/restore
+// @desc    Take a board back out of the trash
+// @access  Private (board owner only)
+router.post('/trash/:boardId/restore', isAuthenticated, async (req, res) => {
+  try {
+    const board = await Board.findOne({ _id: req.params.boardId, owner: req.user._id, deletedAt: { $ne: null } });
+    if (!board) {
+      return res.status(404).json({ message: 'Board not found in the trash' });
+    }
+
+    await boardTrash.restoreBoard(board._id);
+
+    const restored = await Board.findById(board._id)
+      .populate('owner', 'name email avatar')
+      .populate('collaborators.user', 'name email avatar')
+      .populate('lastModifiedBy', 'name email');
+
+    res.json({
+      success: true,
+      message: 'Board restored successfully',
+      board: toViewerBoard(restored, req.user)
+    });
+  } catch (error) {
+    console.error('Error restoring board:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   DELETE /api/boards/trash/:boardId
+// @desc    Delete a board in the trash for good
+// @access  Private (board owner only)
+router.delete('/trash/:boardId', isAuthenticated, async (req, res) => {
+  try {
+    const board = await Board.findOne({ _id: req.params.boardId, owner: req.user._id, deletedAt: { $ne: null } });
+    if (!board) {
+      return res.status(404).json({ message: 'Board not found in the trash' });
+    }
+
+    await boardTrash.purgeBoard(board._id);
+
+    res.json({
+      success: true,
+      message: 'Board deleted permanently'
+    });
+  } catch (error) {
+    console.error('Error purging board:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // @route   GET /api/boards/:boardId
 // @desc    Get a specific board
 // @access  Private (with board access)
 router.get('/:boardId', isAuthenticated, hasBoardAccess, async (req, res) => {
   try {
+    // Write out any real-time edits still held in memory first
+    await boardWorkingCopies.flushBoard(req.params.boardId);
+
     const board = await Board.findById(req.params.boardId)
       .populate('owner', 'name email avatar')
       .populate('collaborators.user', 'name email avatar')
@@ -117,7 +223,7 @@ router.get('/:boardId', isAuthenticated, hasBoardAccess, async (req, res) => {
     
     res.json({
       success: true,
-      board,
+      board: toViewerBoard(board, req.user),
       userRole: req.userRole,
     });
   } catch (error) {
@@ -148,9 +254,15 @@ router.put('/:boardId', isAuthenticated, isBoardOwner, async (req, res) => {
       if (settings.isPublic !== undefined) req.board.settings.isPublic = settings.isPublic;
       if (settings.allowComments !== undefined) req.board.settings.allowComments = settings.allowComments;
       if (settings.theme !== undefined) req.board.settings.theme = settings.theme;
+      if (settings.allowGuests !== undefined) req.board.settings.allowGuests = settings.allowGuests;
     }
     
     await req.board.updateLastModified(req.user._id);
+    
+    // Guests already on the board lose access straight away
+    if (settings?.allowGuests === false) {
+      req.app.get('io')?.disconnectGuests(req.board._id);
+    }
     await req.board.populate('owner', 'name email avatar');
     
     res.json({
@@ -165,27 +277,22 @@ router.put('/:boardId', isAuthenticated, isBoardOwner, async (req, res) => {
 });
 
 // @route   DELETE /api/boards/:boardId
-// @desc    Delete a board
+// @desc    Move a board to the trash; it is purged after the retention period
 // @access  Private (board owner only)
 router.delete('/:boardId', isAuthenticated, isBoardOwner, async (req, res) => {
   try {
-    await Board.findByIdAndDelete(req.params.boardId);
-    
-    // Remove board from all users' boards arrays
-    await User.updateMany(
-      { boards: req.params.boardId },
-      { $pull: { boards: req.params.boardId } }
-    );
-    
-    // Remove board from collaborations
-    await User.updateMany(
-      { 'collaborations.boardId': req.params.boardId },
-      { $pull: { collaborations: { boardId: req.params.boardId } } }
-    );
+    await boardTrash.trashBoard(req.board._id, req.user._id);
+
+    // Everyone still on the board is sent back to their dashboard
+    req.app.get('io')?.closeBoard(req.board._id, req.user._id);
+
+    const board = await Board.findById(req.board._id).select('deletedAt');
     
     res.json({
       success: true,
-      message: 'Board deleted successfully'
+      message: 'Board moved to the trash',
+      deletedAt: board.deletedAt,
+      purgeAt: boardTrash.getPurgeDate(board)
     });
   } catch (error) {
     console.error('Error deleting board:', error);
@@ -193,6 +300,76 @@ router.delete('/:boardId', isAuthenticated, isBoardOwner, async (req, res) => {
   }
 });
 
+// @route   POST /api/boards/:boardId/duplicate
+// @desc    Copy a board into a new one owned by the requester, optionally with
+//          its settings (default) and collaborators (board owner only)
+// @access  Private (board viewer, editor, or owner)
+router.post('/:boardId/duplicate', isAuthenticated, hasBoardAccess, async (req, res) => {
+  try {
+    const { title, copySettings = true, copyCollaborators = false } = req.body;
+
+    if (copyCollaborators && req.userRole !== 'owner') {
+      return res.status(403).json({ message: 'Only the board owner can copy its collaborators' });
+    }
+
+    const newTitle = (title?.trim() || `${req.board.title} (copy)`).slice(0, 100);
+
+    // Real-time edits still held in memory are copied too; stickies kept
+    // private to someone else are left out
+    const source = boardWorkingCopies.getLoadedBoard(req.params.boardId) || req.board;
+    const viewerId = req.user._id.toString();
+    const elements = Board.copyElements(
+      source.elements.filter(element => !privateElements.isHiddenFrom(element, viewerId)),
+      req.user._id
+    );
+
+    const collaborators = copyCollaborators
+      ? req.board.collaborators.map(({ user, role }) => ({ user, role, addedBy: req.user._id }))
+      : [];
+
+    const board = new Board({
+      title: newTitle,
+      description: req.board.description,
+      owner: req.user._id,
+      collaborators,
+      elements,
+      ...(copySettings && { settings: req.board.settings.toObject() }),
+      lastModifiedBy: req.user._id,
+    });
+    board.stats.totalElements = elements.length;
+
+    await board.save();
+
+    // Add board to user's boards array
+    await User.findByIdAndUpdate(req.user._id, {
+      $push: { boards: board._id }
+    });
+
+    // Copied collaborators find the new board among their collaborations
+    await Promise.all(collaborators.map(({ user, role }) => User.findByIdAndUpdate(user, {
+      $push: {
+        collaborations: {
+          boardId: board._id,
+          role,
+          joinedAt: new Date(),
+        }
+      }
+    })));
+
+    await board.populate('owner', 'name email avatar');
+    await board.populate('collaborators.user', 'name email avatar');
+
+    res.status(201).json({
+      success: true,
+      message: 'Board duplicated successfully',
+      board
+    });
+  } catch (error) {
+    console.error('Error duplicating board:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // @route   GET /api/boards/:boardId/elements
 // @desc    Get board elements (canvas data)
 // @access  Private (board viewer, editor, or owner)
@@ -200,7 +377,8 @@ router.get('/:boardId/elements', isAuthenticated, hasBoardAccess, async (req, re
   try {
     const { page = 1, limit = 100, type, lastModified } = req.query;
     
-    // Get board with elements
+    // Get board with elements, including real-time edits not yet written
+    await boardWorkingCopies.flushBoard(req.params.boardId);
     const board = await Board.findById(req.params.boardId)
       .populate('elements.createdBy', 'name email avatar');
     
@@ -211,8 +389,9 @@ router.get('/:boardId/elements', isAuthenticated, hasBoardAccess, async (req, re
       });
     }
 
-    // Filter elements based on query parameters
-    let elements = board.elements || [];
+    // Filter elements based on query parameters; stickies kept private in
+    // private mode are placeholders for everyone but their author
+    let elements = privateElements.redactElements(board.elements || [], req.user._id.toString());
 
     // Filter by element type if specified
     if (type) {
@@ -275,19 +454,49 @@ router.put('/:boardId/elements', isAuthenticated, canEditBoard, async (req, res)
     if (!Array.isArray(elements)) {
       return res.status(400).json({ message: 'Elements must be an array' });
     }
+
+    // Same element rules and limits as real-time edits
+    let validElements;
+    try {
+      validElements = validateElements(elements);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      return res.status(400).json({ message: 'Invalid elements', errors: error.errors });
+    }
     
-    req.board.elements = elements.map(element => ({
-      ...element,
-      createdBy: element.createdBy || req.user._id,
-      updatedAt: new Date(),
-    }));
+    // While the board is open in real time, write through its working copy
+    // so the change is not overwritten by the next flush
+    const workingBoard = boardWorkingCopies.getLoadedBoard(req.params.boardId);
+    const board = workingBoard || req.board;
     
-    await req.board.updateLastModified(req.user._id);
+    // A write that drops much of the board is snapshotted first
+    await boardHistory.snapshotBeforeReplace(board, validElements);
+    boardEvents.startStream(board);
+
+    // Reject the whole write if any element was based on an older revision
+    const { conflicts } = privateElements.replaceElements(board, validElements, req.user._id.toString(), req.user._id);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some elements were changed by someone else',
+        conflicts,
+        boardVersion: board.version
+      });
+    }
+    
+    if (workingBoard) {
+      await boardWorkingCopies.recordEdit(workingBoard, req.user._id);
+      await boardWorkingCopies.flushBoard(req.params.boardId);
+    } else {
+      await board.updateLastModified(req.user._id);
+    }
+    boardEvents.recordElements(board, req.user);
     
     res.json({
       success: true,
       message: 'Board elements updated successfully',
-      elements: req.board.elements
+      elements: privateElements.redactElements(board.elements, req.user._id.toString()),
+      boardVersion: board.version
     });
   } catch (error) {
     console.error('Error updating board elements:', error);
@@ -295,6 +504,278 @@ router.put('/:boardId/elements', isAuthenticated, canEditBoard, async (req, res)
   }
 });
 
+// @route   GET /api/boards/:boardId/snapshots
+// @desc    List a board's saved versions, newest first
+// @access  Private (board viewer, editor, or owner)
+router.get('/:boardId/snapshots', isAuthenticated, hasBoardAccess, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const snapshots = await BoardSnapshot.findForBoard(req.params.boardId, { limit });
+
+    res.json({
+      success: true,
+      snapshots: snapshots.map(snapshot => snapshot.toSummary()),
+      currentVersion: (boardWorkingCopies.getLoadedBoard(req.params.boardId) || req.board).version,
+    });
+  } catch (error) {
+    console.error('Error fetching board snapshots:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   POST /api/boards/:boardId/snapshots
+// @desc    Save the board as it is now as a named version
+// @access  Private (board editor or owner)
+router.post('/:boardId/snapshots', isAuthenticated, canEditBoard, async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 100) {
+      return res.status(400).json({ message: 'Version name must be 1 to 100 characters' });
+    }
+
+    // Include real-time edits not yet written
+    const board = boardWorkingCopies.getLoadedBoard(req.params.boardId) || req.board;
+    const snapshot = await BoardSnapshot.createFromBoard(board, {
+      kind: 'manual',
+      name,
+      createdBy: req.user._id,
+    });
+    await snapshot.populate('createdBy', 'name email avatar');
+
+    res.status(201).json({
+      success: true,
+      message: 'Version saved',
+      snapshot: snapshot.toSummary(),
+    });
+  } catch (error) {
+    console.error('Error saving board snapshot:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   GET /api/boards/:boardId/snapshots/:snapshotId
+// @desc    Preview a saved version with its elements and settings
+// @access  Private (board viewer, editor, or owner)
+router.get('/:boardId/snapshots/:snapshotId', isAuthenticated, hasBoardAccess, async (req, res) => {
+  try {
+    const snapshot = await BoardSnapshot.findOne({ _id: req.params.snapshotId, board: req.params.boardId })
+      .populate('createdBy', 'name email avatar');
+    if (!snapshot) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    res.json({
+      success: true,
+      snapshot: {
+        ...snapshot.toSummary(),
+        elements: privateElements.redactElements(snapshot.elements, req.user._id.toString()),
+        settings: snapshot.settings,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching board snapshot:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   PUT /api/boards/:boardId/snapshots/:snapshotId
+// @desc    Name or rename a saved version; an empty name leaves it unnamed
+// @access  Private (board editor or owner)
+router.put('/:boardId/snapshots/:snapshotId', isAuthenticated, canEditBoard, async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (name.length > 100) {
+      return res.status(400).json({ message: 'Version name must be at most 100 characters' });
+    }
+
+    const snapshot = await BoardSnapshot.findOneAndUpdate(
+      { _id: req.params.snapshotId, board: req.params.boardId },
+      { $set: { name: name || null } },
+      { new: true }
+    )
+      .select('-elements -settings')
+      .populate('createdBy', 'name email avatar');
+    if (!snapshot) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Version renamed',
+      snapshot: snapshot.toSummary(),
+    });
+  } catch (error) {
+    console.error('Error renaming board snapshot:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   GET /api/boards/:boardId/snapshots/:snapshotId/diff
+// @desc    Compare a saved version with the board as it is now
+// @access  Private (board viewer, editor, or owner)
+router.get('/:boardId/snapshots/:snapshotId/diff', isAuthenticated, hasBoardAccess, async (req, res) => {
+  try {
+    const snapshot = await BoardSnapshot.findOne({ _id: req.params.snapshotId, board: req.params.boardId });
+    if (!snapshot) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    // Private stickies are compared as the requester sees them
+    const viewerId = req.user._id.toString();
+    const board = boardWorkingCopies.getLoadedBoard(req.params.boardId) || req.board;
+    const diff = Board.diffElements(
+      privateElements.redactElements(snapshot.elements, viewerId),
+      privateElements.redactElements(board.elements, viewerId)
+    );
+
+    res.json({
+      success: true,
+      fromVersion: snapshot.version,
+      toVersion: board.version,
+      diff,
+      summary: summarizeDiff(diff),
+    });
+  } catch (error) {
+    console.error('Error comparing board snapshot:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   GET /api/boards/:boardId/diff?from=:snapshotId&to=:snapshotId
+// @desc    Compare two versions of a board element by element, with the changes
+//          grouped by author; without to, the board as it is now is compared
+// @access  Private (board viewer, editor, or owner)
+router.get('/:boardId/diff', isAuthenticated, hasBoardAccess, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!mongoose.isValidObjectId(from) || (to !== undefined && !mongoose.isValidObjectId(to))) {
+      return res.status(400).json({ message: 'Versions to compare must be given by id' });
+    }
+
+    const snapshots = await BoardSnapshot.find({ _id: { $in: [from, to].filter(Boolean) }, board: req.params.boardId });
+    const fromSnapshot = snapshots.find(snapshot => snapshot._id.toString() === from);
+    const toSnapshot = to ? snapshots.find(snapshot => snapshot._id.toString() === to) : null;
+    if (!fromSnapshot || (to && !toSnapshot)) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    // Private stickies are compared as the requester sees them
+    const viewerId = req.user._id.toString();
+    const board = boardWorkingCopies.getLoadedBoard(req.params.boardId) || req.board;
+    const before = privateElements.redactElements(fromSnapshot.elements, viewerId);
+    const after = privateElements.redactElements(toSnapshot ? toSnapshot.elements : board.elements, viewerId);
+    const diff = Board.diffElements(before, after);
+
+    const groups = boardHistory.groupChangesByAuthor(diff);
+    const authors = await User.find({ _id: { $in: groups.map(group => group.authorId).filter(mongoose.isValidObjectId) } })
+      .select('name email avatar');
+
+    res.json({
+      success: true,
+      from: fromSnapshot.toSummary(),
+      to: toSnapshot ? toSnapshot.toSummary() : { version: board.version, current: true },
+      diff,
+      summary: summarizeDiff(diff),
+      changesByAuthor: groups.map(({ authorId, ...changes }) => ({
+        author: authors.find(author => author._id.toString() === authorId) || null,
+        ...changes,
+      })),
+      // The later version in full, to draw the diff over
+      elements: after,
+    });
+  } catch (error) {
+    console.error('Error comparing board versions:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   POST /api/boards/:boardId/snapshots/:snapshotId/restore
+// @desc    Restore a saved version; the board as it was is saved as a version first
+// @access  Private (board editor or owner)
+router.post('/:boardId/snapshots/:snapshotId/restore', isAuthenticated, canEditBoard, async (req, res) => {
+  try {
+    const { includeSettings = true } = req.body;
+
+    const snapshot = await BoardSnapshot.findOne({ _id: req.params.snapshotId, board: req.params.boardId });
+    if (!snapshot) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    // While the board is open in real time, write through its working copy
+    // so the change is not overwritten by the next flush
+    const workingBoard = boardWorkingCopies.getLoadedBoard(req.params.boardId);
+    const board = workingBoard || req.board;
+
+    const backup = await BoardSnapshot.createFromBoard(board, {
+      kind: 'restore',
+      createdBy: req.user._id,
+    });
+
+    boardEvents.startStream(board);
+    boardHistory.restoreSnapshot(board, snapshot, { includeSettings: includeSettings !== false });
+
+    if (workingBoard) {
+      await boardWorkingCopies.recordEdit(workingBoard, req.user._id);
+      await boardWorkingCopies.flushBoard(req.params.boardId);
+      // Working copies only write elements
+      if (includeSettings !== false) {
+        await Board.updateOne({ _id: board._id }, { $set: { settings: board.settings } });
+      }
+    } else {
+      await board.updateLastModified(req.user._id);
+    }
+    boardEvents.recordElements(board, req.user);
+
+    req.app.get('io')?.announceBoardRestored(board._id, board, {
+      _id: req.user._id,
+      name: req.user.name,
+    }, snapshot.toSummary());
+
+    res.json({
+      success: true,
+      message: 'Version restored',
+      elements: privateElements.redactElements(board.elements, req.user._id.toString()),
+      boardVersion: board.version,
+      backup: backup.toSummary(),
+    });
+  } catch (error) {
+    console.error('Error restoring board snapshot:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   GET /api/boards/:boardId/events?after=&limit=
+// @desc    Get a page of the element changes recorded on a board, oldest first,
+//          for replaying them; pass the nextCursor of a page as after to get the next
+// @access  Private (board viewer, editor, or owner)
+router.get('/:boardId/events', isAuthenticated, hasBoardAccess, async (req, res) => {
+  try {
+    const { after } = req.query;
+    if (after && !mongoose.isValidObjectId(after)) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 2000, 5000);
+    const events = await boardEvents.getEvents(req.params.boardId, { after, limit });
+    if (!events) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    // Stickies that were private are replayed as they were shown to the requester
+    const viewerId = req.user._id.toString();
+    const hasMore = events.length === limit;
+    res.json({
+      success: true,
+      events: events.map(event => privateElements.redactPayload(event.toClientEvent(), viewerId)),
+      hasMore,
+      nextCursor: events.length > 0 ? events[events.length - 1]._id : after || null,
+    });
+  } catch (error) {
+    console.error('Error fetching board events:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // @route   POST /api/boards/:boardId/collaborators
 // @desc    Add collaborator to board
 // @access  Private (board owner only)
@@ -337,6 +818,9 @@ router.post('/:boardId/collaborators', isAuthenticated, isBoardOwner, async (req
     
     await req.board.populate('collaborators.user', 'name email avatar');
     
+    // They may already have the board open, e.g. through a public link
+    req.app.get('io')?.updateCollaboratorRole(req.board._id, user._id, role, req.user._id);
+    
     res.json({
       success: true,
       message: 'Collaborator added successfully',
@@ -354,12 +838,13 @@ router.post('/:boardId/collaborators', isAuthenticated, isBoardOwner, async (req
 router.put('/:boardId/collaborators/:userId', isAuthenticated, isBoardOwner, async (req, res) => {
   try {
     const { userId } = req.params;
-    const { role } = req.body;
+    // Older clients send the share link names for roles
+    const role = { view: 'viewer', edit: 'editor' }[req.body.role] || req.body.role;
     
     // Validate role
-    if (!['view', 'edit', 'admin'].includes(role)) {
+    if (!['editor', 'viewer'].includes(role)) {
       return res.status(400).json({ 
-        message: 'Invalid role. Must be view, edit, or admin' 
+        message: 'Invalid role. Must be editor or viewer' 
       });
     }
     
@@ -381,6 +866,9 @@ router.put('/:boardId/collaborators/:userId', isAuthenticated, isBoardOwner, asy
     await req.board.save();
     await req.board.populate('collaborators.user', 'name email avatar');
     
+    // Apply the new role to the collaborator's open connections and tell the board
+    req.app.get('io')?.updateCollaboratorRole(req.board._id, userId, role, req.user._id);
+    
     res.json({
       success: true,
       message: 'Collaborator role updated successfully',
@@ -409,6 +897,9 @@ router.delete('/:boardId/collaborators/:userId', isAuthenticated, isBoardOwner,
       }
     });
     
+    // Drop the removed user's open connections from the board and tell everyone
+    req.app.get('io')?.removeCollaborator(req.board._id, userId, req.user._id);
+    
     res.json({
       success: true,
       message: 'Collaborator removed successfully'
@@ -429,7 +920,7 @@ router.post('/:id/share', isAuthenticated, async (req, res) => {
     console.log('👤 User:', req.user?._id);
     
     const { permissions = 'view', expiresIn = '7d', description = '' } = req.body;
-    const board = await Board.findById(req.params.id);
+    const board = await Board.findActive(req.params.id);
     
     if (!board) {
       console.log('❌ Board not found');
@@ -515,6 +1006,7 @@ router.get('/access/:token', async (req, res) => {
     const board = await Board.findOne({
       'shareLinks.token': token,
       'shareLinks.isActive': true,
+      deletedAt: null,
       $or: [
         { 'shareLinks.expiresAt': null },
         { 'shareLinks.expiresAt': { $gt: new Date() } }
@@ -529,11 +1021,7 @@ router.get('/access/:token', async (req, res) => {
     }
     
     // Find the specific share link
-    const shareLink = board.shareLinks.find(link => 
-      link.token === token && 
-      link.isActive && 
-      (!link.expiresAt || link.expiresAt > new Date())
-    );
+    const shareLink = board.findActiveShareLink(token);
     
     if (!shareLink) {
       return res.status(404).json({ message: 'Invalid or expired share link' });
@@ -550,7 +1038,8 @@ router.get('/access/:token', async (req, res) => {
         _id: board._id,
         title: board.title,
         description: board.description,
-        elements: board.elements,
+        // Share links are not tied to anyone, so private stickies are placeholders
+        elements: privateElements.redactElements((boardWorkingCopies.getLoadedBoard(board._id.toString()) || board).elements),
         owner: board.owner,
         lastModified: board.lastModified,
         lastModifiedBy: board.lastModifiedBy
@@ -570,7 +1059,7 @@ router.get('/access/:token', async (req, res) => {
 // @access  Private (Owner or Admin)
 router.get('/:id/share-links', isAuthenticated, async (req, res) => {
   try {
-    const board = await Board.findById(req.params.id)
+    const board = await Board.findActive(req.params.id)
       .populate('shareLinks.createdBy', 'name email avatar');
     
     if (!board) {
@@ -614,7 +1103,7 @@ router.get('/:id/share-links', isAuthenticated, async (req, res) => {
 router.put('/:id/share-links/:linkId', isAuthenticated, async (req, res) => {
   try {
     const { permissions, isActive, description, expiresIn } = req.body;
-    const board = await Board.findById(req.params.id);
+    const board = await Board.findActive(req.params.id);
     
     if (!board) {
       return res.status(404).json({ message: 'Board not found' });
@@ -671,7 +1160,7 @@ router.put('/:id/share-links/:linkId', isAuthenticated, async (req, res) => {
 // @access  Private (Owner or Creator of link)
 router.delete('/:id/share-links/:linkId', isAuthenticated, async (req, res) => {
   try {
-    const board = await Board.findById(req.params.id);
+    const board = await Board.findActive(req.params.id);
     
     if (!board) {
       return res.status(404).json({ message: 'Board not found' });
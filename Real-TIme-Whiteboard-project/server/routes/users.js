@@ -56,7 +56,7 @@ router.get('/profile/:userId', isAuthenticated, async (req, res) => {
   try {
     const user = await User.findById(req.params.userId)
       .select('name email avatar createdAt')
-      .populate('boards', 'title description createdAt settings');
+      .populate({ path: 'boards', select: 'title description createdAt settings', match: { deletedAt: null } });
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
@@ -94,8 +94,8 @@ router.get('/profile/:userId', isAuthenticated, async (req, res) => {
 router.get('/stats', isAuthenticated, async (req, res) => {
   try {
     const user = await User.findById(req.user._id)
-      .populate('boards')
-      .populate('collaborations.boardId');
+      .populate({ path: 'boards', match: { deletedAt: null } })
+      .populate({ path: 'collaborations.boardId', match: { deletedAt: null } });
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
@@ -178,6 +178,7 @@ router.get('/activity', isAuthenticated, async (req, res) => {
     const user = await User.findById(req.user._id)
       .populate({
         path: 'boards',
+        match: { deletedAt: null },
         options: {
           sort: { lastModified: -1 },
           limit: parseInt(limit),
@@ -190,6 +191,7 @@ router.get('/activity', isAuthenticated, async (req, res) => {
       })
       .populate({
         path: 'collaborations.boardId',
+        match: { deletedAt: null },
         options: {
           sort: { lastModified: -1 },
           limit: parseInt(limit),
@@ -0,0 +1,174 @@
+// Presence and room fan-out shared between the worker processes started by
+// cluster.js. Workers never talk to each other directly: every message goes to
+// the cluster primary over IPC, which relays it to the other workers.
+// Element locks and text editing sessions live in the primary, which answers
+// the workers' calls on them. The resume log is still kept per process, so it
+// only covers operations made through the same worker.
+const cluster = require('cluster');
+const { Adapter } = require('socket.io-adapter');
+const { METHODS } = require('../collaborationState');
+
+const CHANNEL = 'realtime';
+
+const createClusterAdapter = () => {
+  if (!cluster.isWorker || typeof process.send !== 'function') {
+    throw new Error('The cluster adapter only works in a worker started by cluster.js');
+  }
+
+  const localConnections = new Map();
+  const remoteConnections = new Map(); // workerId -> Map(socketId -> data)
+  const subscribers = new Set();
+  const lockExpiryHandlers = new Set();
+  const pendingCalls = new Map(); // callId -> { resolve, reject }
+  let nextCallId = 1;
+  let io = null;
+
+  const send = (message) => process.send({ channel: CHANNEL, ...message });
+
+  // Presence goes over the wire as plain JSON
+  const toPlain = (data) => JSON.parse(JSON.stringify(data));
+
+  // Call the shared collaboration state held by the primary
+  const call = (method, args) => new Promise((resolve, reject) => {
+    const callId = nextCallId++;
+    pendingCalls.set(callId, { resolve, reject });
+    send({ type: 'call', callId, method, args: toPlain(args) });
+  });
+
+  const collaboration = Object.fromEntries(METHODS.map(method => [method, (...args) => call(method, args)]));
+  // The primary drops text session participants of a worker that exits
+  collaboration.joinTextSession = (boardId, elementId, participant, initialText) => call('joinTextSession', [
+    boardId,
+    elementId,
+    { ...participant, origin: cluster.worker.id },
+    initialText,
+  ]);
+
+  // Socket.IO adapter that also hands every room broadcast to the other workers
+  class ClusterRoomAdapter extends Adapter {
+    broadcast(packet, opts) {
+      if (!opts.flags?.local) {
+        send({
+          type: 'broadcast',
+          nsp: this.nsp.name,
+          packet: toPlain(packet),
+          rooms: Array.from(opts.rooms || []),
+          except: Array.from(opts.except || []),
+          flags: opts.flags || {},
+        });
+      }
+      super.broadcast(packet, opts);
+    }
+  }
+
+  process.on('message', (message) => {
+    if (message?.channel !== CHANNEL) return;
+
+    switch (message.type) {
+      case 'broadcast': {
+        // Deliver to our own sockets only; the sender already reached theirs
+        if (!io) return;
+        io.of(message.nsp).adapter.broadcast(message.packet, {
+          rooms: new Set(message.rooms),
+          except: new Set(message.except),
+          flags: { ...message.flags, local: true },
+        });
+        break;
+      }
+      case 'presence-set': {
+        if (!remoteConnections.has(message.source)) {
+          remoteConnections.set(message.source, new Map());
+        }
+        remoteConnections.get(message.source).set(message.socketId, message.data);
+        break;
+      }
+      case 'presence-remove': {
+        remoteConnections.get(message.source)?.delete(message.socketId);
+        break;
+      }
+      case 'presence-sync-request': {
+        // A worker just started; tell it who is connected here
+        send({
+          type: 'presence-snapshot',
+          target: message.source,
+          connections: Array.from(localConnections.entries()).map(([socketId, data]) => [socketId, toPlain(data)]),
+        });
+        break;
+      }
+      case 'presence-snapshot': {
+        remoteConnections.set(message.source, new Map(message.connections));
+        break;
+      }
+      case 'call-result': {
+        const pending = pendingCalls.get(message.callId);
+        if (!pending) return;
+        pendingCalls.delete(message.callId);
+        if (message.error) {
+          pending.reject(new Error(message.error));
+        } else {
+          pending.resolve(message.result);
+        }
+        break;
+      }
+      case 'lock-expired': {
+        lockExpiryHandlers.forEach(handler => handler(message.boardId, message.elementId));
+        break;
+      }
+      case 'publish': {
+        subscribers.forEach(handler => handler(message.message));
+        break;
+      }
+      case 'worker-exit': {
+        // Everyone connected to a dead worker is gone
+        remoteConnections.delete(message.workerId);
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  // Socket ids are unique across workers, so the maps never overlap
+  const getConnections = () => {
+    const connections = Array.from(localConnections.values());
+    remoteConnections.forEach(workerConnections => {
+      connections.push(...workerConnections.values());
+    });
+    return connections;
+  };
+
+  return {
+    name: 'cluster',
+    isDistributed: true,
+    attach(server) {
+      io = server;
+      io.adapter(ClusterRoomAdapter);
+      send({ type: 'presence-sync-request' });
+    },
+    setConnection(socketId, data) {
+      localConnections.set(socketId, data);
+      send({ type: 'presence-set', socketId, data: toPlain(data) });
+    },
+    removeConnection(socketId) {
+      localConnections.delete(socketId);
+      send({ type: 'presence-remove', socketId });
+    },
+    getConnections,
+    getBoardConnections(boardId) {
+      return getConnections().filter(data => data.currentBoard === boardId);
+    },
+    publish(message) {
+      send({ type: 'publish', message: toPlain(message) });
+      subscribers.forEach(handler => handler(message));
+    },
+    subscribe(handler) {
+      subscribers.add(handler);
+    },
+    collaboration,
+    onLockExpired(handler) {
+      lockExpiryHandlers.add(handler);
+    },
+  };
+};
+
+module.exports = { CHANNEL, createClusterAdapter };
@@ -0,0 +1,35 @@
+// Presence and room fan-out adapters for the real-time server
+//
+// Every adapter exposes the same shape:
+//   name, isDistributed
+//   attach(io)                       hook room fan-out into Socket.IO
+//   setConnection(socketId, data)    publish a socket's presence from this process
+//   removeConnection(socketId)
+//   getConnections()                 sockets on every process
+//   getBoardConnections(boardId)
+//   publish(message)                 run subscribers on every process, this one included
+//   subscribe(handler)
+//   collaboration                    element locks and text sessions shared by
+//                                    every process; each call returns a promise
+//   onLockExpired(handler)           runs on one process when a lock times out
+//
+// Presence is tracked per socket, since one user can have several tabs open;
+// the socket handlers group connections back into users.
+//
+// REALTIME_ADAPTER picks one: 'memory' (default, single process) or
+// 'cluster' (workers started by cluster.js, relayed over IPC).
+const { createMemoryAdapter } = require('./memoryAdapter');
+const { createClusterAdapter } = require('./clusterAdapter');
+
+const createRealtimeAdapter = (type = process.env.REALTIME_ADAPTER || 'memory') => {
+  switch (type) {
+    case 'memory':
+      return createMemoryAdapter();
+    case 'cluster':
+      return createClusterAdapter();
+    default:
+      throw new Error(`Unknown realtime adapter "${type}"`);
+  }
+};
+
+module.exports = { createRealtimeAdapter };
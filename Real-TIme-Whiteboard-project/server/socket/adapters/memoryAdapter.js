@@ -0,0 +1,43 @@
+// Presence kept in this process only; Socket.IO's built-in adapter already
+// delivers room broadcasts to every socket, since they all live here
+const { METHODS, createCollaborationState } = require('../collaborationState');
+
+const createMemoryAdapter = () => {
+  const connections = new Map();
+  const subscribers = new Set();
+  const lockExpiryHandlers = new Set();
+
+  const state = createCollaborationState({
+    onLockExpired: (boardId, elementId) => lockExpiryHandlers.forEach(handler => handler(boardId, elementId)),
+  });
+
+  const getConnections = () => Array.from(connections.values());
+
+  return {
+    name: 'memory',
+    isDistributed: false,
+    attach() {},
+    setConnection(socketId, data) {
+      connections.set(socketId, data);
+    },
+    removeConnection(socketId) {
+      connections.delete(socketId);
+    },
+    getConnections,
+    getBoardConnections(boardId) {
+      return getConnections().filter(data => data.currentBoard === boardId);
+    },
+    publish(message) {
+      subscribers.forEach(handler => handler(message));
+    },
+    subscribe(handler) {
+      subscribers.add(handler);
+    },
+    collaboration: Object.fromEntries(METHODS.map(method => [method, async (...args) => state[method](...args)])),
+    onLockExpired(handler) {
+      lockExpiryHandlers.add(handler);
+    },
+  };
+};
+
+module.exports = { createMemoryAdapter };
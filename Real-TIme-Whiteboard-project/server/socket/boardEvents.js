@@ -0,0 +1,162 @@
+// Append-only stream of the element changes made to each board, for replaying
+// how a board came together. Events are buffered per board and written in
+// batches, like session activity; while a batch is waiting, consecutive updates
+// by one person to one element (a drag, say) are kept as a single event.
+// A stream starts with a baseline of the board as it was when it was first
+// opened, so the board can be rebuilt at any point from there on.
+// boardId -> { events, timer }
+const mongoose = require('mongoose');
+const BoardEvent = require('../models/BoardEvent');
+
+const buffers = new Map();
+
+// Writes for one board run in order
+const queues = new Map();
+
+// Boards whose stream this process has already started
+const started = new Set();
+
+// Write buffered events this long after the first one (default 2 seconds)
+const EVENT_FLUSH_DELAY = parseInt(process.env.BOARD_EVENT_FLUSH_MS) || 2000;
+
+// Write straight away once this many events are waiting for a board
+const MAX_BUFFERED_EVENTS = 500;
+
+const toPlain = (element) => (typeof element?.toObject === 'function' ? element.toObject() : { ...element });
+
+const enqueue = (boardId, task) => {
+  const run = (queues.get(boardId) || Promise.resolve())
+    .then(task)
+    .catch(error => console.error('Error recording board events:', error));
+  queues.set(boardId, run);
+  run.then(() => {
+    if (queues.get(boardId) === run) queues.delete(boardId);
+  });
+  return run;
+};
+
+const flushEvents = async (boardId) => {
+  const buffer = buffers.get(boardId);
+  if (!buffer) return;
+
+  clearTimeout(buffer.timer);
+  buffers.delete(boardId);
+
+  // Another process, or this one before a restart, may have started the stream already
+  let { events } = buffer;
+  if (events[0]?.type === 'baseline' && await BoardEvent.exists({ board: boardId })) {
+    events = events.slice(1);
+  }
+  if (events.length > 0) {
+    await BoardEvent.insertMany(events);
+  }
+};
+
+const push = (boardId, event) => {
+  if (!buffers.has(boardId)) {
+    buffers.set(boardId, { events: [], timer: null });
+  }
+  const buffer = buffers.get(boardId);
+
+  const last = buffer.events[buffer.events.length - 1];
+  if (event.type === 'updated' && last?.type === 'updated' && last.elementId === event.elementId &&
+    String(last.user) === String(event.user) && last.userName === event.userName) {
+    Object.assign(last, { element: event.element, boardVersion: event.boardVersion, at: event.at });
+    return;
+  }
+
+  buffer.events.push(event);
+
+  if (buffer.events.length >= MAX_BUFFERED_EVENTS) {
+    enqueue(boardId, () => flushEvents(boardId));
+  } else if (!buffer.timer) {
+    buffer.timer = setTimeout(() => {
+      enqueue(boardId, () => flushEvents(boardId));
+    }, EVENT_FLUSH_DELAY);
+  }
+};
+
+// Who made a change; guests are kept by name only
+const authorOf = (user) => ({
+  user: mongoose.isValidObjectId(user?._id) ? user._id : null,
+  userName: user?.name || null,
+});
+
+// Start a board's stream with the board as it is now, if it has not started yet.
+// Call before the first change is applied.
+const startStream = (board) => {
+  const boardId = board._id.toString();
+  if (started.has(boardId)) return;
+  started.add(boardId);
+
+  push(boardId, {
+    board: board._id,
+    boardVersion: board.version,
+    type: 'baseline',
+    elements: board.elements.map(toPlain),
+    user: null,
+    userName: null,
+    at: new Date(),
+  });
+};
+
+// Record a change to one element: created, updated or deleted
+const recordElement = (board, type, element, user) => {
+  push(board._id.toString(), {
+    board: board._id,
+    boardVersion: board.version,
+    type,
+    elementId: String(element.id),
+    element: type === 'deleted' ? null : toPlain(element),
+    ...authorOf(user),
+    at: new Date(),
+  });
+};
+
+// Record that the board's whole element list was replaced
+const recordElements = (board, user) => {
+  push(board._id.toString(), {
+    board: board._id,
+    boardVersion: board.version,
+    type: 'replaced',
+    elements: board.elements.map(toPlain),
+    ...authorOf(user),
+    at: new Date(),
+  });
+};
+
+// A page of a board's stream so far, oldest first, including events still
+// buffered here. after is the id of the last event of the previous page;
+// resolves to null if that event is not part of the board's stream.
+const getEvents = async (boardId, { after = null, limit } = {}) => {
+  const id = boardId.toString();
+  await enqueue(id, () => flushEvents(id));
+
+  let cursor = null;
+  if (after) {
+    cursor = await BoardEvent.findOne({ _id: after, board: id }).select('at');
+    if (!cursor) return null;
+  }
+  return BoardEvent.findForBoard(id, { after: cursor, limit });
+};
+
+// Drop a board's stream, buffered events included, when the board is deleted
+const deleteStream = async (boardId) => {
+  const id = boardId.toString();
+  clearTimeout(buffers.get(id)?.timer);
+  buffers.delete(id);
+  started.delete(id);
+  await enqueue(id, () => BoardEvent.deleteMany({ board: id }));
+};
+
+// Write every buffered event, used on server shutdown
+const flushAll = () => Promise.all(Array.from(buffers.keys(), boardId => enqueue(boardId, () => flushEvents(boardId))));
+
+module.exports = {
+  startStream,
+  recordElement,
+  recordElements,
+  getEvents,
+  deleteStream,
+  flushAll,
+};
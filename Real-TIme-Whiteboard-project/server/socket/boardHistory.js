@@ -0,0 +1,126 @@
+// Version history for boards
+// Snapshots of a board's elements and settings are kept in their own collection:
+// every so often while the board is being edited, just before a bulk change
+// removes a large part of it, and whenever someone saves a named version.
+// Unnamed automatic snapshots are pruned; named ones are kept.
+const BoardSnapshot = require('../models/BoardSnapshot');
+
+// Take an automatic snapshot at most this often (default 10 minutes)
+const AUTO_SNAPSHOT_INTERVAL = parseInt(process.env.BOARD_SNAPSHOT_INTERVAL_MS) || 10 * 60 * 1000;
+
+// Unnamed automatic snapshots kept per board (default 50)
+const MAX_AUTO_SNAPSHOTS = parseInt(process.env.BOARD_MAX_AUTO_SNAPSHOTS) || 50;
+
+// A full element list that drops at least this share of a board's elements
+// is snapshotted first, however recently the last snapshot was taken
+const BULK_REMOVAL_SHARE = 0.25;
+
+// Look for the latest snapshot of an unchanged board at most this often
+const UNCHANGED_RECHECK = 60 * 1000;
+
+// When each board next needs looking at, so edits written one by one do not
+// each cost a query: boardId -> timestamp
+const nextCheckAt = new Map();
+
+// Take an automatic snapshot if the board changed since the last one, and that
+// one is old enough unless force is set. Resolves to the snapshot, or null.
+const takeAutoSnapshot = async (board, { force = false } = {}) => {
+  const boardId = board._id.toString();
+  const now = Date.now();
+  if (!force && nextCheckAt.get(boardId) > now) return null;
+  nextCheckAt.set(boardId, now + UNCHANGED_RECHECK);
+
+  const latest = await BoardSnapshot.findLatest(board._id);
+  if (latest && latest.version === board.version) return null;
+  if (!force && latest && now - latest.createdAt.getTime() < AUTO_SNAPSHOT_INTERVAL) {
+    nextCheckAt.set(boardId, latest.createdAt.getTime() + AUTO_SNAPSHOT_INTERVAL);
+    return null;
+  }
+
+  let snapshot;
+  try {
+    snapshot = await BoardSnapshot.createFromBoard(board, { kind: 'auto' });
+  } catch (error) {
+    // Another edit, or another server process, snapshotted this version first
+    if (error.code === 11000) return null;
+    throw error;
+  }
+  nextCheckAt.set(boardId, now + AUTO_SNAPSHOT_INTERVAL);
+  await BoardSnapshot.pruneAuto(board._id, MAX_AUTO_SNAPSHOTS);
+  return snapshot;
+};
+
+// Keep the board as it is if a full element list is about to remove much of it
+const snapshotBeforeReplace = async (board, incoming) => {
+  if (board.elements.length === 0) return null;
+
+  const incomingIds = new Set(incoming.map(element => String(element.id)));
+  const removed = board.elements.filter(element => !incomingIds.has(String(element.id))).length;
+  if (removed < Math.max(1, board.elements.length * BULK_REMOVAL_SHARE)) return null;
+
+  return takeAutoSnapshot(board, { force: true });
+};
+
+// Put a snapshot's elements (and settings, if asked) back on a board, in memory.
+// Hidden stickies come back visible to everyone, and every element gets a
+// revision above the one clients hold, so their next edits are not seen as stale.
+const restoreSnapshot = (board, snapshot, { includeSettings = true } = {}) => {
+  const currentRevisions = new Map(board.elements.map(element => [String(element.id), element.revision || 1]));
+
+  board.elements = snapshot.elements.map(({ privateTo, ...element }) => ({
+    ...element,
+    revision: Math.max(element.revision || 1, currentRevisions.get(String(element.id)) || 0) + 1,
+    updatedAt: new Date(),
+  }));
+
+  if (includeSettings && snapshot.settings) {
+    board.set('settings', snapshot.settings);
+  }
+  return board;
+};
+
+// What a change list needs to name an element
+const describeElement = (element) => ({
+  id: element.id,
+  type: element.type,
+  text: (element.text || '').slice(0, 60),
+});
+
+// Group the changes in a diff from Board.diffElements by who made them, going by
+// each element's lastModifiedBy. Who removed an element is not recorded, so
+// removals are grouped with changes from guests, under no author.
+const groupChangesByAuthor = (diff) => {
+  const groups = new Map();
+  const groupFor = (authorId) => {
+    const key = authorId ? String(authorId) : null;
+    if (!groups.has(key)) {
+      groups.set(key, { authorId: key, added: [], removed: [], changed: [] });
+    }
+    return groups.get(key);
+  };
+
+  diff.added.forEach(element => {
+    groupFor(element.lastModifiedBy || element.createdBy).added.push(describeElement(element));
+  });
+  diff.changed.forEach(change => {
+    groupFor(change.after.lastModifiedBy).changed.push({ ...describeElement(change.after), fields: change.fields });
+  });
+  diff.removed.forEach(element => {
+    groupFor(null).removed.push(describeElement(element));
+  });
+
+  return Array.from(groups.values());
+};
+
+// Forget when a board next needs looking at, once it is no longer being edited
+const forgetBoard = (boardId) => {
+  nextCheckAt.delete(boardId);
+};
+
+module.exports = {
+  takeAutoSnapshot,
+  forgetBoard,
+  snapshotBeforeReplace,
+  restoreSnapshot,
+  groupChangesByAuthor,
+};
@@ -0,0 +1,155 @@
+// Shared facilitation timer for boards
+// The timer lives on the board document, so every server process and anyone
+// joining late sees the same one. Clients get the time it ends (or the time
+// left while paused) plus the server clock, and count down on their own; the
+// server only announces changes, and that the timer finished.
+const Board = require('../models/Board');
+
+// Longest countdown that can be set, and longest single extension
+const MAX_DURATION = 24 * 60 * 60 * 1000;
+const MAX_EXTENSION = 60 * 60 * 1000;
+
+// Pending "timer finished" announcements on this process: boardId -> timeout
+const endTimeouts = new Map();
+
+const IDLE_TIMER = { status: 'idle', duration: 0, endsAt: null, remaining: null, updatedBy: null, revision: 0 };
+
+// The stored timer with the gaps filled in; a running timer past its end has finished
+const readTimer = (stored, now = Date.now()) => {
+  const timer = { ...IDLE_TIMER, ...(stored?.status ? stored : {}) };
+  if (timer.status === 'running' && new Date(timer.endsAt).getTime() <= now) {
+    return { ...timer, status: 'finished', endsAt: null, remaining: 0 };
+  }
+  return timer;
+};
+
+// Shape a timer for clients; serverTime lets them allow for their own clock being off
+const toClientTimer = (timer) => ({
+  status: timer.status,
+  duration: timer.duration,
+  endsAt: timer.endsAt,
+  remaining: timer.remaining,
+  updatedBy: timer.updatedBy,
+  serverTime: new Date(),
+});
+
+const getTimer = async (boardId) => {
+  const board = await Board.findById(boardId).select('timer').lean();
+  return board ? readTimer(board.timer) : null;
+};
+
+// Apply a change to a board's timer unless someone else changed it first.
+// change(timer, now) returns the new timer fields, or null if it does not apply.
+// Resolves to the timer as it now stands, and whether this change was made.
+const changeTimer = async (boardId, updatedBy, change) => {
+  const board = await Board.findById(boardId).select('timer').lean();
+  if (!board) return { timer: null, changed: false };
+
+  const now = Date.now();
+  const current = readTimer(board.timer, now);
+  const next = change(current, now);
+  if (!next) return { timer: current, changed: false };
+
+  const timer = { ...current, ...next, updatedBy, revision: current.revision + 1 };
+  const result = await Board.updateOne(
+    { _id: boardId, 'timer.revision': board.timer?.revision ?? null },
+    { $set: { timer } },
+    { timestamps: false }
+  );
+
+  if (result.modifiedCount === 0) {
+    return { timer: await getTimer(boardId), changed: false };
+  }
+  return { timer, changed: true };
+};
+
+const remainingOf = (timer, now) => (
+  timer.status === 'running' ? new Date(timer.endsAt).getTime() - now : timer.remaining
+);
+
+const startTimer = (boardId, duration, updatedBy) => changeTimer(boardId, updatedBy, (timer, now) => ({
+  status: 'running',
+  duration,
+  endsAt: new Date(now + duration),
+  remaining: null,
+}));
+
+const pauseTimer = (boardId, updatedBy) => changeTimer(boardId, updatedBy, (timer, now) => (
+  timer.status !== 'running' ? null : {
+    status: 'paused',
+    endsAt: null,
+    remaining: remainingOf(timer, now),
+  }
+));
+
+const resumeTimer = (boardId, updatedBy) => changeTimer(boardId, updatedBy, (timer, now) => (
+  timer.status !== 'paused' ? null : {
+    status: 'running',
+    endsAt: new Date(now + timer.remaining),
+    remaining: null,
+  }
+));
+
+// Add time to a running or paused timer; a finished one starts again with the extra time
+const extendTimer = (boardId, amount, updatedBy) => changeTimer(boardId, updatedBy, (timer, now) => {
+  if (timer.status === 'idle') return null;
+
+  const remaining = timer.status === 'finished' ? 0 : remainingOf(timer, now);
+  const left = Math.min(remaining + amount, MAX_DURATION);
+  const duration = Math.min(timer.duration + amount, MAX_DURATION);
+
+  return timer.status === 'paused'
+    ? { duration, remaining: left }
+    : { status: 'running', duration, endsAt: new Date(now + left), remaining: null };
+});
+
+const resetTimer = (boardId, updatedBy) => changeTimer(boardId, updatedBy, (timer) => (
+  timer.status === 'idle' ? null : { status: 'idle', duration: 0, endsAt: null, remaining: null }
+));
+
+// Record that a running timer reached zero. Only the first process to get there
+// makes the change, so the end is announced once.
+const finishTimer = async (boardId) => {
+  const now = new Date();
+  const result = await Board.updateOne(
+    { _id: boardId, 'timer.status': 'running', 'timer.endsAt': { $lte: now } },
+    { $set: { 'timer.status': 'finished', 'timer.endsAt': null, 'timer.remaining': 0 }, $inc: { 'timer.revision': 1 } },
+    { timestamps: false }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Call onEnd(boardId, timer) when a running timer reaches zero. Any earlier schedule for the
+// board on this process is replaced; schedules left behind after a change on
+// another process find the timer no longer finished and do nothing.
+const scheduleEnd = (boardId, timer, onEnd) => {
+  clearTimeout(endTimeouts.get(boardId));
+  endTimeouts.delete(boardId);
+  if (timer?.status !== 'running') return;
+
+  const timeout = setTimeout(async () => {
+    endTimeouts.delete(boardId);
+    try {
+      if (await finishTimer(boardId)) {
+        onEnd(boardId, await getTimer(boardId));
+      }
+    } catch (error) {
+      console.error('Error finishing board timer:', error);
+    }
+  }, Math.max(0, new Date(timer.endsAt).getTime() - Date.now()));
+  timeout.unref();
+  endTimeouts.set(boardId, timeout);
+};
+
+module.exports = {
+  MAX_DURATION,
+  MAX_EXTENSION,
+  toClientTimer,
+  getTimer,
+  startTimer,
+  pauseTimer,
+  resumeTimer,
+  extendTimer,
+  resetTimer,
+  scheduleEnd,
+};
@@ -0,0 +1,101 @@
+// Trash for deleted boards
+// Deleting a board only marks it with when and by whom it was deleted: it drops
+// out of board lists, routes and live sessions, and its owner can restore it.
+// Boards left in the trash past the retention period are purged for good, with
+// everything stored for them, by a sweep that runs every so often.
+const Board = require('../models/Board');
+const User = require('../models/User');
+const ChatMessage = require('../models/ChatMessage');
+const VotingSession = require('../models/VotingSession');
+const BoardSnapshot = require('../models/BoardSnapshot');
+const boardEvents = require('./boardEvents');
+
+// How long a board stays in the trash before it is purged (default 30 days)
+const RETENTION_DAYS = parseInt(process.env.BOARD_TRASH_RETENTION_DAYS) || 30;
+const RETENTION = RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// How often to look for boards to purge (default every hour)
+const SWEEP_INTERVAL = parseInt(process.env.BOARD_TRASH_SWEEP_MS) || 60 * 60 * 1000;
+
+let sweepTimer = null;
+
+// When a trashed board will be purged
+const getPurgeDate = (board) => new Date(board.deletedAt.getTime() + RETENTION);
+
+// Move a board to the trash. Written straight to the database, so a working
+// copy still flushing elements cannot undo it. Resolves to false if it was
+// already there.
+const trashBoard = async (boardId, deletedBy) => {
+  const result = await Board.updateOne(
+    { _id: boardId, deletedAt: null },
+    { $set: { deletedAt: new Date(), deletedBy } },
+    { timestamps: false }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Take a board back out of the trash
+const restoreBoard = async (boardId) => {
+  const result = await Board.updateOne(
+    { _id: boardId, deletedAt: { $ne: null } },
+    { $set: { deletedAt: null, deletedBy: null } },
+    { timestamps: false }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Delete a board for good
+const purgeBoard = async (boardId) => {
+  await Board.findByIdAndDelete(boardId);
+
+  // The board's chat, votes, history and timeline go with it
+  await ChatMessage.deleteMany({ board: boardId });
+  await VotingSession.deleteMany({ board: boardId });
+  await BoardSnapshot.deleteMany({ board: boardId });
+  await boardEvents.deleteStream(boardId);
+
+  // Remove board from all users' boards arrays
+  await User.updateMany(
+    { boards: boardId },
+    { $pull: { boards: boardId } }
+  );
+
+  // Remove board from collaborations
+  await User.updateMany(
+    { 'collaborations.boardId': boardId },
+    { $pull: { collaborations: { boardId } } }
+  );
+};
+
+// Purge every board that has been in the trash longer than the retention period
+const purgeExpired = async () => {
+  const cutoff = new Date(Date.now() - RETENTION);
+  const expired = await Board.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id');
+
+  for (const board of expired) {
+    await purgeBoard(board._id);
+  }
+  return expired.length;
+};
+
+// Sweep the trash now and then every so often, on each server process
+const startSweeping = () => {
+  if (sweepTimer) return;
+
+  const sweep = () => purgeExpired().catch(error => {
+    console.error('Error purging trashed boards:', error);
+  });
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL);
+  sweepTimer.unref();
+  sweep();
+};
+
+module.exports = {
+  RETENTION_DAYS,
+  getPurgeDate,
+  trashBoard,
+  restoreBoard,
+  purgeBoard,
+  purgeExpired,
+  startSweeping,
+};
@@ -0,0 +1,156 @@
+// In-memory working copies of boards being edited over sockets
+// Socket edits are applied to the copy right away and written to MongoDB in
+// batches, instead of one full document save per drag step or keystroke.
+// boardId -> { board, pendingEdits, firstPendingAt, timer, flushing }
+const Board = require('../models/Board');
+const boardHistory = require('./boardHistory');
+
+const copies = new Map();
+const loading = new Map();
+
+// With several server processes each would hold its own copy of a board and
+// overwrite the others' edits, so edits are saved straight away instead
+let writeThrough = false;
+
+const configure = (options = {}) => {
+  writeThrough = Boolean(options.writeThrough);
+};
+
+// Wait this long after the last edit before writing (default 2 seconds),
+// but never hold edits back for longer than the max wait (default 10 seconds)
+const FLUSH_DELAY = parseInt(process.env.BOARD_FLUSH_DELAY_MS) || 2000;
+const FLUSH_MAX_WAIT = parseInt(process.env.BOARD_FLUSH_MAX_WAIT_MS) || 10000;
+
+// Get the working copy of a board, loading it on first use
+const getBoard = async (boardId) => {
+  if (writeThrough) return Board.findById(boardId);
+
+  const copy = copies.get(boardId);
+  if (copy) return copy.board;
+
+  // Several edits can arrive before the first load finishes; share it
+  if (!loading.has(boardId)) {
+    const load = Board.findById(boardId)
+      .then(board => {
+        if (board && !copies.has(boardId)) {
+          copies.set(boardId, {
+            board,
+            pendingEdits: 0,
+            firstPendingAt: null,
+            timer: null,
+            flushing: Promise.resolve(),
+          });
+        }
+        return copies.get(boardId)?.board || board;
+      })
+      .finally(() => loading.delete(boardId));
+    loading.set(boardId, load);
+  }
+  return loading.get(boardId);
+};
+
+// The working copy if one is loaded, without touching the database
+const getLoadedBoard = (boardId) => copies.get(boardId)?.board || null;
+
+const scheduleFlush = (boardId, copy) => {
+  const now = Date.now();
+  if (!copy.firstPendingAt) copy.firstPendingAt = now;
+
+  const delay = Math.min(FLUSH_DELAY, FLUSH_MAX_WAIT - (now - copy.firstPendingAt));
+  clearTimeout(copy.timer);
+  copy.timer = setTimeout(() => {
+    flushBoard(boardId).catch(() => {});
+  }, Math.max(delay, 0));
+};
+
+// Snapshot a board for its version history every so often, without holding up edits
+const keepHistory = (board) => {
+  boardHistory.takeAutoSnapshot(board).catch(error => {
+    console.error(`Error taking snapshot of board ${board._id}:`, error);
+  });
+};
+
+// Record an edit made to a board from getBoard and schedule a write
+const recordEdit = async (board, userId) => {
+  const boardId = board._id.toString();
+  const copy = copies.get(boardId);
+
+  // Not (or no longer) the cached copy: save it like any other document
+  if (!copy || copy.board !== board) {
+    await board.updateLastModified(userId);
+    keepHistory(board);
+    return;
+  }
+
+  board.touchLastModified(userId);
+  copy.pendingEdits += 1;
+  scheduleFlush(boardId, copy);
+};
+
+// Write pending edits of a board to MongoDB. Only the fields socket edits touch
+// are written, so changes made through the REST routes are left alone.
+const flushBoard = (boardId) => {
+  const copy = copies.get(boardId);
+  if (!copy) return Promise.resolve();
+
+  copy.flushing = copy.flushing.then(async () => {
+    clearTimeout(copy.timer);
+    copy.timer = null;
+    if (copy.pendingEdits === 0) return;
+
+    const edits = copy.pendingEdits;
+    const { board } = copy;
+    copy.pendingEdits = 0;
+    copy.firstPendingAt = null;
+
+    try {
+      await Board.updateOne({ _id: board._id }, {
+        $set: {
+          elements: board.elements.map(element => element.toObject()),
+          lastModified: board.lastModified,
+          lastModifiedBy: board.lastModifiedBy,
+        },
+        $max: { version: board.version },
+        $inc: { 'stats.totalEdits': edits },
+      });
+      keepHistory(board);
+    } catch (error) {
+      console.error(`Error saving board ${boardId}:`, error);
+      // Keep the edits and try again later
+      copy.pendingEdits += edits;
+      scheduleFlush(boardId, copy);
+    }
+  });
+  return copy.flushing;
+};
+
+// Flush and forget a board, e.g. when the last user leaves it
+const releaseBoard = async (boardId) => {
+  const copy = copies.get(boardId);
+  if (!copy) {
+    boardHistory.forgetBoard(boardId);
+    return;
+  }
+
+  await flushBoard(boardId);
+
+  // Someone may have come back and edited while we were writing
+  if (copies.get(boardId) === copy && copy.pendingEdits === 0) {
+    clearTimeout(copy.timer);
+    copies.delete(boardId);
+    boardHistory.forgetBoard(boardId);
+  }
+};
+
+// Flush every board, used on server shutdown
+const flushAll = () => Promise.all(Array.from(copies.keys()).map(flushBoard));
+
+module.exports = {
+  configure,
+  getBoard,
+  getLoadedBoard,
+  recordEdit,
+  flushBoard,
+  releaseBoard,
+  flushAll,
+};
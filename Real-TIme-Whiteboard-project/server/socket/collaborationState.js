@@ -0,0 +1,89 @@
+// Element locks and collaborative text sessions, behind calls that take and
+// return plain data. A single server process serves them itself; with several
+// processes the cluster primary holds the only copy and the workers call it,
+// so everyone on a board sees the same locks and edits the same text session.
+const elementLocks = require('./elementLocks');
+const textSessions = require('./textSessions');
+
+// Calls a worker can make on the shared state
+const METHODS = [
+  'acquireLock',
+  'refreshLock',
+  'releaseLock',
+  'releaseUserLocks',
+  'getLockHeldByOther',
+  'getBoardLocks',
+  'getTextSession',
+  'joinTextSession',
+  'leaveTextSession',
+  'leaveConnectionTextSessions',
+  'closeTextSession',
+  'applyTextOperation',
+  'setTextCaret',
+];
+
+// A text session as sent to clients. clientSeq tells the client the last of
+// its own operations the text includes.
+const describeSession = (session, clientId = null) => ({
+  elementId: session.elementId,
+  text: session.text,
+  version: session.version,
+  clientSeq: clientId ? textSessions.getAppliedSeq(session.boardId, session.elementId, clientId) : 0,
+  carets: textSessions.getCarets(session),
+});
+
+// onLockExpired(boardId, elementId) runs when a lock times out
+const createCollaborationState = ({ onLockExpired } = {}) => ({
+  acquireLock: (boardId, elementId, userId, user) => elementLocks.acquireLock(boardId, elementId, userId, user, (expiredId) => {
+    if (onLockExpired) onLockExpired(boardId, expiredId);
+  }),
+  refreshLock: elementLocks.refreshLock,
+  releaseLock: (boardId, elementId, userId, force = false) => elementLocks.releaseLock(boardId, elementId, userId, force),
+  releaseUserLocks: elementLocks.releaseUserLocks,
+  getLockHeldByOther: elementLocks.getLockHeldByOther,
+  getBoardLocks: elementLocks.getBoardLocks,
+
+  getTextSession(boardId, elementId) {
+    const session = textSessions.getSession(boardId, elementId);
+    return session ? describeSession(session) : null;
+  },
+
+  // participant: { connectionId, userId, user, clientId, origin }, where origin
+  // is the process the connection is on
+  joinTextSession: (boardId, elementId, participant, initialText = '') => describeSession(
+    textSessions.joinSession(boardId, elementId, participant, initialText || ''),
+    participant.clientId
+  ),
+  leaveTextSession: textSessions.leaveSession,
+  leaveConnectionTextSessions: textSessions.leaveConnectionSessions,
+  closeTextSession: textSessions.closeSession,
+
+  // operation: { version, op, clientId, seq }. Resolves to { applied: { op,
+  // version, text } }, or to { error, session } when the connection is not
+  // editing the element or is out of step with it
+  applyTextOperation(boardId, elementId, connectionId, { version, op, clientId = null, seq = null }) {
+    const session = textSessions.getSession(boardId, elementId);
+    if (!session || !session.participants.has(connectionId)) {
+      return { error: 'not-editing', session: null };
+    }
+
+    try {
+      const applied = textSessions.applyOperation(session, version, op, clientId, seq);
+      return { applied: { ...applied, text: session.text } };
+    } catch (error) {
+      return { error: 'out-of-step', session: describeSession(session, clientId) };
+    }
+  },
+
+  // The caret position as stored, or null if the connection is not editing
+  setTextCaret(boardId, elementId, connectionId, position) {
+    const session = textSessions.getSession(boardId, elementId);
+    if (!session || !textSessions.setCaret(session, connectionId, position)) return null;
+    return session.participants.get(connectionId).caret;
+  },
+
+  // Forget the connections of a process that went away
+  leaveOrigin: textSessions.leaveOriginSessions,
+});
+
+module.exports = { METHODS, createCollaborationState };
@@ -0,0 +1,117 @@
+// Element lock tracking for real-time editing
+// Locks live in memory, grouped per board: boardId -> Map(elementId -> lock)
+const boardLocks = new Map();
+
+// Locks expire if the holder stops touching them (default 30 seconds)
+const LOCK_TIMEOUT = parseInt(process.env.ELEMENT_LOCK_TIMEOUT_MS) || 30 * 1000;
+
+// Strip the internal timer before sending a lock to clients
+const serializeLock = (elementId, lock) => ({
+  elementId,
+  lockedBy: lock.user,
+  timestamp: lock.lockedAt,
+  expiresAt: lock.expiresAt,
+});
+
+const scheduleExpiry = (boardId, elementId, lock, onExpire) => {
+  clearTimeout(lock.timer);
+  lock.expiresAt = new Date(Date.now() + LOCK_TIMEOUT);
+  lock.timer = setTimeout(() => {
+    const locks = boardLocks.get(boardId);
+    if (!locks || locks.get(elementId) !== lock) return;
+
+    locks.delete(elementId);
+    if (locks.size === 0) {
+      boardLocks.delete(boardId);
+    }
+
+    if (onExpire) onExpire(elementId, lock);
+  }, LOCK_TIMEOUT);
+};
+
+// Acquire (or refresh) a lock. Fails if another user holds it.
+const acquireLock = (boardId, elementId, userId, user, onExpire) => {
+  if (!boardLocks.has(boardId)) {
+    boardLocks.set(boardId, new Map());
+  }
+  const locks = boardLocks.get(boardId);
+  const existing = locks.get(elementId);
+
+  if (existing && existing.userId !== userId) {
+    return { success: false, lock: serializeLock(elementId, existing) };
+  }
+
+  const lock = existing || { userId, user, lockedAt: new Date() };
+  if (onExpire) lock.onExpire = onExpire;
+  scheduleExpiry(boardId, elementId, lock, lock.onExpire);
+  locks.set(elementId, lock);
+
+  return { success: true, lock: serializeLock(elementId, lock) };
+};
+
+// Push back the expiry of a lock the user already holds
+const refreshLock = (boardId, elementId, userId) => {
+  const lock = boardLocks.get(boardId)?.get(elementId);
+  if (!lock || lock.userId !== userId) return false;
+
+  scheduleExpiry(boardId, elementId, lock, lock.onExpire);
+  return true;
+};
+
+// Release a lock. Only the holder can release it unless force is set.
+const releaseLock = (boardId, elementId, userId, force = false) => {
+  const locks = boardLocks.get(boardId);
+  const lock = locks?.get(elementId);
+  if (!lock || (!force && lock.userId !== userId)) return false;
+
+  clearTimeout(lock.timer);
+  locks.delete(elementId);
+  if (locks.size === 0) {
+    boardLocks.delete(boardId);
+  }
+  return true;
+};
+
+// Release every lock a user holds on a board, returning the freed element ids
+const releaseUserLocks = (boardId, userId) => {
+  const locks = boardLocks.get(boardId);
+  if (!locks) return [];
+
+  const released = [];
+  locks.forEach((lock, elementId) => {
+    if (lock.userId === userId) {
+      clearTimeout(lock.timer);
+      locks.delete(elementId);
+      released.push(elementId);
+    }
+  });
+
+  if (locks.size === 0) {
+    boardLocks.delete(boardId);
+  }
+  return released;
+};
+
+// Return the lock held by someone other than userId, if any
+const getLockHeldByOther = (boardId, elementId, userId) => {
+  const lock = boardLocks.get(boardId)?.get(elementId);
+  if (!lock || lock.userId === userId) return null;
+  return serializeLock(elementId, lock);
+};
+
+// All current locks for a board, ready to send to clients
+const getBoardLocks = (boardId) => {
+  const locks = boardLocks.get(boardId);
+  if (!locks) return [];
+  return Array.from(locks.entries()).map(([elementId, lock]) => serializeLock(elementId, lock));
+};
+
+module.exports = {
+  LOCK_TIMEOUT,
+  acquireLock,
+  refreshLock,
+  releaseLock,
+  releaseUserLocks,
+  getLockHeldByOther,
+  getBoardLocks,
+};
@@ -0,0 +1,31 @@
+// Guests: people on a board through a share link, without an account
+// Each guest connection gets a generated display name and cursor color. Guest
+// ids are never written to the database; edits they make are saved without an
+// author.
+const crypto = require('crypto');
+
+const ADJECTIVES = ['Swift', 'Quiet', 'Bright', 'Curious', 'Bold', 'Calm', 'Clever', 'Gentle', 'Lucky', 'Sunny'];
+const ANIMALS = ['Otter', 'Falcon', 'Panda', 'Fox', 'Heron', 'Koala', 'Lynx', 'Owl', 'Seal', 'Tiger'];
+const COLORS = ['#EF4444', '#F97316', '#EAB308', '#22C55E', '#14B8A6', '#3B82F6', '#8B5CF6', '#EC4899'];
+
+const pick = (list) => list[crypto.randomInt(list.length)];
+
+// Build the user object a guest socket carries in place of a User document
+const createGuestUser = () => {
+  const name = `${pick(ADJECTIVES)} ${pick(ANIMALS)}`;
+  return {
+    _id: `guest:${crypto.randomBytes(8).toString('hex')}`,
+    name,
+    email: null,
+    avatar: null,
+    color: pick(COLORS),
+    isGuest: true,
+    getInitials() {
+      return name.split(' ').map(word => word[0]).join('');
+    },
+  };
+};
+
+module.exports = {
+  createGuestUser,
+};
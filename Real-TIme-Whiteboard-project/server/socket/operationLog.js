@@ -0,0 +1,55 @@
+// Bounded per-board log of element operations, keyed by board version
+// Lets a reconnecting client catch up on what it missed instead of reloading
+// boardId -> { floorVersion, operations: [{ boardVersion, event, payload }] }
+const boardLogs = new Map();
+
+// How many operations to keep per board before the oldest are dropped
+const MAX_OPERATIONS = parseInt(process.env.BOARD_OPLOG_SIZE) || 500;
+
+// Record an operation that moved the board to boardVersion
+const recordOperation = (boardId, boardVersion, event, payload) => {
+  if (!boardLogs.has(boardId)) {
+    // Anyone who saw the version just before this one can be caught up
+    boardLogs.set(boardId, { floorVersion: boardVersion - 1, operations: [] });
+  }
+  const log = boardLogs.get(boardId);
+
+  log.operations.push({ boardVersion, event, payload });
+
+  if (log.operations.length > MAX_OPERATIONS) {
+    const dropped = log.operations.shift();
+    log.floorVersion = dropped.boardVersion;
+  }
+};
+
+// Forget the history of a board after a change that cannot be replayed
+// element by element (e.g. a full canvas save)
+const resetLog = (boardId, boardVersion) => {
+  boardLogs.set(boardId, { floorVersion: boardVersion, operations: [] });
+};
+
+// Operations after sinceVersion, or null if the client needs a full snapshot
+const getOperationsSince = (boardId, sinceVersion, currentVersion) => {
+  if (sinceVersion === currentVersion) return [];
+  if (sinceVersion > currentVersion) return null;
+
+  const log = boardLogs.get(boardId);
+  if (!log || sinceVersion < log.floorVersion) return null;
+
+  const missed = log.operations.filter(op => op.boardVersion > sinceVersion);
+
+  // Versions can also move through paths that are not logged (REST edits,
+  // settings changes); only replay when the log covers every step
+  const isContiguous = missed.every((op, index) => op.boardVersion === sinceVersion + index + 1);
+  const reachesCurrent = missed.length > 0 && missed[missed.length - 1].boardVersion === currentVersion;
+  if (!isContiguous || !reachesCurrent) return null;
+
+  return missed;
+};
+
+module.exports = {
+  MAX_OPERATIONS,
+  recordOperation,
+  resetLog,
+  getOperationsSince,
+};
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_OPERATIONS, recordOperation, resetLog, getOperationsSince } = require('./operationLog');
+
+// Log one operation per version from first to last, inclusive
+const recordVersions = (boardId, first, last) => {
+  for (let version = first; version <= last; version++) {
+    recordOperation(boardId, version, 'element-update', { element: { id: `e${version}` } });
+  }
+};
+
+const versionsOf = (operations) => operations.map(op => op.boardVersion);
+
+test('a client on the current version has nothing to catch up on', () => {
+  assert.deepEqual(getOperationsSince('up-to-date', 7, 7), []);
+});
+
+test('a client behind gets every operation after its version, in order', () => {
+  recordVersions('behind', 1, 5);
+  assert.deepEqual(versionsOf(getOperationsSince('behind', 2, 5)), [3, 4, 5]);
+  assert.deepEqual(versionsOf(getOperationsSince('behind', 0, 5)), [1, 2, 3, 4, 5]);
+});
+
+test('a client ahead of the server or on an unknown board needs a snapshot', () => {
+  recordVersions('ahead', 1, 3);
+  assert.equal(getOperationsSince('ahead', 4, 3), null);
+  assert.equal(getOperationsSince('never-logged', 1, 3), null);
+});
+
+test('a version the log did not record means a snapshot', () => {
+  // Version 4 came from a REST edit that was not logged
+  recordVersions('gap', 1, 3);
+  recordVersions('gap', 5, 6);
+  assert.equal(getOperationsSince('gap', 1, 6), null);
+  // Past the gap the log is complete again
+  assert.deepEqual(versionsOf(getOperationsSince('gap', 4, 6)), [5, 6]);
+});
+
+test('a log that stops short of the current version means a snapshot', () => {
+  recordVersions('short', 1, 3);
+  assert.equal(getOperationsSince('short', 1, 4), null);
+});
+
+test('a reset log only catches up from the version it was reset at', () => {
+  recordVersions('reset', 1, 3);
+  resetLog('reset', 4);
+  recordVersions('reset', 5, 6);
+  assert.equal(getOperationsSince('reset', 2, 6), null);
+  assert.deepEqual(versionsOf(getOperationsSince('reset', 4, 6)), [5, 6]);
+});
+
+test('versions dropped from the front of the log mean a snapshot', () => {
+  recordVersions('trimmed', 1, MAX_OPERATIONS + 10);
+  const current = MAX_OPERATIONS + 10;
+  assert.equal(getOperationsSince('trimmed', 5, current), null);
+  assert.equal(getOperationsSince('trimmed', 10, current).length, MAX_OPERATIONS);
+});
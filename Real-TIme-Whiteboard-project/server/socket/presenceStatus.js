@@ -0,0 +1,44 @@
+// Idle and away detection for board presence
+// Clients send a heartbeat saying whether the person touched the board since
+// the last one, and anything they send on the board counts as activity too.
+// A connection goes idle after a while without activity and away after longer,
+// or as soon as its heartbeats stop arriving (a laptop that went to sleep).
+
+// Most present first; a user with several tabs shows their most present one
+const STATUSES = ['active', 'idle', 'away'];
+
+// No activity for this long (default 2 minutes) makes a connection idle,
+// and for this long (default 10 minutes) away
+const IDLE_AFTER = parseInt(process.env.PRESENCE_IDLE_AFTER_MS) || 2 * 60 * 1000;
+const AWAY_AFTER = parseInt(process.env.PRESENCE_AWAY_AFTER_MS) || 10 * 60 * 1000;
+
+// Clients beat every 20 seconds; three missed beats and the connection is away
+const HEARTBEAT_TIMEOUT = parseInt(process.env.PRESENCE_HEARTBEAT_TIMEOUT_MS) || 60 * 1000;
+
+// How often connections are checked for status changes
+const SWEEP_INTERVAL = 5000;
+
+// Events that say nothing about whether the person is at the keyboard
+const PASSIVE_EVENTS = ['presence-heartbeat', 'join-board', 'leave-board'];
+
+const isActivityEvent = (event) => !PASSIVE_EVENTS.includes(event);
+
+// Status of a connection from when it was last active and last heard from
+const getStatus = ({ lastActiveAt, lastHeartbeatAt }, now = Date.now()) => {
+  if (now - lastHeartbeatAt >= HEARTBEAT_TIMEOUT) return 'away';
+
+  const quiet = now - lastActiveAt;
+  if (quiet >= AWAY_AFTER) return 'away';
+  if (quiet >= IDLE_AFTER) return 'idle';
+  return 'active';
+};
+
+// The most present of several statuses
+const mostPresent = (statuses) => STATUSES.find(status => statuses.includes(status)) || 'active';
+
+module.exports = {
+  SWEEP_INTERVAL,
+  isActivityEvent,
+  getStatus,
+  mostPresent,
+};
@@ -0,0 +1,148 @@
+// Private reveal mode for silent brainstorming
+// While a board is in private mode, each new sticky is kept for its author:
+// privateTo holds their presence id until the owner reveals everything. Anyone
+// else only gets a placeholder with the sticky's place, size and colours but
+// none of its text. The mode itself lives on the board document and is written
+// straight to the database, like the timer; hidden stickies are ordinary
+// elements and go through the working copy.
+const Board = require('../models/Board');
+const boardWorkingCopies = require('./boardWorkingCopies');
+
+const PRIVATE_ELEMENT_TYPES = ['sticky'];
+
+const isEnabled = (board) => Boolean(board?.privateMode?.enabled);
+
+// Whose a new element should be hidden for: its author's, if the board is in private mode
+const getPrivateAuthor = (board, element, authorId) => (
+  isEnabled(board) && PRIVATE_ELEMENT_TYPES.includes(element?.type) ? authorId : undefined
+);
+
+const isHiddenFrom = (element, viewerId) => Boolean(element?.privateTo) && element.privateTo !== viewerId;
+
+const toPlain = (element) => (typeof element?.toObject === 'function' ? element.toObject() : element);
+
+// An element as viewerId may see it; pass no viewer for someone who is not an author
+const redactElement = (element, viewerId = null) => (
+  isHiddenFrom(element, viewerId) ? { ...toPlain(element), text: '', redacted: true } : element
+);
+
+const redactElements = (elements, viewerId = null) => elements.map(element => redactElement(element, viewerId));
+
+// A socket event payload carrying an element and/or an element list, as viewerId may see it
+const redactPayload = (payload, viewerId = null) => ({
+  ...payload,
+  ...(payload.element && { element: redactElement(payload.element, viewerId) }),
+  ...(Array.isArray(payload.elements) && { elements: redactElements(payload.elements, viewerId) }),
+});
+
+// Authors of the hidden elements in a payload; empty if everyone may see all of it
+const getPayloadAuthors = (payload) => {
+  const authors = new Set();
+  [payload.element, ...(Array.isArray(payload.elements) ? payload.elements : [])].forEach(element => {
+    if (element?.privateTo) authors.add(element.privateTo);
+  });
+  return Array.from(authors);
+};
+
+// A full element list from viewerId, with the hidden elements they cannot change
+// put back: placeholders become the stored element again, and any left out are kept
+const keepHiddenElements = (storedElements, incoming, viewerId) => {
+  const hidden = storedElements.filter(element => isHiddenFrom(element, viewerId));
+  if (hidden.length === 0) return incoming;
+
+  const hiddenById = new Map(hidden.map(element => [String(element.id), element]));
+  const incomingIds = new Set(incoming.map(element => String(element.id)));
+
+  return [
+    ...incoming.map(element => {
+      const stored = hiddenById.get(String(element.id));
+      return stored ? toPlain(stored) : element;
+    }),
+    ...hidden.filter(element => !incomingIds.has(String(element.id))).map(toPlain),
+  ];
+};
+
+// Replace a board's elements with a full list from viewerId. Stickies hidden from
+// them are kept as stored, and new stickies are hidden while in private mode.
+// Returns the conflicts from board.replaceElements; nothing changes if there are any.
+const replaceElements = (board, incoming, viewerId, userId) => {
+  const existingIds = new Set(board.elements.map(element => String(element.id)));
+  const { conflicts } = board.replaceElements(keepHiddenElements(board.elements, incoming, viewerId), userId);
+  if (conflicts.length > 0) return { conflicts };
+
+  board.elements.forEach(element => {
+    if (!existingIds.has(String(element.id))) {
+      element.privateTo = getPrivateAuthor(board, element, viewerId);
+    }
+  });
+  return { conflicts };
+};
+
+const toClientPrivateMode = (privateMode) => ({
+  enabled: Boolean(privateMode?.enabled),
+  startedBy: privateMode?.enabled ? privateMode.startedBy : null,
+  startedAt: privateMode?.enabled ? privateMode.startedAt : null,
+});
+
+// Keep a loaded working copy in step with a change written to the database
+const mirrorOnWorkingCopy = (boardId, privateMode) => {
+  const board = boardWorkingCopies.getLoadedBoard(boardId);
+  if (board) board.privateMode = privateMode;
+};
+
+// Turn private mode on. Resolves to the new mode, or null if it already was on.
+const startPrivateMode = async (boardId, startedBy) => {
+  const privateMode = { enabled: true, startedBy, startedAt: new Date() };
+  const result = await Board.updateOne(
+    { _id: boardId, 'privateMode.enabled': { $ne: true } },
+    { $set: { privateMode } },
+    { timestamps: false }
+  );
+  if (result.modifiedCount === 0) return null;
+
+  mirrorOnWorkingCopy(boardId, privateMode);
+  return privateMode;
+};
+
+// Turn private mode off and show every hidden element to everyone. Only the first
+// process to get there makes the change. Resolves to the board and the elements
+// revealed, or null if the board was not in private mode.
+const revealPrivateElements = async (boardId, revealedBy) => {
+  const result = await Board.updateOne(
+    { _id: boardId, 'privateMode.enabled': true },
+    { $set: { privateMode: { enabled: false } } },
+    { timestamps: false }
+  );
+  if (result.modifiedCount === 0) return null;
+  mirrorOnWorkingCopy(boardId, { enabled: false });
+
+  const board = await boardWorkingCopies.getBoard(boardId);
+  if (!board) return null;
+
+  const revealed = board.elements.filter(element => element.privateTo);
+  revealed.forEach(element => {
+    element.privateTo = undefined;
+    element.revision = (element.revision || 1) + 1;
+    element.updatedAt = new Date();
+  });
+  if (revealed.length > 0) {
+    await boardWorkingCopies.recordEdit(board, revealedBy);
+    await boardWorkingCopies.flushBoard(boardId);
+  }
+
+  return { board, revealed };
+};
+
+module.exports = {
+  isEnabled,
+  getPrivateAuthor,
+  isHiddenFrom,
+  redactElement,
+  redactElements,
+  redactPayload,
+  getPayloadAuthors,
+  replaceElements,
+  toClientPrivateMode,
+  startPrivateMode,
+  revealPrivateElements,
+};
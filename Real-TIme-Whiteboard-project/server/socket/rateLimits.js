@@ -0,0 +1,93 @@
+// Per-connection rate limits for incoming socket events
+// Each socket gets a token bucket per event type. Events over the limit are
+// dropped; a socket that keeps going over it is warned and then disconnected.
+
+// Events per second allowed for each event type. Bursts of up to twice the
+// rate are let through, so short flurries (a fast drag) are not cut off.
+const DEFAULT_RATES = {
+  'cursor-move': 60,
+  'canvas-update': 30,
+  'element-update': 30,
+  'text-operation': 50,
+  'text-caret': 30,
+  'viewport-change': 20,
+  'selection-change': 20,
+  'drawing-start': 10,
+  'drawing-end': 10,
+  'ink-start': 10,
+  'ink-points': 30,
+  'ink-end': 10,
+  'chat-send': 5,
+  'chat-typing': 5,
+  'reaction': 5,
+  'vote-cast': 10,
+  'vote-retract': 10,
+};
+
+const DEFAULT_RATE = parseInt(process.env.SOCKET_RATE_LIMIT_DEFAULT) || 20;
+
+// Overrides as "event=rate" pairs, e.g. SOCKET_RATE_LIMITS=cursor-move=30,canvas-update=10
+const parseRates = (value = '') => value.split(',').reduce((rates, pair) => {
+  const [event, rate] = pair.split('=').map(part => part.trim());
+  if (event && parseFloat(rate) > 0) rates[event] = parseFloat(rate);
+  return rates;
+}, {});
+
+const RATES = { ...DEFAULT_RATES, ...parseRates(process.env.SOCKET_RATE_LIMITS) };
+
+// A socket is disconnected after this many warnings inside the warning window
+const MAX_WARNINGS = parseInt(process.env.SOCKET_RATE_LIMIT_MAX_WARNINGS) || 3;
+const WARNING_WINDOW = 60 * 1000;
+
+// At most one warning per event type per second, however many events were dropped
+const WARNING_INTERVAL = 1000;
+
+// Cursor positions are relayed at most once per tick (default 50ms, 20 per second)
+const CURSOR_TICK_MS = parseInt(process.env.CURSOR_TICK_MS) || 50;
+
+const getRate = (event) => RATES[event] || DEFAULT_RATE;
+
+// Create the limiter for one socket
+const createRateLimiter = () => {
+  const buckets = new Map(); // event -> { tokens, updatedAt, warnedAt }
+  let warnings = [];
+
+  // Take one token for an event; false when the socket is over its limit
+  const consume = (event) => {
+    const rate = getRate(event);
+    const now = Date.now();
+    let bucket = buckets.get(event);
+    if (!bucket) {
+      bucket = { tokens: rate * 2, updatedAt: now, warnedAt: 0 };
+      buckets.set(event, bucket);
+    }
+
+    bucket.tokens = Math.min(rate * 2, bucket.tokens + ((now - bucket.updatedAt) / 1000) * rate);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+  };
+
+  // Note a dropped event. Returns 'warn' when the client should be told,
+  // 'disconnect' once it has ignored too many warnings, or null otherwise.
+  const recordViolation = (event) => {
+    const now = Date.now();
+    const bucket = buckets.get(event);
+    if (now - bucket.warnedAt < WARNING_INTERVAL) return null;
+    bucket.warnedAt = now;
+
+    warnings = warnings.filter(warnedAt => now - warnedAt < WARNING_WINDOW);
+    warnings.push(now);
+    return warnings.length > MAX_WARNINGS ? 'disconnect' : 'warn';
+  };
+
+  return { consume, recordViolation };
+};
+
+module.exports = {
+  CURSOR_TICK_MS,
+  getRate,
+  createRateLimiter,
+};
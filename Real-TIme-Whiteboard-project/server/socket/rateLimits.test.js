@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter, getRate } = require('./rateLimits');
+
+// Take tokens until the bucket refuses one, returning how many were let through
+const drain = (limiter, event) => {
+  let allowed = 0;
+  while (limiter.consume(event)) allowed++;
+  return allowed;
+};
+
+test('a fresh bucket lets a burst of twice the rate through', (t) => {
+  t.mock.method(Date, 'now', () => 1000);
+  const limiter = createRateLimiter();
+  assert.equal(drain(limiter, 'chat-send'), getRate('chat-send') * 2);
+});
+
+test('tokens come back at the event rate and never above the burst', (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const limiter = createRateLimiter();
+  const rate = getRate('canvas-update');
+  drain(limiter, 'canvas-update');
+
+  now += 500;
+  assert.equal(drain(limiter, 'canvas-update'), rate / 2);
+
+  now += 60 * 1000;
+  assert.equal(drain(limiter, 'canvas-update'), rate * 2);
+});
+
+test('each event type has its own bucket', (t) => {
+  t.mock.method(Date, 'now', () => 1000);
+  const limiter = createRateLimiter();
+  drain(limiter, 'chat-send');
+  assert.equal(limiter.consume('chat-send'), false);
+  assert.equal(limiter.consume('reaction'), true);
+});
+
+test('events without a configured rate use the default rate', () => {
+  assert.equal(getRate('not-configured'), getRate('another-unknown'));
+  assert.ok(getRate('not-configured') > 0);
+});
+
+test('dropped events warn at most once a second, then disconnect', (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const limiter = createRateLimiter();
+  drain(limiter, 'chat-send');
+
+  assert.equal(limiter.recordViolation('chat-send'), 'warn');
+  assert.equal(limiter.recordViolation('chat-send'), null);
+
+  now += 1000;
+  assert.equal(limiter.recordViolation('chat-send'), 'warn');
+  now += 1000;
+  assert.equal(limiter.recordViolation('chat-send'), 'warn');
+  now += 1000;
+  assert.equal(limiter.recordViolation('chat-send'), 'disconnect');
+});
+
+test('warnings older than a minute are forgotten', (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const limiter = createRateLimiter();
+  drain(limiter, 'chat-send');
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal(limiter.recordViolation('chat-send'), 'warn');
+    now += 1000;
+  }
+
+  now += 60 * 1000;
+  assert.equal(limiter.recordViolation('chat-send'), 'warn');
+});
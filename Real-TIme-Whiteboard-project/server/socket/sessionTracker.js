@@ -0,0 +1,184 @@
+// Collaboration sessions recorded from the socket lifecycle
+// A Session is opened when a user's first tab joins a board and ended when
+// their last tab leaves, on whichever server process that happens. Activities
+// are buffered and written in batches, like board edits. Guests have no
+// account to file a Session under, so nothing is recorded for them.
+// `${boardId}:${userId}` -> { boardId, userId, activities, timer }
+const crypto = require('crypto');
+const Board = require('../models/Board');
+const Session = require('../models/Session');
+
+const buffers = new Map();
+
+// Session changes for one user and board run in order, so a quick join and
+// leave cannot race each other; board stat writes are ordered per board
+const queues = new Map();
+const boardQueues = new Map();
+
+// Sessions opened on this process, ended on shutdown
+const opened = new Set();
+
+// Write buffered activities this long after the first one (default 5 seconds)
+const ACTIVITY_FLUSH_DELAY = parseInt(process.env.SESSION_ACTIVITY_FLUSH_MS) || 5000;
+
+// Sessions keep their most recent activities only
+const MAX_ACTIVITIES = 1000;
+
+const sessionKey = (boardId, userId) => `${boardId}:${userId}`;
+
+const enqueue = (map, key, task) => {
+  const run = (map.get(key) || Promise.resolve())
+    .then(task)
+    .catch(error => console.error('Error tracking session:', error));
+  map.set(key, run);
+  run.then(() => {
+    if (map.get(key) === run) map.delete(key);
+  });
+  return run;
+};
+
+const getDeviceType = (userAgent = '') => {
+  if (/iPad|Tablet/i.test(userAgent)) return 'tablet';
+  if (/Mobi|Android/i.test(userAgent)) return 'mobile';
+  return 'desktop';
+};
+
+// Change a board's active users and session stats. Two of these landing on
+// the same document at once can trip Mongoose's version check; try once more.
+const updateBoardStats = (boardId, change) => enqueue(boardQueues, boardId, async () => {
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    const board = await Board.findById(boardId);
+    if (!board) return;
+    try {
+      await change(board);
+      return;
+    } catch (error) {
+      if (error.name !== 'VersionError' || attempt > 0) throw error;
+    }
+  }
+});
+
+// Minutes each other user spent on the board while this session was open
+const getOverlaps = async (session, endTime) => {
+  const others = await Session.find({
+    board: session.board,
+    user: { $ne: session.user },
+    startTime: { $lt: endTime },
+    $or: [{ isActive: true }, { endTime: { $gt: session.startTime } }],
+  }).select('user startTime endTime isActive');
+
+  const overlaps = new Map();
+  others.forEach(other => {
+    const from = Math.max(session.startTime, other.startTime);
+    const to = Math.min(endTime, other.isActive ? endTime : other.endTime);
+    if (to <= from) return;
+
+    const userId = other.user.toString();
+    overlaps.set(userId, (overlaps.get(userId) || 0) + (to - from));
+  });
+
+  return Array.from(overlaps, ([user, ms]) => ({
+    user,
+    overlappedTime: Math.round(ms / 600) / 100, // in minutes, to two decimals
+  }));
+};
+
+const flushActivities = async (key) => {
+  const buffer = buffers.get(key);
+  if (!buffer) return;
+
+  clearTimeout(buffer.timer);
+  buffers.delete(key);
+  if (buffer.activities.length === 0) return;
+
+  await Session.updateOne(
+    { user: buffer.userId, board: buffer.boardId, isActive: true },
+    {
+      $push: { activities: { $each: buffer.activities, $slice: -MAX_ACTIVITIES } },
+      $set: { lastActivity: buffer.activities[buffer.activities.length - 1].timestamp },
+    }
+  );
+};
+
+// Open a Session for a user's first tab on a board
+const openSession = (boardId, userId, { color, userAgent, ipAddress } = {}) => {
+  if (!userId) return Promise.resolve();
+  const key = sessionKey(boardId, userId);
+  opened.add(key);
+
+  return enqueue(queues, key, async () => {
+    // Sessions still open here were left behind by a crash or restart
+    const stale = await Session.find({ user: userId, board: boardId, isActive: true });
+    await Promise.all(stale.map(session => session.endSession(session.lastActivity)));
+
+    await Session.create({
+      user: userId,
+      board: boardId,
+      sessionId: crypto.randomUUID(),
+      activities: [{ action: 'board_viewed' }],
+      metadata: { userAgent, ipAddress, deviceType: getDeviceType(userAgent) },
+    });
+
+    await updateBoardStats(boardId, board => board.addActiveUser(userId, { color }));
+  });
+};
+
+// Note something a user did; consecutive updates to one element count once
+const recordActivity = (boardId, userId, action, details = {}) => {
+  if (!userId) return;
+  const key = sessionKey(boardId, userId);
+
+  if (!buffers.has(key)) {
+    buffers.set(key, { boardId, userId, activities: [], timer: null });
+  }
+  const buffer = buffers.get(key);
+
+  const last = buffer.activities[buffer.activities.length - 1];
+  if (action === 'element_updated' && last?.action === action && last.details.elementId === details.elementId) {
+    last.timestamp = new Date();
+    return;
+  }
+
+  buffer.activities.push({ action, details, timestamp: new Date() });
+
+  if (buffer.activities.length >= MAX_ACTIVITIES) {
+    enqueue(queues, key, () => flushActivities(key));
+  } else if (!buffer.timer) {
+    buffer.timer = setTimeout(() => {
+      enqueue(queues, key, () => flushActivities(key));
+    }, ACTIVITY_FLUSH_DELAY);
+  }
+};
+
+// End a user's Session once their last tab has left the board
+const closeSession = (boardId, userId) => {
+  if (!userId) return Promise.resolve();
+  const key = sessionKey(boardId, userId);
+  opened.delete(key);
+
+  return enqueue(queues, key, async () => {
+    await flushActivities(key);
+
+    const session = await Session.findOne({ user: userId, board: boardId, isActive: true });
+    if (!session) return;
+
+    const endTime = new Date();
+    session.collaborators = await getOverlaps(session, endTime);
+    await session.endSession(endTime);
+
+    await updateBoardStats(boardId, board => board.removeActiveUser(userId));
+  });
+};
+
+// End every Session opened on this process, used on server shutdown
+const closeAll = () => Promise.all(Array.from(opened, key => {
+  const [boardId, userId] = key.split(':');
+  return closeSession(boardId, userId);
+}));
+
+module.exports = {
+  openSession,
+  recordActivity,
+  closeSession,
+  closeAll,
+};
@@ -1,16 +1,89 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Board = require('../models/Board');
-
-// Store active users and their board connections
-const activeUsers = new Map();
+const ChatMessage = require('../models/ChatMessage');
+const VotingSession = require('../models/VotingSession');
+const operationLog = require('./operationLog');
+const boardEvents = require('./boardEvents');
+const boardWorkingCopies = require('./boardWorkingCopies');
+const validation = require('./validation');
+const rateLimits = require('./rateLimits');
+const guests = require('./guests');
+const sessionTracker = require('./sessionTracker');
+const presenceStatus = require('./presenceStatus');
+const boardTimers = require('./boardTimers');
+const boardHistory = require('./boardHistory');
+const privateElements = require('./privateElements');
+const { createRealtimeAdapter } = require('./adapters');
+
+// Store socket connections and the boards they are in on this process;
+// the presence adapter shares them with any other server processes.
+// A user with several tabs open has one connection per tab.
+const connections = new Map();
 const boardRooms = new Map();
 
+// Room holding every tab one user has open on a board, on any server process;
+// private state such as their own votes or hidden stickies is sent there
+const userRoom = (boardId, userId) => `${boardId}:user:${userId}`;
+
+// Group connections into one entry per user, with how many are open and
+// the presence status of their most present tab
+const aggregateUsers = (userConnections) => {
+  const users = new Map();
+  userConnections.forEach(data => {
+    const existing = users.get(data.userId);
+    if (!existing) {
+      users.set(data.userId, { ...data, selection: [...(data.selection || [])], connections: 1 });
+      return;
+    }
+    existing.connections += 1;
+    existing.status = presenceStatus.mostPresent([existing.status, data.status]);
+    existing.lastActiveAt = Math.max(existing.lastActiveAt || 0, data.lastActiveAt || 0);
+    (data.selection || []).forEach(elementId => {
+      if (!existing.selection.includes(elementId)) existing.selection.push(elementId);
+    });
+  });
+  return Array.from(users.values());
+};
+
+// Guests come in with a share link instead of an account; they only ever
+// reach the board that link belongs to
+const authenticateGuest = async (socket, next) => {
+  try {
+    const board = await Board.findOne({ 'shareLinks.token': socket.shareToken, deletedAt: null });
+    if (!board || !board.findActiveShareLink(socket.shareToken)) {
+      return next(new Error('Invalid or expired share link'));
+    }
+
+    if (board.settings.allowGuests === false) {
+      return next(new Error('Guests are not allowed on this board'));
+    }
+
+    const guest = guests.createGuestUser();
+    socket.userId = guest._id;
+    socket.accountId = null; // nothing a guest does is stored under their id
+    socket.isGuest = true;
+    socket.user = guest;
+    next();
+  } catch (error) {
+    next(new Error('Invalid share link'));
+  }
+};
+
 // Socket.IO middleware for authentication
 const authenticateSocket = async (socket, next) => {
   try {
-    const token = socket.handshake.auth.token;
+    const { token, shareToken } = socket.handshake.auth;
+
+    // A share link can also let signed-in users into a board they are not a member of
+    socket.shareToken = typeof shareToken === 'string' ? shareToken : null;
+
     if (!token) {
+      if (socket.shareToken) {
+        return authenticateGuest(socket, next);
+      }
       return next(new Error('Authentication required'));
     }
 
@@ -22,6 +95,8 @@ const authenticateSocket = async (socket, next) => {
     }
 
     socket.userId = user._id.toString();
+    socket.accountId = socket.userId;
+    socket.isGuest = false;
     socket.user = user;
     next();
   } catch (error) {
@@ -30,86 +105,386 @@ const authenticateSocket = async (socket, next) => {
 };
 
 module.exports = (io) => {
+  const presence = createRealtimeAdapter();
+  presence.attach(io);
+
+  // Working copies cannot be shared between processes, so write edits through
+  boardWorkingCopies.configure({ writeThrough: presence.isDistributed });
+
+  // Element locks and text sessions, shared by every server process
+  const { collaboration } = presence;
+
+  presence.onLockExpired((boardId, elementId) => {
+    io.to(boardId).emit('element-unlocked', {
+      elementId,
+      reason: 'expired',
+      timestamp: new Date()
+    });
+  });
+
   io.use(authenticateSocket);
 
+  // Whether a socket's user has another tab open in a board, on any server process
+  const hasOtherConnectionInBoard = (userSocket, boardId) => presence.getBoardConnections(boardId)
+    .some(data => data.userId === userSocket.userId && data.socketId !== userSocket.id);
+
+  const getBoardUsers = (boardId) => aggregateUsers(presence.getBoardConnections(boardId));
+
+  // Stop any text editing sessions a tab was part of on a board
+  const leaveTextSessions = (userSocket, boardId) => collaboration.leaveConnectionTextSessions(boardId, userSocket.id)
+    .then(elementIds => elementIds.forEach(elementId => {
+      userSocket.to(boardId).emit('text-caret-removed', {
+        elementId,
+        connectionId: userSocket.id,
+        userId: userSocket.userId
+      });
+    }))
+    .catch(error => console.error('Error leaving text sessions:', error));
+
+  // Release every element lock a user holds on a board
+  const releaseUserLocks = (boardId, userId, details) => collaboration.releaseUserLocks(boardId, userId)
+    .then(elementIds => elementIds.forEach(elementId => {
+      io.to(boardId).emit('element-unlocked', {
+        elementId,
+        ...details,
+        timestamp: new Date()
+      });
+    }))
+    .catch(error => console.error('Error releasing element locks:', error));
+
+  // Text edits of an element are written one after the other, so acks and
+  // relays go out in version order
+  const textWrites = new Map();
+  const persistTextInOrder = (boardId, elementId, task) => {
+    const key = `${boardId}:${elementId}`;
+    const run = (textWrites.get(key) || Promise.resolve())
+      .then(task)
+      .catch(error => console.error('Error saving element text:', error));
+    textWrites.set(key, run);
+    run.then(() => {
+      if (textWrites.get(key) === run) textWrites.delete(key);
+    });
+  };
+
+  // Helper function to handle a connection leaving a board. The user only
+  // leaves for everyone else once their last tab in the board is gone.
+  function handleUserLeaveBoard(socket, boardId) {
+    const userData = connections.get(socket.id);
+
+    // Stop any text editing sessions this tab was part of
+    leaveTextSessions(socket, boardId);
+
+    // Remove from board room tracking
+    if (boardRooms.has(boardId)) {
+      boardRooms.get(boardId).delete(socket.id);
+      if (boardRooms.get(boardId).size === 0) {
+        boardRooms.delete(boardId);
+        // Nobody left editing: write the working copy out and drop it
+        boardWorkingCopies.releaseBoard(boardId).catch(error => {
+          console.error('Error releasing board:', error);
+        });
+      }
+    }
+
+    // Leave socket rooms
+    socket.leave(boardId);
+    socket.leave(userRoom(boardId, socket.userId));
+
+    // Clear this connection's current board
+    if (userData) {
+      userData.currentBoard = null;
+      userData.selection = [];
+      userData.viewport = null;
+      presence.setConnection(socket.id, userData);
+    }
+
+    if (!hasOtherConnectionInBoard(socket, boardId)) {
+      // Their collaboration session on the board is over
+      sessionTracker.closeSession(boardId, socket.accountId);
+
+      // Release any element locks the user was holding
+      releaseUserLocks(boardId, socket.userId, { unlockedBy: userData?.user, reason: 'user-left' });
+
+      // Notify other users
+      io.to(boardId).emit('user-left', {
+        userId: socket.userId,
+        user: userData?.user,
+        timestamp: new Date(),
+      });
+    }
+
+    // Update active users list for remaining users
+    const usersInBoard = getBoardUsers(boardId);
+    if (usersInBoard.length > 0) {
+      io.to(boardId).emit('active-users-updated', usersInBoard);
+    }
+  }
+
+  // Tell everyone on a board that its timer ran out
+  const announceTimerEnd = (boardId, timer) => {
+    io.to(boardId).emit('timer-updated', { boardId, timer: boardTimers.toClientTimer(timer), finished: true });
+  };
+
+  // Send an event carrying elements to a board, leaving out the given sockets.
+  // Stickies hidden in private mode go in full only to their author's tabs;
+  // everyone else gets placeholders.
+  const emitElementsToBoard = (boardId, event, payload, except = []) => {
+    const authors = privateElements.getPayloadAuthors(payload);
+    if (authors.length === 0) {
+      io.to(boardId).except(except).emit(event, payload);
+      return;
+    }
+
+    authors.forEach(author => {
+      io.to(userRoom(boardId, author)).except(except).emit(event, privateElements.redactPayload(payload, author));
+    });
+    io.to(boardId)
+      .except([...except, ...authors.map(author => userRoom(boardId, author))])
+      .emit(event, privateElements.redactPayload(payload));
+  };
+
+  // Helper function to move a connection between active, idle and away,
+  // telling its board when that changes
+  function refreshPresenceStatus(userData) {
+    const status = presenceStatus.getStatus(userData);
+    if (status === userData.status) return;
+
+    userData.status = status;
+    presence.setConnection(userData.socketId, userData);
+
+    if (userData.currentBoard) {
+      io.to(userData.currentBoard).emit('active-users-updated', getBoardUsers(userData.currentBoard));
+    }
+  }
+
+  // Connections drift to idle and away without sending anything, so check them regularly
+  setInterval(() => {
+    connections.forEach(refreshPresenceStatus);
+  }, presenceStatus.SWEEP_INTERVAL).unref();
+
   io.on('connection', (socket) => {
     console.log(`User ${socket.user.name} connected (${socket.userId})`);
 
-    // Store active user
-    activeUsers.set(socket.userId, {
+    // Store this connection
+    const connectedUser = {
       socketId: socket.id,
+      userId: socket.userId,
       user: {
         _id: socket.user._id,
         name: socket.user.name,
         email: socket.user.email,
         avatar: socket.user.avatar,
         initials: socket.user.getInitials(),
+        ...(socket.isGuest && { color: socket.user.color, isGuest: true }),
       },
       joinedAt: new Date(),
       currentBoard: null,
+      selection: [],
+      viewport: null,
+      status: 'active',
+      lastActiveAt: Date.now(),
+      lastHeartbeatAt: Date.now(),
+    };
+    connections.set(socket.id, connectedUser);
+    presence.setConnection(socket.id, connectedUser);
+
+    // Drop events over this socket's rate limits; warn, then disconnect repeat offenders
+    const rateLimiter = rateLimits.createRateLimiter();
+    socket.use(([event], next) => {
+      // Made-up event names share one bucket instead of each getting their own
+      const bucket = validation.isKnownEvent(event) ? event : 'unknown';
+      if (rateLimiter.consume(bucket)) {
+        next();
+        return;
+      }
+
+      const action = rateLimiter.recordViolation(bucket);
+      if (action === 'warn') {
+        socket.emit('rate-limited', {
+          event,
+          limit: rateLimits.getRate(event),
+          message: `Too many ${event} events; some were dropped`,
+          timestamp: new Date()
+        });
+      } else if (action === 'disconnect') {
+        console.log(`Disconnecting ${socket.user.name} (${socket.userId}) for exceeding rate limits`);
+        socket.emit('error', { message: 'Disconnected for sending too many events', code: 'RATE_LIMITED' });
+        socket.disconnect(true);
+      }
+    });
+
+    // Check every incoming event against its schema; handlers only ever see
+    // the cleaned payload
+    socket.use((packet, next) => {
+      const [event, payload] = packet;
+      try {
+        packet[1] = validation.validateEvent(event, payload);
+        next();
+      } catch (error) {
+        if (!(error instanceof validation.ValidationError)) {
+          next(error);
+          return;
+        }
+        socket.emit('error', {
+          message: 'Invalid request',
+          event,
+          code: error.code,
+          errors: error.errors,
+        });
+      }
+    });
+
+    // Anything the person does on the board shows they are there
+    socket.use(([event], next) => {
+      if (presenceStatus.isActivityEvent(event)) {
+        markActive();
+      }
+      next();
     });
 
     // Join board room
     socket.on('join-board', async (data) => {
       try {
-        const { boardId } = data;
+        const { boardId, lastVersion } = data;
         
-        // Verify user has access to board
-        const board = await Board.findById(boardId);
+        // Verify user has access to board; boards in the trash cannot be joined
+        const board = await Board.findActive(boardId);
         if (!board) {
           socket.emit('error', { message: 'Board not found' });
           return;
         }
 
-        const access = board.hasAccess(socket.userId);
+        // Members get their own role; otherwise a share link can let them in,
+        // with no more than the link allows
+        let access = socket.isGuest ? { hasAccess: false, role: null } : board.hasAccess(socket.userId);
+        if (!access.hasAccess && socket.shareToken && !(socket.isGuest && board.settings.allowGuests === false)) {
+          access = board.getShareLinkAccess(socket.shareToken);
+        }
         if (!access.hasAccess) {
           socket.emit('error', { message: 'Access denied to board' });
           return;
         }
 
-        // Leave previous board room if any
-        if (activeUsers.get(socket.userId)?.currentBoard) {
-          socket.leave(activeUsers.get(socket.userId).currentBoard);
+        // Leave previous board if this tab was in another one
+        const previousBoard = connections.get(socket.id)?.currentBoard;
+        if (previousBoard && previousBoard !== boardId) {
+          handleUserLeaveBoard(socket, previousBoard);
         }
 
+        // Already in a board from one of their other tabs
+        const alreadyInBoard = hasOtherConnectionInBoard(socket, boardId);
+
         // Join new board room
         socket.join(boardId);
+        socket.join(userRoom(boardId, socket.userId));
         
-        // Update user's current board
-        const userData = activeUsers.get(socket.userId);
+        // Update this connection's current board
+        const userData = connections.get(socket.id);
         userData.currentBoard = boardId;
         userData.role = access.role;
-        activeUsers.set(socket.userId, userData);
-
-        // Add user to board room tracking
+        userData.selection = [];
+        userData.viewport = null;
+        userData.status = 'active';
+        userData.lastActiveAt = Date.now();
+        userData.lastHeartbeatAt = Date.now();
+        presence.setConnection(socket.id, userData);
+
+        // Add connection to board room tracking
         if (!boardRooms.has(boardId)) {
           boardRooms.set(boardId, new Set());
         }
-        boardRooms.get(boardId).add(socket.userId);
+        boardRooms.get(boardId).add(socket.id);
 
-        // Get current users in board
-        const usersInBoard = Array.from(boardRooms.get(boardId))
-          .map(userId => activeUsers.get(userId))
-          .filter(Boolean);
+        // Get current users in board, on every server process
+        const usersInBoard = getBoardUsers(boardId);
 
         // Notify all users in board about new user
-        socket.to(boardId).emit('user-joined', {
-          user: userData.user,
-          role: userData.role,
-          joinedAt: userData.joinedAt,
-        });
+        if (!alreadyInBoard) {
+          socket.to(boardId).emit('user-joined', {
+            user: userData.user,
+            role: userData.role,
+            joinedAt: userData.joinedAt,
+          });
+        }
+
+        // A user's first tab in the board starts their collaboration session
+        if (!alreadyInBoard && previousBoard !== boardId) {
+          sessionTracker.openSession(boardId, socket.accountId, {
+            userAgent: socket.handshake.headers['user-agent'],
+            ipAddress: socket.handshake.address,
+          });
+        }
+
+        // Edits may still be waiting in the working copy, so report its state
+        const workingBoard = await boardWorkingCopies.getBoard(boardId);
+        boardEvents.startStream(workingBoard);
 
         // Send current board state to new user
         socket.emit('board-joined', {
           boardId,
           role: access.role,
           activeUsers: usersInBoard,
+          lockedElements: await collaboration.getBoardLocks(boardId),
+          boardVersion: workingBoard.version,
           message: `Joined board successfully`,
         });
 
+        // A reconnecting client tells us the last version it saw: send only what it
+        // missed, or the full element list if the log no longer covers the gap
+        if (typeof lastVersion === 'number') {
+          const operations = operationLog.getOperationsSince(boardId, lastVersion, workingBoard.version);
+          socket.emit('board-resync', operations
+            ? {
+              boardId,
+              mode: 'replay',
+              fromVersion: lastVersion,
+              boardVersion: workingBoard.version,
+              operations: operations.map(operation => ({
+                ...operation,
+                payload: privateElements.redactPayload(operation.payload, socket.userId),
+              })),
+            }
+            : {
+              boardId,
+              mode: 'snapshot',
+              fromVersion: lastVersion,
+              boardVersion: workingBoard.version,
+              elements: privateElements.redactElements(workingBoard.elements, socket.userId),
+            }
+          );
+        }
+
         // Broadcast updated user list to all users in board
         io.to(boardId).emit('active-users-updated', usersInBoard);
 
+        // Chat messages they have not read yet; guests have nothing stored to compare against
+        if (socket.accountId) {
+          const unread = await ChatMessage.countUnread(boardId, socket.accountId);
+          socket.emit('chat-unread', { boardId, count: unread });
+        }
+
+        // The board's timer, so late joiners count down with everyone else
+        const timer = await boardTimers.getTimer(boardId);
+        boardTimers.scheduleEnd(boardId, timer, announceTimerEnd);
+        socket.emit('timer-updated', { boardId, timer: boardTimers.toClientTimer(timer) });
+
+        // Whether new stickies are being kept private until the owner reveals them
+        socket.emit('private-mode-updated', {
+          boardId,
+          privateMode: privateElements.toClientPrivateMode(workingBoard.privateMode),
+        });
+
+        // A dot vote that is running, with the votes this user already cast
+        const votingSession = await VotingSession.findCurrent(boardId);
+        socket.emit('voting-updated', { boardId, session: votingSession ? votingSession.toClientSession() : null });
+        if (votingSession) {
+          socket.emit('voting-my-votes', {
+            boardId,
+            sessionId: votingSession._id,
+            elementIds: votingSession.getVotesBy(socket.userId),
+          });
+        }
+
         console.log(`User ${socket.user.name} joined board ${boardId}`);
       } catch (error) {
         console.error('Error joining board:', error);
@@ -121,82 +496,107 @@ module.exports = (io) => {
     socket.on('canvas-update', async (data) => {
       try {
         const { boardId, elements, action, element } = data;
-        const userData = activeUsers.get(socket.userId);
+        const userData = connections.get(socket.id);
 
         if (userData?.currentBoard !== boardId) {
           socket.emit('error', { message: 'Not in this board' });
           return;
         }
 
-        // Verify user has edit access to the board
-        const board = await Board.findById(boardId);
+        // Verify user has edit access to the board (role was resolved when they joined)
+        const board = await boardWorkingCopies.getBoard(boardId);
         if (!board) {
           socket.emit('error', { message: 'Board not found' });
           return;
         }
 
-        const access = board.hasAccess(socket.userId);
-        if (!access.hasAccess || (access.role === 'viewer' && action !== 'cursor')) {
+        if (userData.role === 'viewer' && action !== 'cursor') {
           socket.emit('error', { message: 'No edit permission for this board' });
           return;
         }
 
+        if ((action === 'update' || action === 'delete') && element &&
+          (await rejectIfLocked(boardId, element.id) || rejectIfHidden(board, element.id))) {
+          return;
+        }
+
+        // Element as stored after this change, sent back with its new revision
+        let appliedElement = element;
+        const versionBefore = board.version;
+
         // Update board elements in database for persistent actions
         if (action === 'add' && element) {
+          if (rejectIfBoardFull(board) || rejectIfIdTaken(board, element.id, 'canvas-update')) {
+            return;
+          }
+
           // Add new element to board
           const newElement = {
             ...element,
-            id: element.id || new Date().getTime().toString(),
-            createdBy: socket.userId,
+            id: element.id || crypto.randomUUID(),
+            createdBy: socket.accountId,
+            privateTo: privateElements.getPrivateAuthor(board, element, socket.userId),
             createdAt: new Date(),
             updatedAt: new Date()
           };
           
           board.elements.push(newElement);
-          await board.updateLastModified(socket.userId);
+          appliedElement = board.elements[board.elements.length - 1];
+          await boardWorkingCopies.recordEdit(board, socket.accountId);
           
         } else if (action === 'update' && element) {
-          // Update existing element
-          const elementIndex = board.elements.findIndex(el => el.id === element.id);
-          if (elementIndex !== -1) {
-            board.elements[elementIndex] = {
-              ...board.elements[elementIndex],
-              ...element,
-              updatedAt: new Date(),
-              lastModifiedBy: socket.userId
-            };
-            await board.updateLastModified(socket.userId);
+          // Update existing element, rejecting edits based on a stale revision
+          const result = board.applyElementUpdate(element, socket.accountId);
+          if (result.status === 'conflict') {
+            emitElementConflict(element, result.element, board.version);
+            return;
+          }
+          if (result.status === 'updated') {
+            appliedElement = result.element;
+            await boardWorkingCopies.recordEdit(board, socket.accountId);
           }
           
         } else if (action === 'delete' && element) {
-          // Remove element from board
-          board.elements = board.elements.filter(el => el.id !== element.id);
-          await board.updateLastModified(socket.userId);
-          
+          // Remove element from board, unless it changed since the client saw it
+          const existing = board.findElement(element.id);
+          if (!existing) {
+            socket.emit('error', { message: 'Element not found' });
+            return;
+          }
+          if (board.isStaleElementEdit(element)) {
+            emitElementConflict(element, existing, board.version);
+            return;
+          }
+          appliedElement = await removeBoardElement(board, element.id, userData);
+
         } else if (action === 'batch' && elements) {
-          // Batch update all elements
-          board.elements = elements.map(el => ({
-            ...el,
-            updatedAt: new Date(),
-            lastModifiedBy: el.lastModifiedBy || socket.userId
-          }));
-          await board.updateLastModified(socket.userId);
+          // Batch update all elements; nothing is applied if any of them is stale
+          if (!(await replaceBoardElements(board, elements))) {
+            return;
+          }
+          await boardWorkingCopies.recordEdit(board, socket.accountId);
+        }
+
+        if (board.version !== versionBefore) {
+          recordCanvasOperation(board, action, appliedElement, userData.user);
+          recordCanvasActivity(boardId, action, appliedElement);
         }
 
         // Broadcast to all other users in the board
-        socket.to(boardId).emit('canvas-updated', {
-          elements: action === 'batch' ? elements : board.elements,
+        emitElementsToBoard(boardId, 'canvas-updated', {
+          elements: board.elements,
           action, // 'add', 'update', 'delete', 'batch'
-          element,
+          element: appliedElement,
           updatedBy: userData.user,
           timestamp: new Date(),
           boardVersion: board.version
-        });
+        }, [socket.id]);
 
         // Send confirmation to the user who made the change
         socket.emit('canvas-update-confirmed', {
           action,
-          element,
+          element: appliedElement,
+          boardVersion: board.version,
           success: true,
           timestamp: new Date()
         });
@@ -210,18 +610,49 @@ module.exports = (io) => {
       }
     });
 
-    // Handle real-time cursor movement
+    // Handle real-time cursor movement. Positions are coalesced: only the latest
+    // one is relayed, at most once per cursor tick. A cursor chat message rides
+    // along and is never stored.
+    let pendingCursor = null;
+    let cursorTimer = null;
+    let lastCursorSentAt = 0;
+
     socket.on('cursor-move', (data) => {
-      const { boardId, x, y } = data;
-      const userData = activeUsers.get(socket.userId);
+      const { boardId, x, y, message } = data;
+      const userData = connections.get(socket.id);
+
+      if (userData?.currentBoard !== boardId) {
+        return;
+      }
+
+      // A message change must survive being coalesced with a plain move
+      const pendingMessage = pendingCursor?.boardId === boardId ? pendingCursor.message : undefined;
+      pendingCursor = {
+        boardId,
+        x,
+        y,
+        message: message !== undefined ? message : pendingMessage,
+        timestamp: Date.now()
+      };
+      if (!cursorTimer) {
+        const wait = rateLimits.CURSOR_TICK_MS - (Date.now() - lastCursorSentAt);
+        cursorTimer = setTimeout(sendPendingCursor, Math.max(wait, 0));
+      }
+    });
+
+    // Relay an emoji reaction placed on the canvas; like cursors, it is never stored
+    socket.on('reaction', (data) => {
+      const { boardId, emoji, x, y } = data;
+      const userData = connections.get(socket.id);
 
       if (userData?.currentBoard !== boardId) {
         return;
       }
 
-      socket.to(boardId).emit('cursor-moved', {
+      socket.to(boardId).emit('reaction-added', {
         userId: socket.userId,
         user: userData.user,
+        emoji,
         x,
         y,
         timestamp: Date.now(),
@@ -231,12 +662,14 @@ module.exports = (io) => {
     // Handle tool selection
     socket.on('tool-change', (data) => {
       const { boardId, tool } = data;
-      const userData = activeUsers.get(socket.userId);
+      const userData = connections.get(socket.id);
 
       if (userData?.currentBoard !== boardId) {
         return;
       }
 
+      sessionTracker.recordActivity(boardId, socket.accountId, 'tool_changed', { tool });
+
       socket.to(boardId).emit('user-tool-changed', {
         userId: socket.userId,
         user: userData.user,
@@ -245,10 +678,60 @@ module.exports = (io) => {
       });
     });
 
+    // Handle selection changes
+    socket.on('selection-change', (data) => {
+      const { boardId, elementIds } = data;
+      const userData = connections.get(socket.id);
+
+      if (userData?.currentBoard !== boardId) {
+        return;
+      }
+
+      userData.selection = Array.isArray(elementIds) ? elementIds : [];
+      presence.setConnection(socket.id, userData);
+
+      socket.to(boardId).emit('user-selection-changed', {
+        userId: socket.userId,
+        user: userData.user,
+        elementIds: userData.selection,
+        timestamp: Date.now(),
+      });
+    });
+
+    // Handle viewport changes (scroll position and zoom) so others can follow
+    socket.on('viewport-change', (data) => {
+      const { boardId, viewport } = data;
+      const userData = connections.get(socket.id);
+
+      if (userData?.currentBoard !== boardId || !viewport) {
+        return;
+      }
+
+      if (userData.viewport && userData.viewport.scale !== viewport.scale) {
+        sessionTracker.recordActivity(boardId, socket.accountId, 'zoom_changed', { scale: viewport.scale });
+      }
+
+      userData.viewport = {
+        x: viewport.x,
+        y: viewport.y,
+        width: viewport.width,
+        height: viewport.height,
+        scale: viewport.scale,
+      };
+      presence.setConnection(socket.id, userData);
+
+      socket.to(boardId).emit('user-viewport-changed', {
+        userId: socket.userId,
+        user: userData.user,
+        viewport: userData.viewport,
+        timestamp: Date.now(),
+      });
+    });
+
     // Handle drawing start
     socket.on('drawing-start', (data) => {
       const { boardId, tool, startPoint } = data;
-      const userData = activeUsers.get(socket.userId);
+      const userData = connections.get(socket.id);
 
       if (userData?.currentBoard !== boardId) {
         return;
@@ -266,7 +749,7 @@ module.exports = (io) => {
     // Handle drawing end
     socket.on('drawing-end', (data) => {
       const { boardId } = data;
-      const userData = activeUsers.get(socket.userId);
+      const userData = connections.get(socket.id);
 
       if (userData?.currentBoard !== boardId) {
         return;
@@ -279,11 +762,64 @@ module.exports = (io) => {
       });
     });
 
+    // Laser pointer and temporary ink strokes are only relayed; they fade on
+    // every screen and never reach board.elements. Viewers may present too.
+    socket.on('ink-start', (data) => {
+      const { boardId, strokeId, tool, color, width, point } = data;
+      const userData = connections.get(socket.id);
+
+      if (userData?.currentBoard !== boardId) {
+        return;
+      }
+
+      socket.to(boardId).emit('ink-started', {
+        userId: socket.userId,
+        user: userData.user,
+        connectionId: socket.id,
+        strokeId,
+        tool,
+        color,
+        width,
+        point,
+      });
+    });
+
+    socket.on('ink-points', (data) => {
+      const { boardId, strokeId, points } = data;
+      const userData = connections.get(socket.id);
+
+      if (userData?.currentBoard !== boardId) {
+        return;
+      }
+
+      socket.to(boardId).emit('ink-extended', {
+        userId: socket.userId,
+        connectionId: socket.id,
+        strokeId,
+        points,
+      });
+    });
+
+    socket.on('ink-end', (data) => {
+      const { boardId, strokeId } = data;
+      const userData = connections.get(socket.id);
+
+      if (userData?.currentBoard !== boardId) {
+        return;
+      }
+
+      socket.to(boardId).emit('ink-ended', {
+        userId: socket.userId,
+        connectionId: socket.id,
+        strokeId,
+      });
+    });
+
     // Handle board save
     socket.on('board-save', async (data) => {
       try {
         const { boardId, elements } = data;
-        const userData = activeUsers.get(socket.userId);
+        const userData = connections.get(socket.id);
 
         if (userData?.currentBoard !== boardId) {
           socket.emit('error', { message: 'Not in this board' });
@@ -292,16 +828,18 @@ module.exports = (io) => {
 
         // Save elements to database if provided
         if (elements && Array.isArray(elements)) {
-          const board = await Board.findById(boardId);
+          const board = await boardWorkingCopies.getBoard(boardId);
           if (board) {
-            const access = board.hasAccess(socket.userId);
-            if (access.hasAccess && access.role !== 'viewer') {
-              board.elements = elements.map(element => ({
-                ...element,
-                updatedAt: new Date(),
-                lastModifiedBy: element.lastModifiedBy || socket.userId
-              }));
-              await board.updateLastModified(socket.userId);
+            if (userData.role !== 'viewer') {
+              if (!(await replaceBoardElements(board, elements))) {
+                return;
+              }
+              await boardWorkingCopies.recordEdit(board, socket.accountId);
+              // A full save replaces everything; rejoining clients need a snapshot
+              operationLog.resetLog(boardId, board.version);
+              boardEvents.recordElements(board, userData.user);
+              // An explicit save is written straight away
+              await boardWorkingCopies.flushBoard(boardId);
             }
           }
         }
@@ -322,42 +860,53 @@ module.exports = (io) => {
     socket.on('element-create', async (data) => {
       try {
         const { boardId, element } = data;
-        const userData = activeUsers.get(socket.userId);
+        const userData = connections.get(socket.id);
 
         if (userData?.currentBoard !== boardId) {
           socket.emit('error', { message: 'Not in this board' });
           return;
         }
 
-        const board = await Board.findById(boardId);
+        const board = await boardWorkingCopies.getBoard(boardId);
         if (!board) {
           socket.emit('error', { message: 'Board not found' });
           return;
         }
 
-        const access = board.hasAccess(socket.userId);
-        if (!access.hasAccess || access.role === 'viewer') {
+        if (userData.role === 'viewer') {
           socket.emit('error', { message: 'No edit permission' });
           return;
         }
 
+        if (rejectIfBoardFull(board) || rejectIfIdTaken(board, element.id, 'element-create')) {
+          return;
+        }
+
         const newElement = {
           ...element,
-          id: element.id || new Date().getTime().toString(),
-          createdBy: socket.userId,
+          id: element.id || crypto.randomUUID(),
+          createdBy: socket.accountId,
+          privateTo: privateElements.getPrivateAuthor(board, element, socket.userId),
           createdAt: new Date(),
           updatedAt: new Date()
         };
 
         board.elements.push(newElement);
-        await board.updateLastModified(socket.userId);
+        const createdElement = board.elements[board.elements.length - 1];
+        await boardWorkingCopies.recordEdit(board, socket.accountId);
 
         // Broadcast to all users in board
-        io.to(boardId).emit('element-created', {
-          element: newElement,
+        const payload = {
+          element: createdElement,
           createdBy: userData.user,
-          timestamp: new Date()
-        });
+          connectionId: socket.id,
+          timestamp: new Date(),
+          boardVersion: board.version
+        };
+        operationLog.recordOperation(boardId, board.version, 'element-created', payload);
+        boardEvents.recordElement(board, 'created', createdElement, userData.user);
+        emitElementsToBoard(boardId, 'element-created', payload);
+        recordElementActivity(boardId, 'element_created', createdElement);
 
       } catch (error) {
         console.error('Error creating element:', error);
@@ -369,41 +918,52 @@ module.exports = (io) => {
     socket.on('element-update', async (data) => {
       try {
         const { boardId, element } = data;
-        const userData = activeUsers.get(socket.userId);
+        const userData = connections.get(socket.id);
 
         if (userData?.currentBoard !== boardId) {
           socket.emit('error', { message: 'Not in this board' });
           return;
         }
 
-        const board = await Board.findById(boardId);
+        const board = await boardWorkingCopies.getBoard(boardId);
         if (!board) {
           socket.emit('error', { message: 'Board not found' });
           return;
         }
 
-        const access = board.hasAccess(socket.userId);
-        if (!access.hasAccess || access.role === 'viewer') {
+        if (userData.role === 'viewer') {
           socket.emit('error', { message: 'No edit permission' });
           return;
         }
 
-        const elementIndex = board.elements.findIndex(el => el.id === element.id);
-        if (elementIndex !== -1) {
-          board.elements[elementIndex] = {
-            ...board.elements[elementIndex],
-            ...element,
-            updatedAt: new Date(),
-            lastModifiedBy: socket.userId
-          };
-          await board.updateLastModified(socket.userId);
+        if (await rejectIfLocked(boardId, element.id) || rejectIfHidden(board, element.id)) {
+          return;
+        }
+
+        const result = board.applyElementUpdate(element, socket.accountId);
+        if (result.status === 'updated') {
+          await boardWorkingCopies.recordEdit(board, socket.accountId);
+
+          // Keep the editor's lock alive while they are still making changes
+          collaboration.refreshLock(boardId, element.id, socket.userId).catch(error => {
+            console.error('Error refreshing element lock:', error);
+          });
 
           // Broadcast to all users in board
-          io.to(boardId).emit('element-updated', {
-            element: board.elements[elementIndex],
+          const payload = {
+            element: result.element,
             updatedBy: userData.user,
-            timestamp: new Date()
-          });
+            connectionId: socket.id,
+            timestamp: new Date(),
+            boardVersion: board.version
+          };
+          operationLog.recordOperation(boardId, board.version, 'element-updated', payload);
+          boardEvents.recordElement(board, 'updated', result.element, userData.user);
+          emitElementsToBoard(boardId, 'element-updated', payload);
+          recordElementActivity(boardId, 'element_updated', result.element);
+        } else if (result.status === 'conflict') {
+          // The edit was based on an older revision; let the client merge or report it
+          emitElementConflict(element, result.element, board.version);
         } else {
           socket.emit('error', { message: 'Element not found' });
         }
@@ -418,36 +978,42 @@ module.exports = (io) => {
     socket.on('element-delete', async (data) => {
       try {
         const { boardId, elementId } = data;
-        const userData = activeUsers.get(socket.userId);
+        const userData = connections.get(socket.id);
 
         if (userData?.currentBoard !== boardId) {
           socket.emit('error', { message: 'Not in this board' });
           return;
         }
 
-        const board = await Board.findById(boardId);
+        const board = await boardWorkingCopies.getBoard(boardId);
         if (!board) {
           socket.emit('error', { message: 'Board not found' });
           return;
         }
 
-        const access = board.hasAccess(socket.userId);
-        if (!access.hasAccess || access.role === 'viewer') {
+        if (userData.role === 'viewer') {
           socket.emit('error', { message: 'No edit permission' });
           return;
         }
 
-        const elementExists = board.elements.some(el => el.id === elementId);
-        if (elementExists) {
-          board.elements = board.elements.filter(el => el.id !== elementId);
-          await board.updateLastModified(socket.userId);
+        if (await rejectIfLocked(boardId, elementId) || rejectIfHidden(board, elementId)) {
+          return;
+        }
 
+        const deletedElement = await removeBoardElement(board, elementId, userData);
+        if (deletedElement) {
           // Broadcast to all users in board
-          io.to(boardId).emit('element-deleted', {
+          const payload = {
             elementId,
             deletedBy: userData.user,
-            timestamp: new Date()
-          });
+            connectionId: socket.id,
+            timestamp: new Date(),
+            boardVersion: board.version
+          };
+          operationLog.recordOperation(boardId, board.version, 'element-deleted', payload);
+          boardEvents.recordElement(board, 'deleted', deletedElement, userData.user);
+          io.to(boardId).emit('element-deleted', payload);
+          recordElementActivity(boardId, 'element_deleted', deletedElement);
         } else {
           socket.emit('error', { message: 'Element not found' });
         }
@@ -458,110 +1024,871 @@ module.exports = (io) => {
       }
     });
 
-    // Handle leave board
-    socket.on('leave-board', () => {
-      const userData = activeUsers.get(socket.userId);
-      if (userData?.currentBoard) {
-        handleUserLeaveBoard(socket, userData.currentBoard);
-      }
-    });
+    // Handle element lock requests
+    socket.on('element-lock', async (data) => {
+      try {
+        const { boardId, elementId } = data;
+        const userData = connections.get(socket.id);
 
-    // Handle permission updates
-    socket.on('permission-updated', (data) => {
-      const { userId, newRole, boardId } = data;
-      console.log(`Broadcasting permission update: User ${userId} -> ${newRole} on board ${boardId}`);
-      
-      // Broadcast to all users in the board except sender
-      socket.to(boardId).emit('permission-updated', {
-        userId,
-        newRole,
-        boardId,
-        updatedBy: socket.userId,
-        timestamp: new Date()
-      });
-    });
+        if (userData?.currentBoard !== boardId) {
+          socket.emit('error', { message: 'Not in this board' });
+          return;
+        }
 
-    // Handle user removal
-    socket.on('user-removed', (data) => {
-      const { userId, boardId } = data;
-      console.log(`Broadcasting user removal: User ${userId} from board ${boardId}`);
-      
-      // Find the socket of the user being removed
-      const removedUserData = activeUsers.get(userId);
-      if (removedUserData) {
-        const removedUserSocket = io.sockets.sockets.get(removedUserData.socketId);
-        if (removedUserSocket) {
-          // Notify the removed user
-          removedUserSocket.emit('user-removed', {
-            userId,
-            boardId,
-            removedBy: socket.userId,
-            timestamp: new Date()
+        if (userData.role === 'viewer') {
+          socket.emit('error', { message: 'No edit permission' });
+          return;
+        }
+
+        const result = await collaboration.acquireLock(boardId, elementId, socket.userId, userData.user);
+
+        if (!result.success) {
+          socket.emit('element-lock-denied', {
+            ...result.lock,
+            message: 'Element is being edited by another user'
           });
-          
-          // Remove them from the board room
-          handleUserLeaveBoard(removedUserSocket, boardId);
+          return;
         }
-      }
 
-      // Broadcast to other users in the board
-      socket.to(boardId).emit('user-removed', {
-        userId,
-        boardId,
-        removedBy: socket.userId,
-        timestamp: new Date()
-      });
-    });
+        io.to(boardId).emit('element-locked', result.lock);
 
-    // Handle disconnect
-    socket.on('disconnect', () => {
-      console.log(`User ${socket.user.name} disconnected`);
-      
-      const userData = activeUsers.get(socket.userId);
-      if (userData?.currentBoard) {
-        handleUserLeaveBoard(socket, userData.currentBoard);
+      } catch (error) {
+        console.error('Error locking element:', error);
+        socket.emit('error', { message: 'Failed to lock element' });
       }
-
-      activeUsers.delete(socket.userId);
     });
 
-    // Helper function to handle user leaving board
-    function handleUserLeaveBoard(socket, boardId) {
-      // Remove from board room tracking
-      if (boardRooms.has(boardId)) {
-        boardRooms.get(boardId).delete(socket.userId);
-        if (boardRooms.get(boardId).size === 0) {
-          boardRooms.delete(boardId);
-        }
+    // Handle element unlock requests
+    socket.on('element-unlock', async (data) => {
+      try {
+        const { boardId, elementId } = data;
+        const userData = connections.get(socket.id);
+
+        if (userData?.currentBoard !== boardId) {
+          return;
+        }
+
+        if (await collaboration.releaseLock(boardId, elementId, socket.userId)) {
+          io.to(boardId).emit('element-unlocked', {
+            elementId,
+            unlockedBy: userData.user,
+            timestamp: new Date()
+          });
+        }
+
+      } catch (error) {
+        console.error('Error unlocking element:', error);
       }
+    });
 
-      // Notify other users
-      socket.to(boardId).emit('user-left', {
+    // Start editing the text of a text or sticky element together with others
+    socket.on('text-session-join', async (data) => {
+      try {
+        const { boardId, elementId, clientId } = data;
+        const userData = connections.get(socket.id);
+
+        if (userData?.currentBoard !== boardId) {
+          socket.emit('error', { message: 'Not in this board' });
+          return;
+        }
+
+        if (userData.role === 'viewer') {
+          socket.emit('error', { message: 'No edit permission' });
+          return;
+        }
+
+        // A session opened now is seeded from the stored text, so let writes
+        // from an earlier session finish first
+        await textWrites.get(`${boardId}:${elementId}`);
+
+        const board = await boardWorkingCopies.getBoard(boardId);
+        if (board && rejectIfHidden(board, elementId)) {
+          return;
+        }
+
+        let initialText = '';
+        if (!await collaboration.getTextSession(boardId, elementId)) {
+          const element = board?.findElement(elementId);
+          if (!element || !['text', 'sticky'].includes(element.type)) {
+            socket.emit('error', { message: 'Element not found' });
+            return;
+          }
+          initialText = element.text || '';
+        }
+
+        const session = await collaboration.joinTextSession(boardId, elementId, {
+          connectionId: socket.id,
+          userId: socket.userId,
+          user: userData.user,
+          clientId: clientId || null,
+        }, initialText);
+        emitTextSessionState(session);
+
+      } catch (error) {
+        console.error('Error joining text session:', error);
+        socket.emit('error', { message: 'Failed to start editing text' });
+      }
+    });
+
+    // Handle a text operation made against the session version the client last saw
+    socket.on('text-operation', async (data) => {
+      try {
+        const { boardId, elementId, version, op, clientId, seq } = data;
+        const userData = connections.get(socket.id);
+
+        if (userData?.currentBoard !== boardId) {
+          socket.emit('error', { message: 'Not in this board' });
+          return;
+        }
+
+        const result = await collaboration.applyTextOperation(boardId, elementId, socket.id, {
+          version,
+          op,
+          clientId: clientId || null,
+          seq: seq || null,
+        });
+        if (result.error === 'not-editing') {
+          socket.emit('error', { message: 'Not editing this element' });
+          return;
+        }
+        if (result.error) {
+          // The client is out of step with the session; send the current text to rebase on
+          emitTextSessionState(result.session);
+          return;
+        }
+
+        const { applied } = result;
+
+        // Persist in order so acks and relays go out in version order
+        persistTextInOrder(boardId, elementId, async () => {
+          const element = await persistElementText(boardId, elementId, applied.text, userData.user);
+          const revision = element?.revision;
+
+          socket.emit('text-operation-ack', {
+            elementId,
+            version: applied.version,
+            seq,
+            revision
+          });
+
+          // Text of a hidden sticky only goes to its author's other tabs
+          const room = element?.privateTo ? userRoom(boardId, element.privateTo) : boardId;
+          socket.to(room).emit('text-operation-applied', {
+            elementId,
+            version: applied.version,
+            op: applied.op,
+            text: applied.text,
+            revision,
+            connectionId: socket.id,
+            userId: socket.userId,
+            user: userData.user,
+            timestamp: new Date()
+          });
+        });
+
+      } catch (error) {
+        console.error('Error applying text operation:', error);
+        socket.emit('error', { message: 'Failed to edit text' });
+      }
+    });
+
+    // Relay where the user's caret is inside the text being edited
+    socket.on('text-caret', async (data) => {
+      try {
+        const { boardId, elementId, position } = data;
+        const userData = connections.get(socket.id);
+
+        if (userData?.currentBoard !== boardId || typeof position !== 'number') {
+          return;
+        }
+
+        const caret = await collaboration.setTextCaret(boardId, elementId, socket.id, position);
+        if (caret === null) {
+          return;
+        }
+
+        socket.to(boardId).emit('text-caret-moved', {
+          elementId,
+          connectionId: socket.id,
+          userId: socket.userId,
+          user: userData.user,
+          position: caret,
+          timestamp: Date.now()
+        });
+
+      } catch (error) {
+        console.error('Error moving text caret:', error);
+      }
+    });
+
+    // Stop editing an element's text
+    socket.on('text-session-leave', async (data) => {
+      try {
+        const { boardId, elementId } = data;
+        const userData = connections.get(socket.id);
+
+        if (userData?.currentBoard !== boardId) {
+          return;
+        }
+
+        if (await collaboration.leaveTextSession(boardId, elementId, socket.id)) {
+          socket.to(boardId).emit('text-caret-removed', {
+            elementId,
+            connectionId: socket.id,
+            userId: socket.userId
+          });
+        }
+
+      } catch (error) {
+        console.error('Error leaving text session:', error);
+      }
+    });
+
+    // Post a message to the board's chat. Everyone in the board can chat,
+    // viewers and guests included.
+    socket.on('chat-send', async (data) => {
+      try {
+        const { boardId, clientId } = data;
+        const userData = connections.get(socket.id);
+
+        if (userData?.currentBoard !== boardId) {
+          socket.emit('error', { message: 'Not in this board' });
+          return;
+        }
+
+        const text = data.text.trim();
+        if (!text) {
+          return;
+        }
+
+        const message = await ChatMessage.create({
+          board: boardId,
+          author: socket.accountId,
+          guestId: socket.isGuest ? socket.userId : null,
+          authorName: userData.user.name,
+          authorAvatar: userData.user.avatar || null,
+          authorColor: userData.user.color || null,
+          text,
+          readBy: socket.accountId ? [socket.accountId] : [],
+        });
+
+        // clientId lets the sender match the message to the one it showed while sending
+        io.to(boardId).emit('chat-message', {
+          ...message.toClientMessage(),
+          clientId,
+          connectionId: socket.id,
+        });
+
+        // Whoever posts has seen everything before it
+        if (socket.accountId) {
+          await ChatMessage.markAllRead(boardId, socket.accountId);
+        }
+
+        // Typing ends with the message
+        socket.to(boardId).emit('chat-user-typing', {
+          userId: socket.userId,
+          user: userData.user,
+          isTyping: false
+        });
+      } catch (error) {
+        console.error('Error sending chat message:', error);
+        socket.emit('error', { message: 'Failed to send message', code: 'CHAT_SEND_FAILED', clientId: data.clientId });
+      }
+    });
+
+    // Load a page of the board's chat, older than the before message if given
+    socket.on('chat-history', async (data) => {
+      try {
+        const { boardId, before, limit = 50 } = data;
+        const userData = connections.get(socket.id);
+
+        if (userData?.currentBoard !== boardId) {
+          socket.emit('error', { message: 'Not in this board' });
+          return;
+        }
+
+        if (before && !mongoose.isValidObjectId(before)) {
+          socket.emit('error', { message: 'Invalid chat message id' });
+          return;
+        }
+
+        const page = await ChatMessage.findPage(boardId, { before, limit });
+        socket.emit('chat-history', {
+          boardId,
+          before: before || null,
+          messages: page.messages.map(message => message.toClientMessage()),
+          hasMore: page.hasMore
+        });
+      } catch (error) {
+        console.error('Error loading chat history:', error);
+        socket.emit('error', { message: 'Failed to load chat history' });
+      }
+    });
+
+    // Relay that the user started or stopped typing a chat message
+    socket.on('chat-typing', (data) => {
+      const { boardId, isTyping } = data;
+      const userData = connections.get(socket.id);
+
+      if (userData?.currentBoard !== boardId) {
+        return;
+      }
+
+      socket.to(boardId).emit('chat-user-typing', {
         userId: socket.userId,
-        user: activeUsers.get(socket.userId)?.user,
-        timestamp: new Date(),
+        user: userData.user,
+        isTyping
       });
+    });
+
+    // The user has read the board's chat up to now
+    socket.on('chat-read', async (data) => {
+      try {
+        const { boardId } = data;
+        const userData = connections.get(socket.id);
 
-      // Leave socket room
-      socket.leave(boardId);
+        if (userData?.currentBoard !== boardId || !socket.accountId) {
+          return;
+        }
 
-      // Update active users list for remaining users
-      if (boardRooms.has(boardId)) {
-        const usersInBoard = Array.from(boardRooms.get(boardId))
-          .map(userId => activeUsers.get(userId))
-          .filter(Boolean);
-        
-        socket.to(boardId).emit('active-users-updated', usersInBoard);
+        await ChatMessage.markAllRead(boardId, socket.accountId);
+        socket.emit('chat-unread', { boardId, count: 0 });
+      } catch (error) {
+        console.error('Error marking chat read:', error);
       }
+    });
+
+    // Dot voting on stickies. Votes are kept on the server: clients only ask to
+    // cast or take back a vote, and until the facilitator reveals the results
+    // everyone sees just their own votes and the running totals.
+    socket.on('vote-start', async (data) => {
+      try {
+        const { boardId, votesPerUser, region } = data;
+        const userData = connections.get(socket.id);
 
-      // Clear user's current board
-      const userData = activeUsers.get(socket.userId);
-      if (userData) {
-        userData.currentBoard = null;
-        activeUsers.set(socket.userId, userData);
+        if (userData?.currentBoard !== boardId) {
+          socket.emit('error', { message: 'Not in this board' });
+          return;
+        }
+
+        if (userData.role === 'viewer') {
+          socket.emit('error', { message: 'Only editors can start a vote', code: 'VOTING_NOT_ALLOWED' });
+          return;
+        }
+
+        // One vote at a time per board: a new one ends whatever was running, but
+        // only its facilitator or the board owner may cut someone's vote short
+        const running = await VotingSession.findCurrent(boardId);
+        if (running && running.facilitator !== socket.userId && userData.role !== 'owner') {
+          socket.emit('error', { message: 'Another vote is still running; only its facilitator can end it', code: 'VOTING_NOT_ALLOWED' });
+          return;
+        }
+
+        await VotingSession.updateMany(
+          {
+            board: boardId,
+            status: { $in: ['open', 'revealed'] },
+            ...(userData.role !== 'owner' && { facilitator: socket.userId })
+          },
+          { $set: { status: 'ended', endedAt: new Date() } }
+        );
+
+        const session = await VotingSession.create({
+          board: boardId,
+          facilitator: socket.userId,
+          facilitatorName: userData.user.name,
+          votesPerUser,
+          region: region || null,
+        });
+
+        io.to(boardId).emit('voting-updated', { boardId, session: session.toClientSession() });
+      } catch (error) {
+        console.error('Error starting vote:', error);
+        socket.emit('error', { message: 'Failed to start vote' });
+      }
+    });
+
+    socket.on('vote-cast', (data) => changeVote(data, true));
+    socket.on('vote-retract', (data) => changeVote(data, false));
+
+    // Show everyone the results; no more votes can be cast after this
+    socket.on('vote-reveal', async (data) => {
+      try {
+        const { boardId } = data;
+        const userData = connections.get(socket.id);
+        const session = await findRunnableVote(boardId, userData);
+        if (!session) {
+          return;
+        }
+
+        const revealed = await VotingSession.findOneAndUpdate(
+          { _id: session._id, status: 'open' },
+          { $set: { status: 'revealed', revealedAt: new Date() } },
+          { new: true }
+        );
+        if (revealed) {
+          io.to(boardId).emit('voting-updated', { boardId, session: revealed.toClientSession() });
+        }
+      } catch (error) {
+        console.error('Error revealing votes:', error);
+        socket.emit('error', { message: 'Failed to reveal votes' });
+      }
+    });
+
+    socket.on('vote-end', async (data) => {
+      try {
+        const { boardId } = data;
+        const userData = connections.get(socket.id);
+        const session = await findRunnableVote(boardId, userData);
+        if (!session) {
+          return;
+        }
+
+        await VotingSession.updateOne(
+          { _id: session._id },
+          { $set: { status: 'ended', endedAt: new Date() } }
+        );
+        io.to(boardId).emit('voting-updated', { boardId, session: null });
+      } catch (error) {
+        console.error('Error ending vote:', error);
+        socket.emit('error', { message: 'Failed to end vote' });
+      }
+    });
+
+    // Cast or take back one of this user's votes, then tell their tabs what they
+    // voted for and everyone the new totals
+    async function changeVote({ boardId, elementId }, cast) {
+      try {
+        const userData = connections.get(socket.id);
+
+        if (userData?.currentBoard !== boardId) {
+          socket.emit('error', { message: 'Not in this board' });
+          return;
+        }
+
+        const session = await VotingSession.findCurrent(boardId);
+        if (!session || session.status !== 'open') {
+          socket.emit('error', { message: 'No vote is open on this board', code: 'VOTING_CLOSED' });
+          return;
+        }
+
+        let counted;
+        if (cast) {
+          const board = await boardWorkingCopies.getBoard(boardId);
+          if (!session.acceptsElement(board?.findElement(elementId))) {
+            socket.emit('error', { message: 'This sticky is not part of the vote', code: 'VOTE_NOT_ALLOWED' });
+            return;
+          }
+          counted = await VotingSession.castVote(session._id, socket.userId, elementId);
+        } else {
+          counted = await VotingSession.retractVote(session._id, socket.userId, elementId);
+        }
+
+        const updated = await VotingSession.findById(session._id);
+        const myVotes = updated.getVotesBy(socket.userId);
+
+        if (cast && !counted && !myVotes.includes(elementId) && myVotes.length >= updated.votesPerUser) {
+          socket.emit('error', { message: 'You have used all your votes', code: 'NO_VOTES_LEFT' });
+        }
+
+        io.to(userRoom(boardId, socket.userId)).emit('voting-my-votes', {
+          boardId,
+          sessionId: updated._id,
+          elementIds: myVotes,
+        });
+
+        if (counted) {
+          io.to(boardId).emit('voting-updated', { boardId, session: updated.toClientSession() });
+        }
+      } catch (error) {
+        console.error('Error changing vote:', error);
+        socket.emit('error', { message: 'Failed to record vote' });
+      }
+    }
+
+    // The running vote, if this user may reveal or end it: its facilitator or the board owner
+    async function findRunnableVote(boardId, userData) {
+      if (userData?.currentBoard !== boardId) {
+        socket.emit('error', { message: 'Not in this board' });
+        return null;
+      }
+
+      const session = await VotingSession.findCurrent(boardId);
+      if (!session) {
+        return null;
+      }
+
+      if (session.facilitator !== socket.userId && userData.role !== 'owner') {
+        socket.emit('error', { message: 'Only the facilitator can do that', code: 'VOTING_NOT_ALLOWED' });
+        return null;
+      }
+
+      return session;
+    }
+
+    // Shared facilitation timer. Owners and editors run it; each change is
+    // stored on the board and sent to the whole room.
+    socket.on('timer-start', (data) => changeBoardTimer(data, (boardId, name) => boardTimers.startTimer(boardId, data.duration, name)));
+    socket.on('timer-pause', (data) => changeBoardTimer(data, boardTimers.pauseTimer));
+    socket.on('timer-resume', (data) => changeBoardTimer(data, boardTimers.resumeTimer));
+    socket.on('timer-extend', (data) => changeBoardTimer(data, (boardId, name) => boardTimers.extendTimer(boardId, data.amount, name)));
+    socket.on('timer-reset', (data) => changeBoardTimer(data, boardTimers.resetTimer));
+
+    async function changeBoardTimer({ boardId }, change) {
+      try {
+        const userData = connections.get(socket.id);
+
+        if (userData?.currentBoard !== boardId) {
+          socket.emit('error', { message: 'Not in this board' });
+          return;
+        }
+
+        if (userData.role === 'viewer') {
+          socket.emit('error', { message: 'Only owners and editors can run the timer', code: 'TIMER_NOT_ALLOWED' });
+          return;
+        }
+
+        const { timer, changed } = await change(boardId, userData.user.name);
+        if (!timer) {
+          return;
+        }
+
+        if (changed) {
+          boardTimers.scheduleEnd(boardId, timer, announceTimerEnd);
+          io.to(boardId).emit('timer-updated', { boardId, timer: boardTimers.toClientTimer(timer) });
+        } else {
+          // Nothing to do, or someone changed it first: bring this client back in line
+          socket.emit('timer-updated', { boardId, timer: boardTimers.toClientTimer(timer) });
+        }
+      } catch (error) {
+        console.error('Error changing board timer:', error);
+        socket.emit('error', { message: 'Failed to update the timer' });
       }
     }
 
+    // Private mode: until the owner reveals them, new stickies are only shown to their author
+    socket.on('private-mode-start', async (data) => {
+      try {
+        const { boardId } = data;
+        const userData = connections.get(socket.id);
+
+        if (!canRunPrivateMode(userData, boardId)) {
+          return;
+        }
+
+        const privateMode = await privateElements.startPrivateMode(boardId, userData.user.name);
+        if (privateMode) {
+          io.to(boardId).emit('private-mode-updated', {
+            boardId,
+            privateMode: privateElements.toClientPrivateMode(privateMode),
+          });
+        }
+      } catch (error) {
+        console.error('Error starting private mode:', error);
+        socket.emit('error', { message: 'Failed to start private mode' });
+      }
+    });
+
+    socket.on('private-mode-reveal', async (data) => {
+      try {
+        const { boardId } = data;
+        const userData = connections.get(socket.id);
+
+        if (!canRunPrivateMode(userData, boardId)) {
+          return;
+        }
+
+        const result = await privateElements.revealPrivateElements(boardId, socket.accountId);
+        if (!result) {
+          return;
+        }
+
+        // Clients that missed the reveal need a snapshot, not a replay of placeholders
+        operationLog.resetLog(boardId, result.board.version);
+        boardEvents.recordElements(result.board, userData.user);
+        io.to(boardId).emit('private-mode-updated', {
+          boardId,
+          privateMode: privateElements.toClientPrivateMode(null),
+          revealed: result.revealed,
+          revealedBy: userData.user,
+          boardVersion: result.board.version,
+        });
+      } catch (error) {
+        console.error('Error revealing private stickies:', error);
+        socket.emit('error', { message: 'Failed to reveal private stickies' });
+      }
+    });
+
+    // Helper function to check this connection may turn private mode on or off
+    function canRunPrivateMode(userData, boardId) {
+      if (userData?.currentBoard !== boardId) {
+        socket.emit('error', { message: 'Not in this board' });
+        return false;
+      }
+
+      if (userData.role !== 'owner') {
+        socket.emit('error', { message: 'Only the board owner can run private mode', code: 'PRIVATE_MODE_NOT_ALLOWED' });
+        return false;
+      }
+      return true;
+    }
+
+    // Regular heartbeat from the client, saying whether the person did anything since the last one
+    socket.on('presence-heartbeat', (data) => {
+      const { boardId, active } = data;
+      const userData = connections.get(socket.id);
+
+      if (userData?.currentBoard !== boardId) {
+        return;
+      }
+
+      userData.lastHeartbeatAt = Date.now();
+      if (active) {
+        userData.lastActiveAt = Date.now();
+      }
+      refreshPresenceStatus(userData);
+    });
+
+    // Handle leave board
+    socket.on('leave-board', () => {
+      const userData = connections.get(socket.id);
+      if (userData?.currentBoard) {
+        handleUserLeaveBoard(socket, userData.currentBoard);
+      }
+    });
+
+    // Handle disconnect
+    socket.on('disconnect', () => {
+      console.log(`User ${socket.user.name} disconnected`);
+      
+      const userData = connections.get(socket.id);
+      if (userData?.currentBoard) {
+        handleUserLeaveBoard(socket, userData.currentBoard);
+      }
+
+      clearTimeout(cursorTimer);
+      connections.delete(socket.id);
+      presence.removeConnection(socket.id);
+    });
+
+    // Helper function to note activity on this connection. Runs for every event,
+    // so presence is only shared when the status actually changes.
+    function markActive() {
+      const userData = connections.get(socket.id);
+      if (!userData) return;
+
+      userData.lastActiveAt = Date.now();
+      userData.lastHeartbeatAt = Date.now();
+      if (userData.status !== 'active') {
+        refreshPresenceStatus(userData);
+      }
+    }
+
+    // Helper function to relay the latest cursor position of this connection
+    function sendPendingCursor() {
+      cursorTimer = null;
+      const cursor = pendingCursor;
+      pendingCursor = null;
+
+      const userData = connections.get(socket.id);
+      if (!cursor || userData?.currentBoard !== cursor.boardId) {
+        return;
+      }
+
+      lastCursorSentAt = Date.now();
+      socket.to(cursor.boardId).emit('cursor-moved', {
+        userId: socket.userId,
+        user: userData.user,
+        x: cursor.x,
+        y: cursor.y,
+        ...(cursor.message !== undefined && { message: cursor.message }),
+        timestamp: cursor.timestamp,
+      });
+    }
+
+    // Helper function to send a text session's current state to this client
+    function emitTextSessionState(session) {
+      socket.emit('text-session-state', {
+        elementId: session.elementId,
+        text: session.text,
+        version: session.version,
+        clientSeq: session.clientSeq,
+        carets: session.carets.filter(caret => caret.connectionId !== socket.id)
+      });
+    }
+
+    // Helper function to store edited text on its element, returning the element
+    async function persistElementText(boardId, elementId, text, user) {
+      try {
+        const board = await boardWorkingCopies.getBoard(boardId);
+        const element = board?.findElement(elementId);
+        if (!element) return undefined;
+
+        element.set({
+          text,
+          revision: (element.revision || 1) + 1,
+          lastModifiedBy: socket.accountId,
+          updatedAt: new Date()
+        });
+        await boardWorkingCopies.recordEdit(board, socket.accountId);
+
+        operationLog.recordOperation(boardId, board.version, 'element-updated', {
+          element,
+          updatedBy: user,
+          timestamp: new Date(),
+          boardVersion: board.version
+        });
+        boardEvents.recordElement(board, 'updated', element, user);
+        recordElementActivity(boardId, 'element_updated', element);
+        return element;
+      } catch (error) {
+        console.error('Error saving element text:', error);
+        return undefined;
+      }
+    }
+
+    // Helper function to log a canvas-update in the same shape as the element-* events
+    function recordCanvasOperation(board, action, element, user) {
+      const boardId = board._id.toString();
+      const timestamp = new Date();
+      const boardVersion = board.version;
+
+      if (action === 'add' && element) {
+        operationLog.recordOperation(boardId, boardVersion, 'element-created', { element, createdBy: user, timestamp, boardVersion });
+        boardEvents.recordElement(board, 'created', element, user);
+      } else if (action === 'update' && element) {
+        operationLog.recordOperation(boardId, boardVersion, 'element-updated', { element, updatedBy: user, timestamp, boardVersion });
+        boardEvents.recordElement(board, 'updated', element, user);
+      } else if (action === 'delete' && element) {
+        operationLog.recordOperation(boardId, boardVersion, 'element-deleted', { elementId: element.id, deletedBy: user, timestamp, boardVersion });
+        boardEvents.recordElement(board, 'deleted', element, user);
+      } else if (action === 'batch') {
+        operationLog.resetLog(boardId, boardVersion);
+        boardEvents.recordElements(board, user);
+      }
+    }
+
+    // Helper function to note an element change in this user's collaboration session
+    function recordElementActivity(boardId, action, element) {
+      sessionTracker.recordActivity(boardId, socket.accountId, action, {
+        elementId: element.id,
+        type: element.type
+      });
+    }
+
+    // Helper function to note a canvas-update in the same terms as the element-* events
+    function recordCanvasActivity(boardId, action, element) {
+      if (action === 'add' && element) {
+        recordElementActivity(boardId, 'element_created', element);
+      } else if (action === 'update' && element) {
+        recordElementActivity(boardId, 'element_updated', element);
+      } else if (action === 'delete' && element) {
+        recordElementActivity(boardId, 'element_deleted', element);
+      } else if (action === 'batch') {
+        sessionTracker.recordActivity(boardId, socket.accountId, 'element_updated', { batch: true });
+      }
+    }
+
+    // Helper function to tell a client its edit was based on a stale element revision
+    function emitElementConflict(clientElement, serverElement, boardVersion) {
+      socket.emit('element-conflict', {
+        elementId: clientElement.id,
+        clientElement,
+        serverElement: serverElement && privateElements.redactElement(serverElement, socket.userId),
+        boardVersion,
+        message: 'Element was changed by someone else',
+        timestamp: new Date()
+      });
+    }
+
+    // Helper function to remove an element from a board, closing its text session
+    // and releasing its lock. Resolves to the removed element, or null if the
+    // board has no such element.
+    async function removeBoardElement(board, elementId, userData) {
+      const removed = board.findElement(elementId);
+      if (!removed) return null;
+
+      const boardId = board._id.toString();
+      board.elements = board.elements.filter(el => String(el.id) !== String(elementId));
+      await boardWorkingCopies.recordEdit(board, socket.accountId);
+      await collaboration.closeTextSession(boardId, elementId);
+
+      // A deleted element cannot stay locked
+      if (await collaboration.releaseLock(boardId, elementId, socket.userId)) {
+        io.to(boardId).emit('element-unlocked', {
+          elementId,
+          unlockedBy: userData.user,
+          timestamp: new Date()
+        });
+      }
+      return removed;
+    }
+
+    // Helper function to refuse new elements once a board holds the maximum
+    function rejectIfBoardFull(board) {
+      if (board.elements.length < validation.LIMITS.elements) return false;
+
+      socket.emit('error', {
+        message: `Boards can hold at most ${validation.LIMITS.elements} elements`,
+        code: 'BOARD_FULL'
+      });
+      return true;
+    }
+
+    // Helper function to refuse a new element whose id is already on the board,
+    // answered like a payload that failed validation
+    function rejectIfIdTaken(board, elementId, event) {
+      if (elementId === undefined || !board.findElement(elementId)) return false;
+
+      socket.emit('error', {
+        message: 'Invalid request',
+        event,
+        code: 'DUPLICATE_ELEMENT_ID',
+        errors: [{ field: 'element.id', message: 'is already used on this board' }],
+      });
+      return true;
+    }
+
+    // Helper function to reject changes to a sticky another user is keeping private
+    function rejectIfHidden(board, elementId) {
+      if (!privateElements.isHiddenFrom(board.findElement(elementId), socket.userId)) return false;
+
+      socket.emit('error', {
+        message: 'This sticky stays private until the board owner reveals it',
+        elementId,
+        code: 'ELEMENT_PRIVATE'
+      });
+      return true;
+    }
+
+    // Helper function to replace a board's elements with a full list from this client,
+    // leaving stickies hidden from them alone and keeping a snapshot first if the
+    // list drops much of the board. Resolves to false, after reporting them, if
+    // any element was stale.
+    async function replaceBoardElements(board, elements) {
+      await boardHistory.snapshotBeforeReplace(board, elements);
+
+      const { conflicts } = privateElements.replaceElements(board, elements, socket.userId, socket.accountId);
+      if (conflicts.length > 0) {
+        conflicts.forEach(conflict => emitElementConflict(conflict.clientElement, conflict.serverElement, board.version));
+        return false;
+      }
+      return true;
+    }
+
+    // Helper function to reject edits to elements another user has locked
+    async function rejectIfLocked(boardId, elementId) {
+      const lock = await collaboration.getLockHeldByOther(boardId, elementId, socket.userId);
+      if (!lock) return false;
+
+      socket.emit('error', {
+        message: 'Element is locked by another user',
+        elementId,
+        lockedBy: lock.lockedBy
+      });
+      return true;
+    }
+
     // Send initial connection confirmation
     socket.emit('connected', {
       message: 'Connected to real-time collaboration server',
@@ -570,17 +1897,145 @@ module.exports = (io) => {
     });
   });
 
+  // Sockets on this process that a user has open in a board
+  const getLocalUserSockets = (boardId, userId) => Array.from(connections.values())
+    .filter(data => data.userId === userId && data.currentBoard === boardId)
+    .map(data => io.sockets.sockets.get(data.socketId))
+    .filter(Boolean);
+
+  // Apply a collaborator's new role to their open connections
+  const applyPermissionUpdate = ({ boardId, userId, role, updatedBy, timestamp }) => {
+    getLocalUserSockets(boardId, userId).forEach(userSocket => {
+      const userData = connections.get(userSocket.id);
+      userData.role = role;
+      presence.setConnection(userSocket.id, userData);
+
+      if (role === 'viewer') {
+        // Viewers cannot keep editing text they had open
+        leaveTextSessions(userSocket, boardId);
+      }
+    });
+
+    if (role === 'viewer') {
+      // Nor hold on to element locks
+      releaseUserLocks(boardId, userId, { reason: 'permission-changed' });
+    }
+
+    // Every process tells its own sockets
+    io.local.to(boardId).emit('permission-updated', {
+      userId,
+      newRole: role,
+      boardId,
+      updatedBy,
+      timestamp
+    });
+  };
+
+  // Drop a removed collaborator's open connections from the board
+  const applyUserRemoval = ({ boardId, userId, removedBy, timestamp }) => {
+    const payload = { userId, boardId, removedBy, timestamp };
+
+    getLocalUserSockets(boardId, userId).forEach(userSocket => {
+      userSocket.emit('user-removed', payload);
+      handleUserLeaveBoard(userSocket, boardId);
+    });
+
+    io.local.to(boardId).emit('user-removed', payload);
+  };
+
+  // Disconnect the guests on a board once the owner turns guest access off
+  const disconnectLocalGuests = ({ boardId }) => {
+    connections.forEach(data => {
+      const guestSocket = io.sockets.sockets.get(data.socketId);
+      if (!guestSocket?.isGuest || data.currentBoard !== boardId) return;
+
+      guestSocket.emit('error', { message: 'Guest access to this board was turned off', code: 'GUESTS_DISABLED' });
+      guestSocket.disconnect(true);
+    });
+  };
+
+  // Send everyone off a board that was moved to the trash
+  const closeLocalBoard = ({ boardId, deletedBy, timestamp }) => {
+    connections.forEach(data => {
+      const boardSocket = io.sockets.sockets.get(data.socketId);
+      if (!boardSocket || data.currentBoard !== boardId) return;
+
+      boardSocket.emit('board-deleted', { boardId, deletedBy, timestamp });
+      handleUserLeaveBoard(boardSocket, boardId);
+    });
+  };
+
+  // Collaborator changes are made through the REST routes, which push them here;
+  // clients are never trusted to announce them. Each server process applies
+  // them to the sockets it holds.
+  presence.subscribe((message) => {
+    if (message.type === 'permission-updated') {
+      applyPermissionUpdate(message);
+    } else if (message.type === 'user-removed') {
+      applyUserRemoval(message);
+    } else if (message.type === 'guests-disabled') {
+      disconnectLocalGuests(message);
+    } else if (message.type === 'board-trashed') {
+      closeLocalBoard(message);
+    }
+  });
+
   // Helper function to get board statistics
   const getBoardStats = (boardId) => {
-    const usersInBoard = boardRooms.get(boardId);
+    const usersInBoard = aggregateUsers(presence.getBoardConnections(boardId));
     return {
-      activeUsers: usersInBoard ? usersInBoard.size : 0,
-      users: usersInBoard ? Array.from(usersInBoard).map(userId => activeUsers.get(userId)?.user).filter(Boolean) : [],
+      activeUsers: usersInBoard.length,
+      users: usersInBoard.map(userData => userData.user).filter(Boolean),
     };
   };
 
   // Expose helper functions
   io.getBoardStats = getBoardStats;
-  io.getActiveUsers = () => Array.from(activeUsers.values());
-  io.getBoardRooms = () => Object.fromEntries(boardRooms);
+  io.updateCollaboratorRole = (boardId, userId, role, updatedBy) => presence.publish({
+    type: 'permission-updated',
+    boardId: boardId.toString(),
+    userId: userId.toString(),
+    role,
+    updatedBy: updatedBy.toString(),
+    timestamp: new Date()
+  });
+  io.disconnectGuests = (boardId) => presence.publish({
+    type: 'guests-disabled',
+    boardId: boardId.toString()
+  });
+  io.closeBoard = (boardId, deletedBy) => presence.publish({
+    type: 'board-trashed',
+    boardId: boardId.toString(),
+    deletedBy: deletedBy.toString(),
+    timestamp: new Date()
+  });
+  io.removeCollaborator = (boardId, userId, removedBy) => presence.publish({
+    type: 'user-removed',
+    boardId: boardId.toString(),
+    userId: userId.toString(),
+    removedBy: removedBy.toString(),
+    timestamp: new Date()
+  });
+  // Boards restored to an earlier version through the REST routes: clients drop
+  // what they have for the restored elements, and rejoining ones get a snapshot
+  io.announceBoardRestored = (boardId, board, restoredBy, snapshot) => {
+    const id = boardId.toString();
+    operationLog.resetLog(id, board.version);
+    emitElementsToBoard(id, 'board-restored', {
+      boardId: id,
+      elements: board.elements,
+      restoredBy,
+      snapshot,
+      boardVersion: board.version,
+      timestamp: new Date()
+    });
+  };
+  io.getActiveUsers = () => aggregateUsers(presence.getConnections());
+  io.getBoardRooms = () => presence.getConnections().reduce((rooms, userData) => {
+    if (userData.currentBoard) {
+      rooms[userData.currentBoard] = rooms[userData.currentBoard] || new Set();
+      rooms[userData.currentBoard].add(userData.user._id.toString());
+    }
+    return rooms;
+  }, {});
 };
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const textOperations = require('./textOperations');
+
+const CLIENT_COPY = path.join(__dirname, '../../client/src/utils/canvas/textOperations.js');
+
+// The client copy is an ES module in a CommonJS package, so load it from source
+const loadClientCopy = () => {
+  const source = fs.readFileSync(CLIENT_COPY, 'utf8');
+  return import(`data:text/javascript,${encodeURIComponent(source)}`);
+};
+
+// Small seeded generator, so a failing case can be reproduced
+const createRandom = (seed) => () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+
+const randomText = (random, maxLength) => {
+  const length = Math.floor(random() * (maxLength + 1));
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    text += 'abcdef'[Math.floor(random() * 6)];
+  }
+  return text;
+};
+
+// Inserts go before any deletes they follow, as the editor produces them
+const pushInsert = (op, text) => {
+  if (typeof op[op.length - 1] === 'number' && op[op.length - 1] < 0) {
+    op.splice(op.length - 1, 0, text);
+  } else {
+    op.push(text);
+  }
+};
+
+// A random operation that can be applied to text
+const randomOperation = (random, text) => {
+  const op = [];
+  let index = 0;
+  while (index < text.length) {
+    const n = 1 + Math.floor(random() * Math.min(3, text.length - index));
+    const pick = random();
+    if (pick < 0.4) {
+      op.push(n);
+      index += n;
+    } else if (pick < 0.7) {
+      op.push(-n);
+      index += n;
+    } else {
+      pushInsert(op, randomText(random, 3) || 'x');
+    }
+  }
+  if (random() < 0.3) pushInsert(op, randomText(random, 3) || 'y');
+  return op;
+};
+
+const CASES = 500;
+
+test('transform makes concurrent operations converge', () => {
+  const random = createRandom(1);
+  for (let i = 0; i < CASES; i++) {
+    const text = randomText(random, 12);
+    const a = randomOperation(random, text);
+    const b = randomOperation(random, text);
+    const [aPrime, bPrime] = textOperations.transform(a, b);
+
+    assert.equal(
+      textOperations.apply(textOperations.apply(text, a), bPrime),
+      textOperations.apply(textOperations.apply(text, b), aPrime),
+      `text ${JSON.stringify(text)}, a ${JSON.stringify(a)}, b ${JSON.stringify(b)}`
+    );
+  }
+});
+
+test('transform puts the first operation\'s insert first when both insert at the same spot', () => {
+  const [aPrime, bPrime] = textOperations.transform([1, 'A', 1], [1, 'B', 1]);
+  assert.equal(textOperations.apply(textOperations.apply('xy', [1, 'A', 1]), bPrime), 'xABy');
+  assert.equal(textOperations.apply(textOperations.apply('xy', [1, 'B', 1]), aPrime), 'xABy');
+});
+
+test('compose gives the same text as applying both operations in turn', () => {
+  const random = createRandom(2);
+  for (let i = 0; i < CASES; i++) {
+    const text = randomText(random, 12);
+    const a = randomOperation(random, text);
+    const b = randomOperation(random, textOperations.apply(text, a));
+
+    assert.equal(
+      textOperations.apply(text, textOperations.compose(a, b)),
+      textOperations.apply(textOperations.apply(text, a), b),
+      `text ${JSON.stringify(text)}, a ${JSON.stringify(a)}, b ${JSON.stringify(b)}`
+    );
+  }
+});
+
+test('a client with unacknowledged edits ends up with the server\'s text', () => {
+  // The client has sent one edit (outstanding) and composed two more into a
+  // buffer when another user's edit arrives. The server applies that edit first,
+  // then the client's edits transformed over it.
+  const random = createRandom(3);
+  for (let i = 0; i < CASES; i++) {
+    const text = randomText(random, 12);
+    const outstanding = randomOperation(random, text);
+    const typed = randomOperation(random, textOperations.apply(text, outstanding));
+    const more = randomOperation(random, textOperations.apply(textOperations.apply(text, outstanding), typed));
+    const buffer = textOperations.compose(typed, more);
+    const remote = randomOperation(random, text);
+
+    const [outstandingOnServer, remoteAfterOutstanding] = textOperations.transform(outstanding, remote);
+    const [bufferOnServer, remoteOnClient] = textOperations.transform(buffer, remoteAfterOutstanding);
+
+    const serverText = [remote, outstandingOnServer, bufferOnServer].reduce(textOperations.apply, text);
+    const clientText = [outstanding, typed, more, remoteOnClient].reduce(textOperations.apply, text);
+    assert.equal(clientText, serverText, `text ${JSON.stringify(text)}`);
+  }
+});
+
+test('operations that do not fit the text are refused', () => {
+  assert.throws(() => textOperations.apply('abc', [2]), /does not match/);
+  assert.throws(() => textOperations.transform([2], [3]), /not made against the same text/);
+  assert.throws(() => textOperations.compose(['ab'], [3]), /cannot be composed/);
+});
+
+test('the client copy agrees with the server copy', async () => {
+  const client = await loadClientCopy();
+  const random = createRandom(4);
+  for (let i = 0; i < CASES; i++) {
+    const text = randomText(random, 12);
+    const a = randomOperation(random, text);
+    const b = randomOperation(random, text);
+    const next = randomOperation(random, textOperations.apply(text, a));
+    const position = Math.floor(random() * (text.length + 1));
+
+    assert.deepEqual(client.transform(a, b), textOperations.transform(a, b));
+    assert.deepEqual(client.compose(a, next), textOperations.compose(a, next));
+    assert.equal(client.apply(text, a), textOperations.apply(text, a));
+    assert.equal(client.transformPosition(position, a), textOperations.transformPosition(position, a));
+    assert.equal(client.isValidOperation(a), textOperations.isValidOperation(a));
+  }
+});
@@ -0,0 +1,178 @@
+// Collaborative text editing sessions, one per element being edited
+// The server orders every text operation; clients send operations against the
+// version they last saw and we transform them over whatever happened since.
+// `${boardId}:${elementId}` -> { text, version, history, participants }
+// Participants are keyed by connection (socket id), since one user can have the
+// same element open in more than one tab, and remember which server process
+// the connection is on (origin).
+const textOps = require('./textOperations');
+
+const sessions = new Map();
+
+// Operations kept per session for transforming late arrivals
+const MAX_HISTORY = 1000;
+
+// Sequence number of the last operation applied from each client (one editor
+// instance, which outlives its connections), kept after a session closes so a
+// client that reconnects can tell whether its unacknowledged edit got through.
+// `${boardId}:${elementId}` -> Map(clientId -> { seq, at })
+const appliedSeqs = new Map();
+
+// How long to remember a client's last operation
+const SEQ_RETENTION = 60 * 60 * 1000;
+
+const sessionKey = (boardId, elementId) => `${boardId}:${elementId}`;
+
+const forgetStaleSeqs = () => {
+  const cutoff = Date.now() - SEQ_RETENTION;
+  appliedSeqs.forEach((clients, key) => {
+    clients.forEach((entry, clientId) => {
+      if (entry.at < cutoff) clients.delete(clientId);
+    });
+    if (clients.size === 0) appliedSeqs.delete(key);
+  });
+};
+
+// Sequence number of the last operation applied from a client, 0 if none
+const getAppliedSeq = (boardId, elementId, clientId) => (
+  appliedSeqs.get(sessionKey(boardId, elementId))?.get(clientId)?.seq || 0
+);
+
+const getSession = (boardId, elementId) => sessions.get(sessionKey(boardId, elementId)) || null;
+
+// Join (or open) the session for an element, seeded from the stored text
+const joinSession = (boardId, elementId, { connectionId, userId, user, origin = null }, initialText = '') => {
+  const key = sessionKey(boardId, elementId);
+  if (!sessions.has(key)) {
+    forgetStaleSeqs();
+    sessions.set(key, {
+      boardId,
+      elementId,
+      text: initialText,
+      version: 0,
+      history: [],
+      participants: new Map(),
+    });
+  }
+  const session = sessions.get(key);
+
+  if (!session.participants.has(connectionId)) {
+    session.participants.set(connectionId, { connectionId, userId, user, origin, caret: null });
+  }
+  return session;
+};
+
+// Leave a session; the session is dropped once nobody is editing
+const leaveSession = (boardId, elementId, connectionId) => {
+  const key = sessionKey(boardId, elementId);
+  const session = sessions.get(key);
+  if (!session || !session.participants.delete(connectionId)) return false;
+
+  if (session.participants.size === 0) {
+    sessions.delete(key);
+  }
+  return true;
+};
+
+// Leave every session a connection is part of on a board, returning the element ids
+const leaveConnectionSessions = (boardId, connectionId) => {
+  const left = [];
+  sessions.forEach(session => {
+    if (session.boardId === boardId && session.participants.has(connectionId)) {
+      left.push(session.elementId);
+    }
+  });
+  left.forEach(elementId => leaveSession(boardId, elementId, connectionId));
+  return left;
+};
+
+// Leave every session of the connections on a server process that went away
+const leaveOriginSessions = (origin) => {
+  const left = [];
+  sessions.forEach(session => {
+    session.participants.forEach(participant => {
+      if (participant.origin === origin) left.push([session.boardId, session.elementId, participant.connectionId]);
+    });
+  });
+  left.forEach(([boardId, elementId, connectionId]) => leaveSession(boardId, elementId, connectionId));
+  return left.length;
+};
+
+// Drop a session outright, e.g. when its element is deleted
+const closeSession = (boardId, elementId) => {
+  appliedSeqs.delete(sessionKey(boardId, elementId));
+  return sessions.delete(sessionKey(boardId, elementId));
+};
+
+// Apply an operation made against baseVersion. Returns the operation as it was
+// actually applied (after transforming) and the new session version.
+// Operations tagged with a client id and sequence number are applied once.
+const applyOperation = (session, baseVersion, op, clientId = null, seq = null) => {
+  if (!textOps.isValidOperation(op)) {
+    throw new Error('Invalid text operation');
+  }
+  if (clientId && seq && seq <= getAppliedSeq(session.boardId, session.elementId, clientId)) {
+    throw new Error('Text operation was already applied');
+  }
+  if (baseVersion < 0 || baseVersion > session.version) {
+    throw new Error('Unknown text version');
+  }
+
+  const missed = session.version - baseVersion;
+  if (missed > session.history.length) {
+    throw new Error('Text operation is too old');
+  }
+
+  // Rebase over everything the client had not seen yet
+  let transformed = op;
+  session.history.slice(session.history.length - missed).forEach(applied => {
+    transformed = textOps.transform(transformed, applied)[0];
+  });
+
+  session.text = textOps.apply(session.text, transformed);
+  session.version += 1;
+  session.history.push(transformed);
+  if (session.history.length > MAX_HISTORY) {
+    session.history.shift();
+  }
+
+  if (clientId && seq) {
+    const key = sessionKey(session.boardId, session.elementId);
+    if (!appliedSeqs.has(key)) appliedSeqs.set(key, new Map());
+    appliedSeqs.get(key).set(clientId, { seq, at: Date.now() });
+  }
+
+  // Carets of everyone in the session move with the text
+  session.participants.forEach(participant => {
+    if (participant.caret !== null) {
+      participant.caret = textOps.transformPosition(participant.caret, transformed);
+    }
+  });
+
+  return { op: transformed, version: session.version };
+};
+
+const setCaret = (session, connectionId, position) => {
+  const participant = session.participants.get(connectionId);
+  if (!participant) return false;
+  participant.caret = Math.max(0, Math.min(position, session.text.length));
+  return true;
+};
+
+// Carets of everyone in the session, ready to send to clients
+const getCarets = (session) => Array.from(session.participants.values())
+  .filter(participant => participant.caret !== null)
+  .map(({ connectionId, userId, user, caret }) => ({ connectionId, userId, user, position: caret }));
+
+module.exports = {
+  getSession,
+  joinSession,
+  leaveSession,
+  leaveConnectionSessions,
+  leaveOriginSessions,
+  closeSession,
+  getAppliedSeq,
+  applyOperation,
+  setCaret,
+  getCarets,
+};
@@ -0,0 +1,323 @@
+// Schema validation for incoming socket events
+// Every event a client sends is checked here before a handler sees it. Valid
+// payloads are rebuilt from the schema, so unknown fields never reach a board
+// document; invalid ones are answered with a structured error instead.
+
+// Size limits, overridable from the environment
+const LIMITS = {
+  // Largest payload accepted for a single event, in bytes of JSON
+  eventBytes: parseInt(process.env.SOCKET_MAX_EVENT_BYTES) || 1000000,
+  // Points in one freehand stroke
+  points: parseInt(process.env.ELEMENT_MAX_POINTS) || 5000,
+  // Elements on one board
+  elements: parseInt(process.env.BOARD_MAX_ELEMENTS) || 5000,
+  // Characters of text in one element
+  text: parseInt(process.env.ELEMENT_MAX_TEXT_LENGTH) || 10000,
+  // Characters in one chat message (the ChatMessage model allows 2000)
+  chatMessage: Math.min(parseInt(process.env.CHAT_MAX_MESSAGE_LENGTH) || 2000, 2000),
+};
+
+const COORDINATE_LIMIT = 1000000;
+const ELEMENT_TYPES = ['text', 'sticky', 'shape', 'line', 'arrow', 'pen', 'freehand'];
+const REACTIONS = ['👍', '❤️', '😂', '🎉', '😮', '👏'];
+
+// Presenting tools whose strokes are relayed but never stored
+const INK_TOOLS = ['laser', 'ink'];
+
+// Points in one batch of a laser or temporary ink stroke
+const INK_BATCH_POINTS = 200;
+
+const TOOLS = ['select', 'pen', 'text', 'sticky', 'shape', 'line', 'arrow', 'eraser', ...INK_TOOLS];
+
+// Most votes one participant can get in a dot vote (the VotingSession model allows 50)
+const MAX_VOTES_PER_USER = 50;
+
+// Longest board timer and longest single extension, in milliseconds (as in boardTimers)
+const TIMER_MAX_DURATION = 24 * 60 * 60 * 1000;
+const TIMER_MAX_EXTENSION = 60 * 60 * 1000;
+
+// Characters in a cursor chat bubble
+const CURSOR_MESSAGE_LENGTH = 100;
+
+// Fields the server manages itself; clients echo them back, so they are dropped quietly
+const SERVER_ELEMENT_FIELDS = ['_id', '__v', 'createdBy', 'createdAt', 'updatedAt', 'lastModifiedBy', 'privateTo', 'redacted'];
+
+class ValidationError extends Error {
+  constructor(errors, code = 'INVALID_PAYLOAD') {
+    super(errors.map(error => `${error.field}: ${error.message}`).join('; '));
+    this.code = code;
+    this.errors = errors;
+  }
+}
+
+// Field checkers. Each takes (value, path, errors) and returns the cleaned value;
+// problems are pushed onto errors as { field, message }.
+const fail = (errors, path, message) => {
+  errors.push({ field: path || 'payload', message });
+  return undefined;
+};
+
+const optional = (check, { nullable = false } = {}) => {
+  const wrapped = (value, path, errors) => {
+    if (value === undefined) return undefined;
+    if (value === null && nullable) return null;
+    return check(value, path, errors);
+  };
+  wrapped.optional = true;
+  return wrapped;
+};
+
+const number = ({ min = -COORDINATE_LIMIT, max = COORDINATE_LIMIT, integer = false } = {}) => (value, path, errors) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return fail(errors, path, 'must be a number');
+  if (integer && !Number.isInteger(value)) return fail(errors, path, 'must be a whole number');
+  if (value < min || value > max) return fail(errors, path, `must be between ${min} and ${max}`);
+  return value;
+};
+
+const string = ({ max = 200, min = 0 } = {}) => (value, path, errors) => {
+  if (typeof value !== 'string') return fail(errors, path, 'must be a string');
+  if (value.length < min) return fail(errors, path, `must be at least ${min} characters`);
+  if (value.length > max) return fail(errors, path, `must be at most ${max} characters`);
+  return value;
+};
+
+const boolean = () => (value, path, errors) => {
+  if (typeof value !== 'boolean') return fail(errors, path, 'must be true or false');
+  return value;
+};
+
+const oneOf = (values) => (value, path, errors) => {
+  if (!values.includes(value)) return fail(errors, path, `must be one of ${values.join(', ')}`);
+  return value;
+};
+
+// Ids: Mongo ids from the server, or the numeric ids clients generate
+const id = () => (value, path, errors) => {
+  if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+  if (typeof value === 'string' && value.length > 0 && value.length <= 64) return value;
+  return fail(errors, path, 'must be an id');
+};
+
+const array = (item, { max }) => (value, path, errors) => {
+  if (!Array.isArray(value)) return fail(errors, path, 'must be an array');
+  if (value.length > max) return fail(errors, path, `must have at most ${max} items`);
+  return value.map((entry, index) => item(entry, `${path}[${index}]`, errors));
+};
+
+const object = (shape, { strip = [] } = {}) => (value, path, errors) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return fail(errors, path, 'must be an object');
+  }
+
+  const result = {};
+  Object.keys(value).forEach(key => {
+    if (!shape[key] && !strip.includes(key)) {
+      fail(errors, path ? `${path}.${key}` : key, 'is not allowed');
+    }
+  });
+  Object.entries(shape).forEach(([key, check]) => {
+    const fieldPath = path ? `${path}.${key}` : key;
+    if (value[key] === undefined && !check.optional) {
+      fail(errors, fieldPath, 'is required');
+      return;
+    }
+    const cleaned = check(value[key], fieldPath, errors);
+    if (cleaned !== undefined) result[key] = cleaned;
+  });
+  return result;
+};
+
+const point = object({ x: number(), y: number() }, { strip: ['_id'] });
+const color = () => string({ max: 64 });
+
+// Everything a client may set on an element
+const elementFields = {
+  id: id(),
+  type: oneOf(ELEMENT_TYPES),
+  x: number(),
+  y: number(),
+  width: optional(number({ min: 0 })),
+  height: optional(number({ min: 0 })),
+  strokeColor: optional(color()),
+  strokeWidth: optional(number({ min: 0, max: 200 })),
+  backgroundColor: optional(color()),
+  borderColor: optional(color()),
+  textColor: optional(color()),
+  text: optional(string({ max: LIMITS.text })),
+  fontSize: optional(number({ min: 1, max: 1000 })),
+  fontFamily: optional(string({ max: 100 })),
+  textAlign: optional(oneOf(['left', 'center', 'right'])),
+  x2: optional(number(), { nullable: true }),
+  y2: optional(number(), { nullable: true }),
+  points: optional(array(point, { max: LIMITS.points }), { nullable: true }),
+  isEditing: optional(boolean()),
+  isLocked: optional(boolean()),
+  zIndex: optional(number({ integer: true })),
+  revision: optional(number({ min: 0, max: Number.MAX_SAFE_INTEGER, integer: true })),
+};
+
+// A complete element, as saved with the board
+const element = object(elementFields, { strip: SERVER_ELEMENT_FIELDS });
+
+// A new element; the server picks an id if the client did not
+const newElement = object({ ...elementFields, id: optional(id()) }, { strip: SERVER_ELEMENT_FIELDS });
+
+// A change to an existing element: the id and the revision it was based on
+// are required, so the server can tell a stale edit
+const changeRequiredFields = {
+  id: elementFields.id,
+  revision: number({ min: 0, max: Number.MAX_SAFE_INTEGER, integer: true }),
+};
+const elementChanges = object(
+  Object.fromEntries(Object.entries(elementFields).map(([key, check]) => [key, changeRequiredFields[key] || optional(check)])),
+  { strip: SERVER_ELEMENT_FIELDS }
+);
+
+const elementList = array(element, { max: LIMITS.elements });
+
+// Text operations: retain (positive), delete (negative) or insert (string)
+const textOperation = (value, path, errors) => {
+  if (!Array.isArray(value) || value.length > 2 * LIMITS.text + 1) {
+    return fail(errors, path, 'must be a text operation');
+  }
+  let inserted = 0;
+  for (const component of value) {
+    if (typeof component === 'string') {
+      inserted += component.length;
+    } else if (!Number.isInteger(component) || component === 0) {
+      return fail(errors, path, 'must be a text operation');
+    }
+  }
+  if (inserted > LIMITS.text) return fail(errors, path, `can insert at most ${LIMITS.text} characters`);
+  return value;
+};
+
+const boardId = id();
+const inBoard = (shape = {}) => object({ boardId, ...shape });
+
+// One schema per event; events without a schema are refused
+const eventSchemas = {
+  'join-board': inBoard({ lastVersion: optional(number({ min: 0, max: Number.MAX_SAFE_INTEGER, integer: true })) }),
+  'leave-board': optional(object({ boardId: optional(boardId) })),
+  'canvas-update': (value, path, errors) => inBoard({
+    action: oneOf(['add', 'update', 'delete', 'batch', 'cursor']),
+    element: optional(value?.action === 'add' ? newElement : elementChanges, { nullable: true }),
+    elements: optional(elementList),
+  })(value, path, errors),
+  // message is the cursor chat bubble: a string while it is open, null to close it
+  'cursor-move': inBoard({ x: number(), y: number(), message: optional(string({ max: CURSOR_MESSAGE_LENGTH }), { nullable: true }) }),
+  'reaction': inBoard({ emoji: oneOf(REACTIONS), x: number(), y: number() }),
+  'tool-change': inBoard({ tool: oneOf(TOOLS) }),
+  'selection-change': inBoard({ elementIds: array(id(), { max: LIMITS.elements }) }),
+  'viewport-change': inBoard({
+    viewport: object({
+      x: number(),
+      y: number(),
+      width: number({ min: 0 }),
+      height: number({ min: 0 }),
+      scale: number({ min: 0.01, max: 100 }),
+    }),
+  }),
+  'drawing-start': inBoard({ tool: oneOf(TOOLS), startPoint: optional(point) }),
+  'drawing-end': inBoard(),
+  // Laser pointer and temporary ink: a stroke is started, extended in batches and ended
+  'ink-start': inBoard({
+    strokeId: string({ min: 1, max: 64 }),
+    tool: oneOf(INK_TOOLS),
+    color: optional(color()),
+    width: optional(number({ min: 1, max: 50 })),
+    point,
+  }),
+  'ink-points': inBoard({ strokeId: string({ min: 1, max: 64 }), points: array(point, { max: INK_BATCH_POINTS }) }),
+  'ink-end': inBoard({ strokeId: string({ min: 1, max: 64 }) }),
+  'board-save': inBoard({ elements: optional(elementList) }),
+  'element-create': inBoard({ element: newElement }),
+  'element-update': inBoard({ element: elementChanges }),
+  'element-delete': inBoard({ elementId: id() }),
+  'element-lock': inBoard({ elementId: id() }),
+  'element-unlock': inBoard({ elementId: id() }),
+  'text-session-join': inBoard({ elementId: id(), clientId: optional(string({ max: 64 })) }),
+  'text-session-leave': inBoard({ elementId: id() }),
+  'text-operation': inBoard({
+    elementId: id(),
+    version: number({ min: 0, max: Number.MAX_SAFE_INTEGER, integer: true }),
+    op: textOperation,
+    // Lets the server apply each operation once, even when it is sent again after a reconnect
+    clientId: optional(string({ max: 64 })),
+    seq: optional(number({ min: 1, max: Number.MAX_SAFE_INTEGER, integer: true })),
+  }),
+  'text-caret': inBoard({ elementId: id(), position: number({ min: 0, max: LIMITS.text, integer: true }) }),
+  'presence-heartbeat': inBoard({ active: boolean() }),
+  'chat-send': inBoard({ text: string({ min: 1, max: LIMITS.chatMessage }), clientId: optional(string({ max: 64 })) }),
+  'chat-history': inBoard({ before: optional(id()), limit: optional(number({ min: 1, max: 100, integer: true })) }),
+  'chat-typing': inBoard({ isTyping: boolean() }),
+  'chat-read': inBoard(),
+  'vote-start': inBoard({
+    votesPerUser: number({ min: 1, max: MAX_VOTES_PER_USER, integer: true }),
+    // Limit the vote to stickies inside this area of the canvas
+    region: optional(object({
+      x: number(),
+      y: number(),
+      width: number({ min: 1 }),
+      height: number({ min: 1 }),
+    }), { nullable: true }),
+  }),
+  'vote-cast': inBoard({ elementId: id() }),
+  'vote-retract': inBoard({ elementId: id() }),
+  'vote-reveal': inBoard(),
+  'vote-end': inBoard(),
+  'timer-start': inBoard({ duration: number({ min: 1000, max: TIMER_MAX_DURATION, integer: true }) }),
+  'timer-pause': inBoard(),
+  'timer-resume': inBoard(),
+  'timer-extend': inBoard({ amount: number({ min: 1000, max: TIMER_MAX_EXTENSION, integer: true }) }),
+  'timer-reset': inBoard(),
+  'private-mode-start': inBoard(),
+  'private-mode-reveal': inBoard(),
+};
+
+// Check one incoming event, returning the cleaned payload or throwing a ValidationError
+const validateEvent = (event, payload) => {
+  const schema = isKnownEvent(event) ? eventSchemas[event] : null;
+  if (!schema) {
+    throw new ValidationError([{ field: 'event', message: `unknown event "${event}"` }], 'UNKNOWN_EVENT');
+  }
+
+  if (payload !== undefined) {
+    let size;
+    try {
+      size = Buffer.byteLength(JSON.stringify(payload));
+    } catch (error) {
+      throw new ValidationError([{ field: 'payload', message: 'must be JSON' }]);
+    }
+    if (size > LIMITS.eventBytes) {
+      throw new ValidationError([{ field: 'payload', message: `must be at most ${LIMITS.eventBytes} bytes` }], 'PAYLOAD_TOO_LARGE');
+    }
+  }
+
+  const errors = [];
+  const value = schema(payload, '', errors);
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+  return value;
+};
+
+const isKnownEvent = (event) => Object.prototype.hasOwnProperty.call(eventSchemas, event);
+
+// Check an element list sent through the REST API, returning the cleaned list
+const validateElements = (elements) => {
+  const errors = [];
+  const value = elementList(elements, 'elements', errors);
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+  return value;
+};
+
+module.exports = {
+  LIMITS,
+  ValidationError,
+  isKnownEvent,
+  validateEvent,
+  validateElements,
+};
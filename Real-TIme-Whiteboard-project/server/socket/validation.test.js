@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LIMITS, ValidationError, validateEvent, validateElements } = require('./validation');
+
+const sticky = (id) => ({ id, type: 'sticky', x: 10, y: 20, text: 'Idea' });
+
+// The errors a payload is refused with, or null if it is accepted
+const errorsFor = (event, payload) => {
+  try {
+    validateEvent(event, payload);
+    return null;
+  } catch (error) {
+    assert.ok(error instanceof ValidationError);
+    return error;
+  }
+};
+
+test('unknown fields are refused wherever they appear', () => {
+  const topLevel = errorsFor('element-create', { boardId: 'board-1', element: sticky('a'), extra: true });
+  assert.equal(topLevel.code, 'INVALID_PAYLOAD');
+  assert.deepEqual(topLevel.errors, [{ field: 'extra', message: 'is not allowed' }]);
+
+  const nested = errorsFor('element-create', { boardId: 'board-1', element: { ...sticky('a'), $where: 'x' } });
+  assert.deepEqual(nested.errors, [{ field: 'element.$where', message: 'is not allowed' }]);
+});
+
+test('fields the server manages are dropped instead of refused', () => {
+  const { element } = validateEvent('element-create', {
+    boardId: 'board-1',
+    element: { ...sticky('a'), createdBy: 'someone', createdAt: '2024-01-01', _id: 'abc' },
+  });
+  assert.deepEqual(element, sticky('a'));
+});
+
+test('unknown events are refused', () => {
+  const error = errorsFor('drop-database', { boardId: 'board-1' });
+  assert.equal(error.code, 'UNKNOWN_EVENT');
+});
+
+test('freehand strokes can hold up to the points limit', () => {
+  const points = Array.from({ length: LIMITS.points }, (_, i) => ({ x: i, y: i }));
+  const stroke = { id: 'pen-1', type: 'freehand', x: 0, y: 0, points };
+  assert.equal(validateEvent('element-create', { boardId: 'board-1', element: stroke }).element.points.length, LIMITS.points);
+
+  const error = errorsFor('element-create', {
+    boardId: 'board-1',
+    element: { ...stroke, points: [...points, { x: 0, y: 0 }] },
+  });
+  assert.deepEqual(error.errors, [{ field: 'element.points', message: `must have at most ${LIMITS.points} items` }]);
+});
+
+test('element lists can hold up to the elements limit', () => {
+  const elements = Array.from({ length: LIMITS.elements }, (_, i) => sticky(`e${i}`));
+  assert.equal(validateElements(elements).length, LIMITS.elements);
+
+  assert.throws(
+    () => validateElements([...elements, sticky('one-more')]),
+    (error) => error instanceof ValidationError &&
+      error.errors[0].field === 'elements' &&
+      error.errors[0].message === `must have at most ${LIMITS.elements} items`
+  );
+
+  const error = errorsFor('board-save', { boardId: 'board-1', elements: [...elements, sticky('one-more')] });
+  assert.deepEqual(error.errors, [{ field: 'elements', message: `must have at most ${LIMITS.elements} items` }]);
+});
+
+test('changes to an existing element need the revision they were based on', () => {
+  const error = errorsFor('element-update', { boardId: 'board-1', element: { id: 'a', x: 5 } });
+  assert.deepEqual(error.errors, [{ field: 'element.revision', message: 'is required' }]);
+
+  const { element } = validateEvent('element-update', { boardId: 'board-1', element: { id: 'a', x: 5, revision: 3 } });
+  assert.deepEqual(element, { id: 'a', x: 5, revision: 3 });
+});
+
+test('payloads over the size limit are refused before they are checked', () => {
+  const error = errorsFor('chat-send', { boardId: 'board-1', text: 'x'.repeat(LIMITS.eventBytes) });
+  assert.equal(error.code, 'PAYLOAD_TOO_LARGE');
+});